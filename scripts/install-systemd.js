@@ -21,6 +21,7 @@ Type=simple
 User=${process.env.USER || 'root'}
 WorkingDirectory=${projectRoot}
 ExecStart=/usr/bin/node ${projectRoot}/src/index.js
+ExecReload=/bin/kill -HUP $MAINPID
 Restart=always
 RestartSec=10
 StandardOutput=journal
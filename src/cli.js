@@ -6,12 +6,55 @@
 
 import { 
   getSystemPerformance,
+  getProcessStats,
   getAllRepoStatuses,
+  restoreDirtySince,
   checkGateway,
   checkAgentHealth,
   formatBytes,
+  parseDuration,
+  sparkline,
   CONFIG,
 } from './lib.js';
+import { loadConfig, parseConfigArg, getConfigSearchPath, maskSecrets } from './config.js';
+import { queryHistory, summarizeSeries } from './history.js';
+import { sendNotification } from './notifier.js';
+import { listIncidents, getIncident, pruneIncidents } from './incidents.js';
+import { getSyncFreshness } from './fetcher.js';
+import { findStaleWork } from './stale-work.js';
+import { getCommitActivity } from './commit-activity.js';
+import { getLatestResults, summarizeResult } from './verifier.js';
+import { scanRepo, describeFinding } from './secrets.js';
+import { REPORT_FORMATS, buildReport, renderReport } from './report.js';
+import { DASHBOARD_VIEWS, SORT_KEYS, createPerfSeries, readDaemonStatus, renderDashboard } from './dashboard.js';
+import os from 'os';
+import fs from 'fs/promises';
+
+async function readDaemonState() {
+  try {
+    return JSON.parse(await fs.readFile(CONFIG.stateFile, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// Repo scans starting from the daemon's dirty-since times, so stale work is aged the same
+async function scanRepos() {
+  restoreDirtySince(Object.values((await readDaemonState())?.repos || {}));
+  return getAllRepoStatuses();
+}
+
+// Alert state as last saved by the daemon (the CLI has no rule history of its own)
+async function readDaemonAlerts() {
+  const saved = await readDaemonState();
+  return saved?.alerts ? { ...saved.alerts, lastCheck: saved.lastCheck } : null;
+}
+
+// Why a repo's ahead/behind may be out of date, using the daemon's fetch results when there are any
+async function getStaleReasons(repos) {
+  const fetches = (await readDaemonState())?.fetch || {};
+  return new Map(repos.map(repo => [repo.name, getSyncFreshness(repo, fetches[repo.name]).reason]));
+}
 
 async function showStatus() {
   console.log('📊 OpenClaw Activity Monitor - Quick Status\n');
@@ -20,10 +63,10 @@ async function showStatus() {
   // System Performance
   console.log('\n🖥️  SYSTEM PERFORMANCE');
   const perf = await getSystemPerformance();
-  console.log(`   CPU:     ${perf.cpu.usage}% (${perf.cpu.cores} cores)`);
+  console.log(`   CPU:     ${perf.cpu.usage}% (${perf.cpu.cores} cores, iowait ${perf.cpu.breakdown.iowait}%)`);
   console.log(`   Load:    ${perf.cpu.loadAvg.join(', ')}`);
   console.log(`   Memory:  ${perf.memory.percent}% (${formatBytes(perf.memory.used)} / ${formatBytes(perf.memory.total)})`);
-  console.log(`   Disk:    ${perf.disk.percent}%`);
+  console.log(`   Disk:    ${perf.filesystems.map(f => `${f.mount} ${f.percent}%`).join(', ') || `${perf.disk.percent}%`}`);
   console.log(`   Uptime:  ${perf.system.uptimeHuman}`);
   
   // Gateway Status
@@ -31,14 +74,31 @@ async function showStatus() {
   const gatewayRunning = await checkGateway();
   console.log(`   Gateway: ${gatewayRunning ? '✅ Running' : '❌ Not Running'}`);
   
-  if (gatewayRunning) {
-    const health = await checkAgentHealth('main');
-    console.log(`   Main:    ${health.healthy ? '✅ Healthy' : '❌ Unhealthy'}`);
+  for (const agent of CONFIG.agents) {
+    const health = await checkAgentHealth(agent.name);
+    const icon = { healthy: '✅ Healthy', degraded: '🐢 Degraded', unhealthy: '❌ Unhealthy' }[health.state];
+    const latency = health.latency !== null ? ` (${health.latency}ms)` : '';
+    console.log(`   ${`${agent.name}:`.padEnd(9)}${icon}${latency}`);
+    for (const probe of health.probes.filter(p => !p.ok)) {
+      console.log(`            └─ ${probe.type}: ${probe.error}`);
+    }
+  }
+  
+  // Session lifecycles are only known to the daemon
+  const sessions = (await readDaemonState())?.sessions;
+  if (sessions) {
+    const stuck = sessions.active.filter(session => session.stuck);
+    console.log(`   Sessions: ${sessions.active.length} active${stuck.length ? `, ⏸️  ${stuck.length} stuck` : ''}`);
+    for (const session of stuck) {
+      console.log(`            └─ ${session.id}${session.agent ? ` (${session.agent})` : ''}: no progress since ${formatTime(new Date(session.lastProgressAt).getTime())}`);
+    }
   }
   
   // Git Repos
   console.log('\n📁 REPOSITORIES');
-  const repos = await getAllRepoStatuses();
+  const repos = await scanRepos();
+  const staleReasons = await getStaleReasons(repos);
+  const verifyResults = await getLatestResults();
   for (const repo of repos) {
     if (repo.error) {
       console.log(`   ❌ ${repo.name}: ${repo.error}`);
@@ -49,7 +109,9 @@ async function showStatus() {
     const sync = [];
     if (repo.ahead > 0) sync.push(`↑${repo.ahead}`);
     if (repo.behind > 0) sync.push(`↓${repo.behind}`);
-    const syncStr = sync.length ? ` [${sync.join(' ')}]` : '';
+    // Counts against old remote-tracking refs get a "?" so nobody trusts "behind 0"
+    const stale = staleReasons.get(repo.name);
+    const syncStr = sync.length ? ` [${sync.join(' ')}${stale ? ' ?' : ''}]` : stale ? ' [sync ?]' : '';
     
     console.log(`   ${changes === '✅' ? '✅' : '📝'} ${repo.name.padEnd(25)} ${repo.branch.padEnd(10)} ${changes}${syncStr}`);
     
@@ -57,18 +119,56 @@ async function showStatus() {
       console.log(`      └─ ${repo.latestCommit.shortHash}: ${repo.latestCommit.message?.substring(0, 45)}...`);
       console.log(`         by ${repo.latestCommit.author} (${repo.latestCommit.relTime})`);
     }
+    if (stale) {
+      console.log(`      ⏳ sync data stale: ${stale}`);
+    }
+    for (const finding of findStaleWork(repo).filter(f => f.level === 'warning')) {
+      console.log(`      🕸️  ${finding.message}`);
+    }
+    const verify = summarizeResult(verifyResults[repo.name]);
+    if (verify) {
+      console.log(`      ${verify.status === 'passed' ? '🟢' : '🔴'} verify ${verify.commit}: ${verify.status}${verify.failedCommand ? ` at "${verify.failedCommand}"` : ''}`);
+    }
+  }
+  
+  // Alerts from the daemon
+  console.log('\n🚨 ALERTS');
+  const alerts = await readDaemonAlerts();
+  if (!alerts) {
+    console.log('   (no daemon state found)');
+  } else {
+    const icons = { firing: '🔴', pending: '🟡', resolved: '🟢' };
+    const rules = alerts.rules.filter(r => r.state !== 'resolved' || Date.now() - new Date(r.resolvedAt).getTime() < 3600000);
+    const others = alerts.active.filter(a => !a.key?.startsWith('rule:'));
+    for (const rule of rules) {
+      const since = rule.state === 'resolved' ? rule.resolvedAt : rule.firedAt || rule.since;
+      console.log(`   ${icons[rule.state]} ${rule.state.padEnd(8)} ${rule.severity.padEnd(8)} ${rule.message} (since ${since})`);
+    }
+    for (const alert of others) {
+      console.log(`   🔴 firing   ${alert.level.padEnd(8)} ${alert.message} (since ${alert.since})`);
+    }
+    if (!rules.length && !others.length) console.log('   ✅ None');
+    console.log(`   As of daemon check at ${alerts.lastCheck}`);
   }
   
   console.log('\n' + '━'.repeat(50));
 }
 
-async function showRepos() {
-  console.log('📁 Repository Status\n');
+async function showRepos(args = []) {
+  const staleOnly = args.includes('--stale');
+  console.log(staleOnly ? '📁 Repositories with Stale Work\n' : '📁 Repository Status\n');
   
-  const repos = await getAllRepoStatuses();
+  let repos = await scanRepos();
+  const staleWork = new Map(repos.map(repo => [repo.name, findStaleWork(repo)]));
+  if (staleOnly) {
+    repos = repos.filter(repo => staleWork.get(repo.name).length);
+    if (!repos.length) console.log('✅ No stale work found');
+  }
+  const staleReasons = await getStaleReasons(repos);
+  const verifyResults = await getLatestResults();
   for (const repo of repos) {
     console.log(`\n${'═'.repeat(50)}`);
-    console.log(`📦 ${repo.name}`);
+    console.log(`📦 ${repo.name}${repo.discovered ? ' (discovered)' : ''}`);
     console.log(`   Path: ${repo.path}`);
     
     if (repo.error) {
@@ -76,12 +176,19 @@ async function showRepos() {
       continue;
     }
     
-    console.log(`   Branch: ${repo.branch}`);
+    console.log(`   Branch: ${repo.detached ? `(detached at ${repo.latestCommit?.shortHash})` : repo.branch}`);
     console.log(`   Remotes: ${repo.remotes?.join(', ') || 'none'}`);
+    for (const finding of staleWork.get(repo.name)) {
+      console.log(`   ${finding.level === 'warning' ? '🕸️ ' : 'ℹ️ '} ${finding.message}`);
+    }
     
     if (repo.ahead || repo.behind) {
       console.log(`   Sync: ↑${repo.ahead} ahead, ↓${repo.behind} behind`);
     }
+    if (!repo.noUpstream) {
+      const stale = staleReasons.get(repo.name);
+      console.log(`   Last fetch: ${repo.lastFetch ? formatTime(new Date(repo.lastFetch).getTime()) : 'never'}${stale ? ` ⏳ sync data stale (${stale})` : ''}`);
+    }
     
     if (repo.uncommittedChanges > 0) {
       console.log(`   ⚠️  ${repo.uncommittedChanges} uncommitted changes:`);
@@ -91,10 +198,29 @@ async function showRepos() {
       if (repo.changedFiles.length > 5) {
         console.log(`      ... and ${repo.changedFiles.length - 5} more`);
       }
+      for (const finding of (await scanRepo(repo)).uncommitted) {
+        console.log(`   🚨 ${describeFinding(finding)} [${finding.fingerprint}]`);
+      }
     } else {
       console.log(`   ✅ Working tree clean`);
     }
     
+    const verify = verifyResults[repo.name];
+    if (verify) {
+      const current = verify.commit === repo.latestCommit?.hash ? '' : ' (not HEAD)';
+      console.log(`   ${verify.status === 'passed' ? '🟢' : '🔴'} Verify ${verify.shortHash}${current}: ${verify.status} in ${Math.round(verify.duration / 1000)}s, ${formatTime(new Date(verify.finishedAt).getTime())}`);
+      for (const command of verify.commands) {
+        console.log(`      ${command.ok ? '✓' : '✗'} ${command.name}${command.ok ? '' : command.timedOut ? ' (timed out)' : ` (exit ${command.exitCode ?? command.signal})`}`);
+      }
+      if (verify.error) console.log(`      ${verify.error}`);
+      const failed = verify.commands.find(command => !command.ok);
+      for (const line of failed?.output.trimEnd().split('\n').slice(-5) || []) {
+        console.log(`        │ ${line}`);
+      }
+    } else if (CONFIG.repos.find(r => r.name === repo.name)?.verify?.length) {
+      console.log('   ⏳ Verify: no result yet');
+    }
+    
     console.log(`   Recent commits:`);
     for (const commit of repo.recentCommits?.slice(0, 3) || []) {
       console.log(`      ${commit.shortHash} ${commit.message?.substring(0, 40)}...`);
@@ -106,12 +232,17 @@ async function showRepos() {
 async function showPerf() {
   console.log('🖥️  System Performance\n');
   
-  const perf = await getSystemPerformance();
+  const [perf, procStats] = await Promise.all([getSystemPerformance(), getProcessStats()]);
   
   console.log('CPU');
   console.log(`  Model:    ${perf.cpu.model}`);
   console.log(`  Cores:    ${perf.cpu.cores}`);
   console.log(`  Usage:    ${perf.cpu.usage}%`);
+  console.log(`  Split:    user ${perf.cpu.breakdown.user}% | system ${perf.cpu.breakdown.system}% | iowait ${perf.cpu.breakdown.iowait}% | steal ${perf.cpu.breakdown.steal}%`);
+  perf.cpu.perCore.forEach((usage, i) => {
+    const bar = '█'.repeat(Math.round(usage / 5)).padEnd(20, '░');
+    console.log(`  Core ${String(i).padEnd(4)}${bar} ${usage}%`);
+  });
   console.log(`  Load Avg: ${perf.cpu.loadAvg.join(', ')}`);
   
   console.log('\nMemory');
@@ -119,42 +250,456 @@ async function showPerf() {
   console.log(`  Used:     ${formatBytes(perf.memory.used)} (${perf.memory.percent}%)`);
   console.log(`  Free:     ${formatBytes(perf.memory.free)}`);
   
-  console.log('\nDisk');
-  console.log(`  Total:    ${formatBytes(perf.disk.total)}`);
-  console.log(`  Used:     ${formatBytes(perf.disk.used)} (${perf.disk.percent}%)`);
+  console.log('\nFilesystems');
+  for (const f of perf.filesystems) {
+    const inodes = f.inodes.percent === null ? 'n/a' : `${f.inodes.percent}%`;
+    console.log(`  ${f.mount.padEnd(20)} ${formatBytes(f.used).padStart(9)} / ${formatBytes(f.total).padEnd(9)} (${f.percent}%)  inodes ${inodes}  [${f.type}, ${f.device}]`);
+  }
   
   console.log('\nSystem');
   console.log(`  Hostname: ${perf.system.hostname}`);
   console.log(`  Platform: ${perf.system.platform}`);
   console.log(`  Uptime:   ${perf.system.uptimeHuman}`);
   console.log(`  Processes: ${perf.system.processCount}`);
+  
+  console.log('\nOpenClaw Processes');
+  if (!procStats.supported) {
+    console.log('  (per-process stats need /proc)');
+  }
+  for (const proc of procStats.processes) {
+    const label = `${proc.role === 'gateway' ? 'Gateway' : `Agent ${proc.name}`}:`.padEnd(16);
+    if (!proc.running) {
+      console.log(`  ${label}❌ not found`);
+      continue;
+    }
+    console.log(`  ${label}pid ${proc.pids.join(',')} | CPU ${proc.cpu}% | RSS ${formatBytes(proc.rss)} | ${proc.threads} threads | ${proc.fds ?? '?'} fds | ${proc.children} children | up ${proc.uptimeHuman}`);
+  }
 }
 
 async function showJson() {
-  const [perf, repos, gateway] = await Promise.all([
+  const [perf, processes, repos, gateway] = await Promise.all([
     getSystemPerformance(),
-    getAllRepoStatuses(),
+    getProcessStats(),
+    scanRepos(),
     checkGateway(),
   ]);
   
-  let agentHealth = null;
-  if (gateway) {
-    agentHealth = await checkAgentHealth('main');
+  const agents = {};
+  for (const agent of CONFIG.agents) {
+    agents[agent.name] = await checkAgentHealth(agent.name);
   }
   
   const output = {
     timestamp: new Date().toISOString(),
     performance: perf,
+    processes,
     gateway: { running: gateway },
-    agent: agentHealth,
+    agent: agents.main ?? null,
+    agents,
     repos,
   };
   
   console.log(JSON.stringify(output, null, 2));
 }
 
+function getOption(args, name, fallback) {
+  const i = args.indexOf(name);
+  if (i !== -1) return args[i + 1];
+  const inline = args.find(arg => arg.startsWith(`${name}=`));
+  return inline ? inline.slice(name.length + 1) : fallback;
+}
+
+function formatTime(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').slice(0, 16);
+}
+
+async function showHistory(args) {
+  const sinceText = getOption(args, '--since', '6h');
+  const range = parseDuration(sinceText);
+  if (!range) {
+    console.log(`Invalid --since "${sinceText}" (use e.g. 30m, 6h, 7d)`);
+    process.exit(1);
+  }
+  const metric = args.find((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--since');
+  const since = Date.now() - range;
+  const { tier, series } = await queryHistory({ since });
+  
+  const names = Object.keys(series);
+  if (names.length === 0) {
+    console.log(`No history in the last ${sinceText} (stored in ${CONFIG.history.dir})`);
+    return;
+  }
+  
+  if (!metric) {
+    const width = Math.max(...names.map(name => name.length)) + 2;
+    console.log(`📈 Performance history, last ${sinceText} (${tier} data)\n`);
+    console.log(`   ${'Metric'.padEnd(width)} ${'Min'.padStart(8)} ${'Avg'.padStart(8)} ${'Max'.padStart(8)}  Trend`);
+    for (const name of names) {
+      const stats = summarizeSeries(series[name]);
+      console.log(`   ${name.padEnd(width)} ${String(stats.min).padStart(8)} ${String(stats.avg).padStart(8)} ${String(stats.max).padStart(8)}  ${sparkline(series[name].map(p => p.avg), 40)}`);
+    }
+    console.log('\nRun "oam history <metric> --since <range>" for one metric in detail');
+    return;
+  }
+  
+  const points = series[metric];
+  if (!points) {
+    console.log(`No data for "${metric}". Available: ${names.join(', ')}`);
+    process.exit(1);
+  }
+  
+  const stats = summarizeSeries(points);
+  console.log(`📈 ${metric}, last ${sinceText} (${tier} data, ${stats.count} points)\n`);
+  console.log(`   Min: ${stats.min}   Avg: ${stats.avg}   Max: ${stats.max}`);
+  console.log(`   ${sparkline(points.map(p => p.avg), 72)}`);
+  console.log(`   ${formatTime(points[0].t)}${formatTime(points[points.length - 1].t).padStart(56)}\n`);
+  
+  // Split the range into rows so spikes inside it are visible
+  const rows = Math.min(12, points.length);
+  const step = points.length / rows;
+  console.log(`   ${'From'.padEnd(17)} ${'Min'.padStart(8)} ${'Avg'.padStart(8)} ${'Max'.padStart(8)}`);
+  for (let i = 0; i < rows; i++) {
+    const slice = points.slice(Math.floor(i * step), Math.floor((i + 1) * step));
+    const row = summarizeSeries(slice);
+    console.log(`   ${formatTime(slice[0].t).padEnd(17)} ${String(row.min).padStart(8)} ${String(row.avg).padStart(8)} ${String(row.max).padStart(8)}`);
+  }
+}
+
+async function showActivity(args) {
+  const sinceText = getOption(args, '--since', CONFIG.commitActivity.range);
+  const untilText = getOption(args, '--until', null);
+  const range = typeof sinceText === 'number' ? sinceText * 1000 : parseDuration(sinceText);
+  const untilAgo = untilText === null ? 0 : parseDuration(untilText);
+  if (!range || untilAgo === null) {
+    console.log('Invalid --since/--until (use e.g. 1d, 7d, 4w; --until is how long ago the range ends)');
+    process.exit(1);
+  }
+  const kind = args.includes('--agents') ? 'agent' : args.includes('--humans') ? 'human' : null;
+  const until = Date.now() - untilAgo;
+  const activity = await getCommitActivity({
+    since: Date.now() - range,
+    until,
+    repo: getOption(args, '--repo', null),
+    author: getOption(args, '--author', null),
+    kind,
+  });
+  
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(activity, null, 2));
+    return;
+  }
+  
+  const { totals, byKind } = activity;
+  const lines = t => `+${t.additions} −${t.deletions}`;
+  const share = n => (totals.commits ? `${Math.round((n / totals.commits) * 100)}%` : '0%');
+  console.log(`📈 Commit activity, ${formatTime(new Date(activity.since).getTime())} → ${formatTime(until)}\n`);
+  console.log(`   Total:  ${totals.commits} commits, ${totals.filesChanged} files, ${lines(totals)} by ${totals.authors} authors in ${totals.repos} repos`);
+  console.log(`   🤖 Agents: ${byKind.agent.commits} commits (${share(byKind.agent.commits)}), ${lines(byKind.agent)}`);
+  console.log(`   👤 Humans: ${byKind.human.commits} commits (${share(byKind.human.commits)}), ${lines(byKind.human)}`);
+  for (const { repo, error } of activity.errors) {
+    console.log(`   ❌ ${repo}: ${error}`);
+  }
+  if (!totals.commits) return;
+  
+  const row = t => `${String(t.commits).padStart(7)} ${String(t.filesChanged).padStart(6)} ${`+${t.additions}`.padStart(8)} ${`−${t.deletions}`.padStart(8)}`;
+  const header = label => `   ${label} ${'Commits'.padStart(7)} ${'Files'.padStart(6)} ${'Added'.padStart(8)} ${'Removed'.padStart(8)}`;
+  
+  const authorWidth = Math.max(...activity.byAuthor.map(a => a.name.length), 6) + 2;
+  console.log('\n👥 AUTHORS');
+  console.log(header(`${'Author'.padEnd(authorWidth)}   `));
+  for (const author of activity.byAuthor) {
+    console.log(`   ${author.name.padEnd(authorWidth)} ${author.kind === 'agent' ? '🤖' : '👤'} ${row(author)}  ${author.repos.join(', ')}`);
+  }
+  
+  const repoWidth = Math.max(...activity.byRepo.map(r => r.repo.length), 4) + 2;
+  console.log('\n📁 REPOS');
+  console.log(header('Repo'.padEnd(repoWidth)));
+  for (const repo of activity.byRepo) {
+    console.log(`   ${repo.repo.padEnd(repoWidth)} ${row(repo)}  🤖 ${repo.agentCommits} 👤 ${repo.humanCommits}`);
+  }
+  
+  const most = Math.max(...activity.byDay.map(d => d.commits));
+  console.log('\n📅 DAYS');
+  for (const day of activity.byDay) {
+    const bar = '█'.repeat(Math.max(1, Math.round((day.commits / most) * 30)));
+    console.log(`   ${day.day}  ${bar.padEnd(30)} ${String(day.commits).padStart(4)}  🤖 ${day.agentCommits} 👤 ${day.humanCommits}  ${lines(day)}`);
+  }
+}
+
+async function testNotifications(args) {
+  const channels = CONFIG.notifications.channels;
+  if (channels.length === 0) {
+    console.log('No notification channels configured (notifications.channels)');
+    return;
+  }
+  const names = channels.map((channel, i) => channel.name || `${channel.type}#${i}`);
+  const only = args.length ? args : names;
+  const failures = await sendNotification({
+    status: 'firing',
+    alert: { level: 'info', type: 'test', message: 'Test notification from OpenClaw Activity Monitor' },
+    since: new Date().toISOString(),
+    timestamp: new Date().toISOString(),
+    host: os.hostname(),
+  }, { onlyChannels: only });
+  for (const name of only) {
+    const failure = failures.find(f => f.channel === name);
+    if (!names.includes(name)) console.log(`   ❓ ${name}: no such channel`);
+    else console.log(`   ${failure ? `❌ ${name}: ${failure.error}` : `✅ ${name}`}`);
+  }
+  if (failures.length) process.exit(1);
+}
+
+const OUTCOME_ICONS = { restarted: '✅', failed: '❌', 'gave-up': '🛑', 'in-progress': '⏳' };
+
+async function showIncidents(args) {
+  const [sub = 'list', ...rest] = args;
+  
+  if (sub === 'list') {
+    const limit = parseInt(getOption(rest, '--limit', '20'));
+    const incidents = await listIncidents({ target: getOption(rest, '--target', null), limit });
+    if (!incidents.length) {
+      console.log(`No incidents recorded (in ${CONFIG.incidents.dir})`);
+      return;
+    }
+    console.log(`🚑 Incidents (newest first, ${incidents.length} shown)\n`);
+    for (const incident of incidents) {
+      const attempt = incident.attempt ? ` #${incident.attempt}` : '';
+      console.log(`   ${OUTCOME_ICONS[incident.outcome] || '❓'} ${incident.id}`);
+      console.log(`      ${formatTime(new Date(incident.openedAt).getTime())}  ${incident.target} (${incident.scope} restart${attempt}): ${incident.reason}`);
+    }
+    console.log('\nRun "oam incidents show <id>" for the full snapshot');
+    return;
+  }
+  
+  if (sub === 'show') {
+    const id = rest.find(arg => !arg.startsWith('--'));
+    if (!id) {
+      console.log('Usage: oam incidents show <id> [--json]');
+      process.exit(1);
+    }
+    const incident = await getIncident(id);
+    if (!incident) {
+      console.log(`No incident "${id}"`);
+      process.exit(1);
+    }
+    if (rest.includes('--json')) {
+      console.log(JSON.stringify(incident, null, 2));
+      return;
+    }
+    
+    const { snapshot } = incident;
+    console.log(`🚑 Incident ${incident.id}\n`);
+    console.log(`   Target:  ${incident.target} (${incident.scope} restart${incident.attempt ? `, attempt ${incident.attempt}` : ''})`);
+    console.log(`   Reason:  ${incident.reason}`);
+    console.log(`   Outcome: ${OUTCOME_ICONS[incident.outcome] || ''} ${incident.outcome}`);
+    console.log(`   Opened:  ${incident.openedAt}`);
+    console.log(`   Closed:  ${incident.closedAt || '-'}`);
+    
+    for (const [agent, probes] of Object.entries(incident.probes || {})) {
+      console.log(`\n🩺 PROBES (${agent})`);
+      for (const probe of probes) {
+        console.log(`   ${probe.ok ? '✅' : '❌'} ${probe.type}${probe.latency !== undefined ? ` ${probe.latency}ms` : ''}${probe.error ? `: ${probe.error}` : ''}`);
+        if (probe.detail) console.log(`      ${probe.detail}`);
+      }
+    }
+    
+    const perf = snapshot.performance;
+    if (perf && !perf.error) {
+      console.log('\n💻 PERFORMANCE');
+      console.log(`   CPU: ${perf.cpu.usage}% | Load: ${perf.cpu.loadAvg.join(', ')}`);
+      console.log(`   Memory: ${perf.memory.percent}% (${formatBytes(perf.memory.used)} / ${formatBytes(perf.memory.total)})`);
+      console.log(`   Disk: ${perf.disk.percent}%`);
+    }
+    
+    if (Array.isArray(snapshot.topProcesses) && snapshot.topProcesses.length) {
+      console.log('\n⚙️  TOP PROCESSES');
+      console.log(`   ${'PID'.padStart(7)} ${'CPU%'.padStart(6)} ${'MEM%'.padStart(6)} ${'RSS'.padStart(9)}  COMMAND`);
+      for (const p of snapshot.topProcesses) {
+        console.log(`   ${String(p.pid).padStart(7)} ${String(p.cpu).padStart(6)} ${String(p.memory).padStart(6)} ${formatBytes(p.rss).padStart(9)}  ${p.command.substring(0, 60)}`);
+      }
+    }
+    
+    const sessions = Array.isArray(snapshot.sessions) ? snapshot.sessions : [];
+    console.log(`\n💬 SESSIONS: ${sessions.length}`);
+    for (const session of sessions.slice(0, 20)) {
+      console.log(`   ${JSON.stringify(session).substring(0, 100)}`);
+    }
+    
+    for (const [file, lines] of Object.entries(snapshot.logs || {})) {
+      if (!Array.isArray(lines)) continue;
+      console.log(`\n📜 ${file} (last ${lines.length} lines)`);
+      for (const line of lines) console.log(`   ${line}`);
+    }
+    return;
+  }
+  
+  if (sub === 'prune') {
+    const olderText = getOption(rest, '--older-than', null);
+    const olderThan = olderText === null ? undefined : parseDuration(olderText);
+    if (olderThan === null) {
+      console.log(`Invalid --older-than "${olderText}" (use e.g. 7d)`);
+      process.exit(1);
+    }
+    const keepText = getOption(rest, '--keep', null);
+    const removed = await pruneIncidents({ olderThan, keep: keepText === null ? null : parseInt(keepText) });
+    console.log(`🧹 Removed ${removed.length} incident${removed.length === 1 ? '' : 's'}`);
+    return;
+  }
+  
+  console.log('Usage: oam incidents [list|show <id>|prune] [options]');
+  process.exit(1);
+}
+
+async function showReport(args) {
+  const sinceText = getOption(args, '--since', '7d');
+  const untilText = getOption(args, '--until', null);
+  const range = parseDuration(sinceText);
+  const untilAgo = untilText === null ? 0 : parseDuration(untilText);
+  if (!range || untilAgo === null) {
+    console.log('Invalid --since/--until (use e.g. 1d, 7d, 4w; --until is how long ago the range ends)');
+    process.exit(1);
+  }
+  const output = getOption(args, '--output', null) ?? getOption(args, '-o', null);
+  // --html/--md/--text, else from the output file's extension
+  const format = REPORT_FORMATS.find(f => args.includes(`--${f}`))
+    || (args.includes('--markdown') ? 'md' : null)
+    || { '.html': 'html', '.htm': 'html', '.md': 'md' }[output?.match(/\.\w+$/)?.[0].toLowerCase()]
+    || 'text';
+  
+  const until = Date.now() - untilAgo;
+  const report = renderReport(await buildReport({ since: until - range, until }), format);
+  if (!output) {
+    process.stdout.write(report);
+    return;
+  }
+  await fs.writeFile(output, report);
+  console.log(`📝 Wrote ${format} report for the last ${sinceText} to ${output}`);
+}
+
+// Full-screen dashboard on a terminal; plain frames every interval otherwise
+async function watchDashboard(args) {
+  const intervalText = getOption(args, '--interval', '2s');
+  const interval = /^\d+(\.\d+)?$/.test(intervalText) ? parseFloat(intervalText) * 1000 : parseDuration(intervalText);
+  if (!interval || interval < 500) {
+    console.log(`Invalid --interval "${intervalText}" (use e.g. 2s, or at least 0.5)`);
+    process.exit(1);
+  }
+  let view = getOption(args, '--view', 'overview');
+  if (!DASHBOARD_VIEWS.includes(view)) {
+    console.log(`Unknown view "${view}". Views: ${DASHBOARD_VIEWS.join(', ')}`);
+    process.exit(1);
+  }
+  const once = args.includes('--once');
+  const interactive = !once && process.stdout.isTTY && process.stdin.isTTY;
+  const sort = {};
+  const perf = createPerfSeries();
+  await perf.seed();
+  let data = null;
+  let timer = null;
+  
+  const draw = () => {
+    const frame = renderDashboard(data, {
+      view,
+      sort,
+      width: process.stdout.columns || 100,
+      height: interactive ? process.stdout.rows || 40 : Infinity,
+      color: Boolean(process.stdout.isTTY),
+      keys: interactive,
+    });
+    if (interactive) {
+      // Overwrite in place instead of clearing, so the screen doesn't flicker
+      process.stdout.write(`\x1b[H${frame.map(line => `${line}\x1b[K`).join('\n')}\x1b[J`);
+    } else {
+      console.log(`${frame.join('\n')}\n`);
+    }
+  };
+  // Back to the normal screen and cooked mode, however the process ends
+  let restored = !interactive;
+  const restoreTerminal = () => {
+    if (restored) return;
+    restored = true;
+    process.stdout.write('\x1b[?25h\x1b[?1049l');
+    process.stdin.setRawMode(false);
+  };
+  const fail = error => {
+    restoreTerminal();
+    console.error(`❌ Dashboard failed: ${error.stack || error.message}`);
+    process.exit(1);
+  };
+  // One refresh at a time: a key press during one (e.g. the CPU sample) is dropped
+  let refreshing = false;
+  const refresh = async () => {
+    if (refreshing) return;
+    refreshing = true;
+    clearTimeout(timer);
+    try {
+      const sample = await getSystemPerformance();
+      perf.push(sample);
+      data = { perf: sample, series: perf.series, daemon: await readDaemonStatus() };
+      draw();
+    } finally {
+      refreshing = false;
+    }
+    if (!once) timer = setTimeout(update, interval);
+  };
+  const update = () => refresh().catch(fail);
+  
+  if (interactive) {
+    process.on('exit', restoreTerminal);
+    process.on('uncaughtException', fail);
+    const quit = () => process.exit(0);
+    // Alternate screen, cursor hidden
+    process.stdout.write('\x1b[?1049h\x1b[?25l\x1b[2J');
+    process.stdin.setRawMode(true);
+    process.stdin.setEncoding('utf-8');
+    process.stdin.on('data', key => {
+      const table = view === 'overview' ? 'repos' : SORT_KEYS[view] ? view : null;
+      const step = offset => {
+        view = DASHBOARD_VIEWS[(DASHBOARD_VIEWS.indexOf(view) + offset + DASHBOARD_VIEWS.length) % DASHBOARD_VIEWS.length];
+      };
+      if (key === 'q' || key === '\x03' || key === '\x1b') return quit();
+      if (key === 'r') return update();
+      if (key === '\t' || key === '\x1b[C') step(1);
+      else if (key === '\x1b[Z' || key === '\x1b[D') step(-1);
+      else if (/^[1-9]$/.test(key) && DASHBOARD_VIEWS[key - 1]) view = DASHBOARD_VIEWS[key - 1];
+      else if (key === 's' && table) {
+        const keys = SORT_KEYS[table];
+        const current = sort[table]?.key ?? keys[0];
+        sort[table] = { ...sort[table], key: keys[(keys.indexOf(current) + 1) % keys.length] };
+      } else if (key === 'S' && table) {
+        sort[table] = { key: SORT_KEYS[table][0], ...sort[table], reverse: !sort[table]?.reverse };
+      } else return;
+      if (data) draw();
+    });
+    process.stdout.on('resize', () => data && draw());
+    process.on('SIGTERM', quit);
+  }
+  
+  await update();
+}
+
+function showConfig(source) {
+  console.log(`# Source: ${source || 'built-in defaults'}`);
+  if (!source) {
+    console.log('# Searched:');
+    for (const candidate of getConfigSearchPath(configPath)) {
+      console.log(`#   ${candidate}`);
+    }
+  }
+  console.log(JSON.stringify(maskSecrets(CONFIG), null, 2));
+}
+
 // Main CLI
-const command = process.argv[2];
+const { configPath, args } = parseConfigArg(process.argv.slice(2));
+const command = args[0];
+
+let configSource;
+try {
+  ({ source: configSource } = await loadConfig(configPath));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
 switch (command) {
   case 'status':
@@ -162,7 +707,7 @@ switch (command) {
     showStatus().catch(console.error);
     break;
   case 'repos':
-    showRepos().catch(console.error);
+    showRepos(args.slice(1)).catch(console.error);
     break;
   case 'perf':
   case 'performance':
@@ -171,14 +716,59 @@ switch (command) {
   case 'json':
     showJson().catch(console.error);
     break;
+  case 'history':
+    showHistory(args.slice(1)).catch(console.error);
+    break;
+  case 'activity':
+    showActivity(args.slice(1)).catch(console.error);
+    break;
+  case 'incidents':
+    showIncidents(args.slice(1)).catch(error => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+    break;
+  case 'notify-test':
+    testNotifications(args.slice(1)).catch(console.error);
+    break;
+  case 'report':
+    showReport(args.slice(1)).catch(error => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+    break;
+  case 'watch':
+    watchDashboard(args.slice(1)).catch(console.error);
+    break;
+  case 'config':
+    showConfig(configSource);
+    break;
   case 'help':
     console.log('OpenClaw Activity Monitor CLI\n');
-    console.log('Usage: node src/cli.js [command]\n');
+    console.log('Usage: node src/cli.js [command] [--config <file>]\n');
     console.log('Commands:');
     console.log('  status      Quick overview (default)');
-    console.log('  repos       Detailed repository status');
+    console.log('  repos [--stale]');
+    console.log('              Detailed repository status (only repos with stale work)');
     console.log('  perf        System performance details');
     console.log('  json        Full status as JSON');
+    console.log('  history [metric] [--since 6h]');
+    console.log('              Performance history with min/avg/max and sparklines');
+    console.log('  activity [--since 7d] [--until 0d] [--repo <name>] [--author <text>] [--agents|--humans] [--json]');
+    console.log('              Commits, files and lines changed per author, repo and day');
+    console.log('  incidents [--target <agent>] [--limit 20]');
+    console.log('              List restart incidents');
+    console.log('  incidents show <id> [--json]');
+    console.log('              Show an incident with its diagnostic snapshot');
+    console.log('  incidents prune [--older-than 30d] [--keep N]');
+    console.log('              Delete old incidents');
+    console.log('  report [--since 7d] [--until 0d] [--text|--md|--html] [--output <file>]');
+    console.log('              Uptime, restarts, performance trends, commits and incidents over a period');
+    console.log('  watch [--interval 2s] [--view overview|performance|agents|repos|logs|sessions] [--once]');
+    console.log('              Live dashboard from the daemon\'s state (plain frames when not on a terminal)');
+    console.log('  notify-test [channel...]');
+    console.log('              Send a test notification to every (or the named) channel');
+    console.log('  config      Show the effective configuration');
     console.log('  help        Show this help');
     break;
   default:
@@ -0,0 +1,196 @@
+/**
+ * OpenClaw Activity Monitor - Commit Activity
+ *
+ * Who committed what, walking git history across the monitored repos:
+ * - Commits, files changed and lines added/removed for a time range
+ * - Broken down per author, per repo and per day
+ * - Authors sorted into agents and humans via commitActivity.authors
+ */
+
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { CONFIG, parseDuration, getAllRepoStatuses } from './lib.js';
+
+const execAsync = promisify(exec);
+
+export const AUTHOR_KINDS = ['agent', 'human'];
+
+// Field and record separators that can't appear in names or subjects
+const FS = '\x1f';
+const RS = '\x1e';
+
+// ==================== AUTHORS ====================
+
+function patternToRegex(pattern) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * 'agent' or 'human' for a commit author. commitActivity.authors maps
+ * names or emails (`*` and `?` allowed, case-insensitive) to a kind; the
+ * first matching entry wins. Authors named like a configured agent are
+ * agents. Everyone else gets commitActivity.defaultKind.
+ */
+export function classifyAuthor(name, email) {
+  for (const [pattern, kind] of Object.entries(CONFIG.commitActivity.authors)) {
+    const regex = patternToRegex(pattern);
+    if (regex.test(name) || regex.test(email)) return kind;
+  }
+  if (CONFIG.agents.some(agent => agent.name.toLowerCase() === name.toLowerCase())) return 'agent';
+  return CONFIG.commitActivity.defaultKind;
+}
+
+// ==================== GIT HISTORY ====================
+
+/**
+ * Non-merge commits reachable from any ref, committed within [since, until),
+ * as [{ hash, author, email, timestamp, files, additions, deletions }].
+ * Binary files count as changed with no lines.
+ */
+export async function readCommitStats(repoPath, since, until, limit = CONFIG.commitActivity.maxCommits) {
+  const range = `--since="${new Date(since).toISOString()}" --until="${new Date(until).toISOString()}"`;
+  const { stdout } = await execAsync(
+    `git -C "${repoPath}" log --all --no-merges ${range} -n ${limit} --format="${RS}%H${FS}%an${FS}%ae${FS}%cI" --numstat`,
+    { maxBuffer: 64 * 1024 * 1024 },
+  );
+  return stdout.split(RS).filter(record => record.trim()).map(record => {
+    const [header, ...lines] = record.split('\n');
+    const [hash, author, email, timestamp] = header.split(FS);
+    const commit = { hash, author, email, timestamp, files: 0, additions: 0, deletions: 0 };
+    for (const line of lines) {
+      const [added, removed] = line.split('\t');
+      if (removed === undefined) continue;
+      commit.files++;
+      commit.additions += parseInt(added) || 0;
+      commit.deletions += parseInt(removed) || 0;
+    }
+    return commit;
+  });
+}
+
+// ==================== AGGREGATION ====================
+
+function emptyTotals() {
+  return { commits: 0, filesChanged: 0, additions: 0, deletions: 0 };
+}
+
+function addCommit(totals, commit) {
+  totals.commits++;
+  totals.filesChanged += commit.files;
+  totals.additions += commit.additions;
+  totals.deletions += commit.deletions;
+}
+
+// Local calendar day, YYYY-MM-DD
+function dayOf(timestamp) {
+  const date = new Date(timestamp);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function toMs(value) {
+  return typeof value === 'number' ? value * 1000 : parseDuration(value) ?? 0;
+}
+
+/**
+ * Commit activity across repos for a time range.
+ * @param {object} [options]
+ * @param {Array} [options.repos] - [{ name, path }]; defaults to every monitored repo
+ * @param {number} [options.since] - ms timestamp; defaults to commitActivity.range ago
+ * @param {number} [options.until] - ms timestamp; defaults to now
+ * @param {string} [options.repo] - only this repo
+ * @param {string} [options.author] - only authors whose name or email contains this
+ * @param {string} [options.kind] - only 'agent' or 'human' authors
+ * @returns {Promise<object>} { since, until, totals, byKind, byAuthor, byRepo, byDay, errors }
+ */
+export async function getCommitActivity({ repos = null, since = null, until = null, repo = null, author = null, kind = null } = {}) {
+  until ??= Date.now();
+  since ??= until - toMs(CONFIG.commitActivity.range);
+  repos ??= await getAllRepoStatuses();
+  if (repo) repos = repos.filter(r => r.name === repo);
+
+  const totals = emptyTotals();
+  const byKind = Object.fromEntries(AUTHOR_KINDS.map(k => [k, emptyTotals()]));
+  const authors = new Map();
+  const perRepo = new Map();
+  const days = new Map();
+  const errors = [];
+
+  for (const { name, path, error } of repos) {
+    if (error) {
+      errors.push({ repo: name, error });
+      continue;
+    }
+    let commits;
+    try {
+      commits = await readCommitStats(path, since, until);
+    } catch (err) {
+      errors.push({ repo: name, error: err.stderr?.trim().split('\n').pop() || err.message });
+      continue;
+    }
+    if (commits.length >= CONFIG.commitActivity.maxCommits) {
+      errors.push({ repo: name, error: `Stopped after ${commits.length} commits (commitActivity.maxCommits)` });
+    }
+
+    for (const commit of commits) {
+      const commitKind = classifyAuthor(commit.author, commit.email);
+      if (kind && commitKind !== kind) continue;
+      if (author && !`${commit.author} <${commit.email}>`.toLowerCase().includes(author.toLowerCase())) continue;
+
+      // One entry per email; the name from the newest commit wins
+      const key = commit.email.toLowerCase();
+      if (!authors.has(key)) authors.set(key, { name: commit.author, email: commit.email, kind: commitKind, ...emptyTotals(), repos: new Set() });
+      const entry = authors.get(key);
+      addCommit(entry, commit);
+      entry.repos.add(name);
+
+      if (!perRepo.has(name)) perRepo.set(name, { repo: name, ...emptyTotals(), agentCommits: 0, humanCommits: 0 });
+      const repoEntry = perRepo.get(name);
+      addCommit(repoEntry, commit);
+      repoEntry[`${commitKind}Commits`]++;
+
+      const day = dayOf(commit.timestamp);
+      if (!days.has(day)) days.set(day, { day, ...emptyTotals(), agentCommits: 0, humanCommits: 0 });
+      const dayEntry = days.get(day);
+      addCommit(dayEntry, commit);
+      dayEntry[`${commitKind}Commits`]++;
+
+      addCommit(totals, commit);
+      addCommit(byKind[commitKind], commit);
+    }
+  }
+
+  return {
+    since: new Date(since).toISOString(),
+    until: new Date(until).toISOString(),
+    totals: { ...totals, authors: authors.size, repos: perRepo.size },
+    byKind,
+    byAuthor: [...authors.values()]
+      .map(entry => ({ ...entry, repos: [...entry.repos].sort() }))
+      .sort((a, b) => b.commits - a.commits),
+    byRepo: [...perRepo.values()].sort((a, b) => b.commits - a.commits),
+    byDay: [...days.values()].sort((a, b) => a.day.localeCompare(b.day)),
+    errors,
+  };
+}
+
+/**
+ * Validate the commitActivity config section. Returns a list of problems.
+ */
+export function validateCommitActivity(config) {
+  const errors = [];
+  if (!config.authors || typeof config.authors !== 'object' || Array.isArray(config.authors)) {
+    errors.push('authors must be an object mapping names or emails to "agent" or "human"');
+  } else {
+    for (const [pattern, kind] of Object.entries(config.authors)) {
+      if (!AUTHOR_KINDS.includes(kind)) errors.push(`authors["${pattern}"] must be "agent" or "human"`);
+    }
+  }
+  if (!AUTHOR_KINDS.includes(config.defaultKind)) errors.push('defaultKind must be "agent" or "human"');
+  if (!((typeof config.range === 'number' && config.range > 0) || parseDuration(config.range) > 0)) {
+    errors.push('range must be seconds or a duration like "7d"');
+  }
+  if (!Number.isInteger(config.maxCommits) || config.maxCommits < 1) errors.push('maxCommits must be an integer of at least 1');
+  return errors;
+}
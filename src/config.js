@@ -0,0 +1,675 @@
+/**
+ * OpenClaw Activity Monitor - Configuration
+ *
+ * Loads an external config file over the built-in defaults:
+ * - Search path: --config, $OAM_CONFIG, ~/.config/openclaw-monitor/, /etc/openclaw-monitor/
+ * - JSON or YAML
+ * - OAM_* environment variable overrides
+ * - Validation with readable error messages
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CONFIG, PROBE_TYPES, parseDuration } from './lib.js';
+import { CHANNEL_TYPES, LEVELS } from './notifier.js';
+import { validateRule } from './rules.js';
+import { validateRestartPolicy } from './restart-policy.js';
+import { validateStalePolicy } from './stale-work.js';
+import { validateCommitActivity } from './commit-activity.js';
+import { validateVerifyCommands } from './verifier.js';
+import { validateSecretScan } from './secrets.js';
+import { validateSessions } from './sessions.js';
+import { validateLogTail } from './log-tailer.js';
+
+// Snapshot of the built-in defaults, taken before any file is applied
+const DEFAULTS = structuredClone(CONFIG);
+
+const CONFIG_NAMES = ['config.json', 'config.yaml', 'config.yml'];
+
+export function getConfigSearchPath(explicitPath) {
+  if (explicitPath) return [path.resolve(explicitPath)];
+  if (process.env.OAM_CONFIG) return [path.resolve(process.env.OAM_CONFIG)];
+
+  const candidates = [];
+  const xdgHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  for (const dir of [path.join(xdgHome, 'openclaw-monitor'), '/etc/openclaw-monitor']) {
+    for (const name of CONFIG_NAMES) {
+      candidates.push(path.join(dir, name));
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Pull `--config <path>` / `--config=<path>` out of an argv array.
+ * Returns the path (or null) and the remaining arguments.
+ */
+export function parseConfigArg(argv) {
+  const rest = [];
+  let configPath = null;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--config' || arg === '-c') {
+      configPath = argv[++i] ?? null;
+    } else if (arg.startsWith('--config=')) {
+      configPath = arg.slice('--config='.length);
+    } else {
+      rest.push(arg);
+    }
+  }
+  return { configPath, args: rest };
+}
+
+async function parseConfigFile(filePath) {
+  const text = await fs.readFile(filePath, 'utf-8');
+  try {
+    if (/\.ya?ml$/i.test(filePath)) {
+      const { parse } = await import('yaml');
+      return parse(text) ?? {};
+    }
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Failed to parse ${filePath}: ${error.message}`);
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge `override` onto `base`. Objects merge key by key;
+ * arrays and scalars in the override replace the base value.
+ */
+export function mergeConfig(base, override) {
+  const result = structuredClone(base);
+  for (const [key, value] of Object.entries(override || {})) {
+    if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = mergeConfig(result[key], value);
+    } else {
+      result[key] = structuredClone(value);
+    }
+  }
+  return result;
+}
+
+const SECRET_KEY = /^(token|pass|password|secret|api_?key)$|(Token|Password|Secret|ApiKey)$/i;
+
+/**
+ * Copy of `config` with secrets replaced by "***": api.token, channel
+ * passwords and anything else named like a secret, plus every HTTP header.
+ */
+export function maskSecrets(config) {
+  if (Array.isArray(config)) return config.map(maskSecrets);
+  if (!isPlainObject(config)) return config;
+  return Object.fromEntries(Object.entries(config).map(([key, value]) => {
+    if (value == null) return [key, value];
+    if (key === 'headers' && isPlainObject(value)) {
+      return [key, Object.fromEntries(Object.keys(value).map(name => [name, '***']))];
+    }
+    return [key, SECRET_KEY.test(key) && typeof value !== 'object' ? '***' : maskSecrets(value)];
+  }));
+}
+
+// healthCheckInterval -> HEALTH_CHECK_INTERVAL
+function toEnvName(segments) {
+  return 'OAM_' + segments.map(s => s.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()).join('_');
+}
+
+function coerceEnvValue(raw, template, name) {
+  if (typeof template === 'number') {
+    const num = Number(raw);
+    if (raw.trim() === '' || Number.isNaN(num)) throw new Error(`${name} must be a number, got "${raw}"`);
+    return num;
+  }
+  if (typeof template === 'boolean') {
+    if (/^(1|true|yes|on)$/i.test(raw)) return true;
+    if (/^(0|false|no|off)$/i.test(raw)) return false;
+    throw new Error(`${name} must be a boolean, got "${raw}"`);
+  }
+  if (Array.isArray(template)) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      throw new Error(`${name} must be a JSON array`);
+    }
+  }
+  return raw;
+}
+
+/**
+ * Apply OAM_* environment overrides. Every setting has a variable named
+ * after its path, e.g. thresholds.cpuWarning -> OAM_THRESHOLDS_CPU_WARNING.
+ * Arrays (repos, agents) take JSON.
+ */
+export function applyEnvOverrides(config, env = process.env, prefix = []) {
+  const result = structuredClone(config);
+  for (const [key, value] of Object.entries(result)) {
+    const segments = [...prefix, key];
+    if (isPlainObject(value)) {
+      result[key] = applyEnvOverrides(value, env, segments);
+      continue;
+    }
+    const name = toEnvName(segments);
+    if (env[name] !== undefined) {
+      result[key] = coerceEnvValue(env[name], value, name);
+    }
+  }
+  return result;
+}
+
+function validateProcessMatcher(matcher, where, errors) {
+  if (!isPlainObject(matcher)) {
+    errors.push(`${where} must be an object with pidFile, name or match`);
+    return;
+  }
+  const keys = ['pidFile', 'name', 'match'].filter(key => matcher[key] !== undefined);
+  if (keys.length === 0) errors.push(`${where} needs one of pidFile, name or match`);
+  for (const key of keys) {
+    if (typeof matcher[key] !== 'string' || !matcher[key]) errors.push(`${where}.${key} must be a non-empty string`);
+  }
+  if (typeof matcher.match === 'string') {
+    try {
+      new RegExp(matcher.match);
+    } catch (error) {
+      errors.push(`${where}.match is not a valid regex: ${error.message}`);
+    }
+  }
+}
+
+function validateProbe(probe, where, agent, errors) {
+  if (!isPlainObject(probe) || !PROBE_TYPES.includes(probe.type)) {
+    errors.push(`${where}.type must be one of: ${PROBE_TYPES.join(', ')}`);
+    return;
+  }
+  if (probe.timeout !== undefined && !(typeof probe.timeout === 'number' && probe.timeout > 0)) {
+    errors.push(`${where}.timeout must be a positive number (ms)`);
+  }
+  for (const key of ['expect']) {
+    if (probe[key] === undefined) continue;
+    try {
+      new RegExp(probe[key]);
+    } catch (error) {
+      errors.push(`${where}.${key} is not a valid regex: ${error.message}`);
+    }
+  }
+  switch (probe.type) {
+    case 'command':
+      if (!probe.command && (typeof agent.command !== 'string' || !agent.command)) {
+        errors.push(`${where}: command probe needs probe.command or the agent's command`);
+      }
+      break;
+    case 'http':
+      try {
+        new URL(probe.url);
+      } catch {
+        errors.push(`${where}.url must be a valid URL`);
+      }
+      break;
+    case 'tcp':
+      if (!Number.isInteger(probe.port) || probe.port < 1 || probe.port > 65535) {
+        errors.push(`${where}.port must be an integer between 1 and 65535`);
+      }
+      break;
+    case 'log':
+      if (typeof probe.path !== 'string' || !probe.path) errors.push(`${where}.path must be a file path`);
+      if (probe.maxAge !== undefined && !(typeof probe.maxAge === 'number' && probe.maxAge > 0) && parseDuration(probe.maxAge) === null) {
+        errors.push(`${where}.maxAge must be seconds or a duration like "10m"`);
+      }
+      break;
+  }
+}
+
+function validateTargetPolicy(policy, where, errors) {
+  if (policy === undefined) return;
+  if (!isPlainObject(policy)) {
+    errors.push(`${where}: restartPolicy must be an object`);
+    return;
+  }
+  for (const problem of validateRestartPolicy(policy, true)) errors.push(`${where}: restartPolicy.${problem}`);
+}
+
+/**
+ * Check a merged config. Returns a list of human-readable problems
+ * (empty when the config is usable).
+ */
+export function validateConfig(config) {
+  const errors = [];
+  const isNum = v => typeof v === 'number' && Number.isFinite(v);
+  const isDuration = v => (isNum(v) && v >= 0) || (typeof v === 'string' && parseDuration(v) !== null);
+
+  if (!isNum(config.healthCheckInterval) || config.healthCheckInterval < 5000) {
+    errors.push('healthCheckInterval must be a number of at least 5000 (ms)');
+  }
+  if (!isNum(config.responseTimeout) || config.responseTimeout < 10000) {
+    errors.push('responseTimeout must be a number of at least 10000 (ms)');
+  }
+  if (!isNum(config.latencyWarning) || config.latencyWarning <= 0) {
+    errors.push('latencyWarning must be a positive number (ms)');
+  }
+  if (!Number.isInteger(config.maxFailures) || config.maxFailures < 1) {
+    errors.push('maxFailures must be an integer of at least 1');
+  }
+  if (!isNum(config.restartCooldown) || config.restartCooldown < 0) {
+    errors.push('restartCooldown must be a non-negative number (ms)');
+  }
+  if (!isPlainObject(config.restartPolicy)) {
+    errors.push('restartPolicy must be an object');
+  } else {
+    for (const problem of validateRestartPolicy(config.restartPolicy)) errors.push(`restartPolicy.${problem}`);
+  }
+  if (!isNum(config.cpuSampleWindow) || config.cpuSampleWindow < 100 || config.cpuSampleWindow > 10000) {
+    errors.push('cpuSampleWindow must be a number between 100 and 10000 (ms)');
+  }
+  for (const key of ['logFile', 'fallbackLogFile', 'stateFile']) {
+    if (typeof config[key] !== 'string' || !config[key]) {
+      errors.push(`${key} must be a non-empty string`);
+    }
+  }
+
+  if (!Array.isArray(config.repos)) {
+    errors.push('repos must be an array of { name, path }');
+  } else {
+    if (config.repos.length === 0 && !config.discovery?.roots?.length) errors.push('No repos configured (list repos or set discovery.roots)');
+    const seen = new Set();
+    config.repos.forEach((repo, i) => {
+      if (!isPlainObject(repo) || typeof repo.name !== 'string' || !repo.name) {
+        errors.push(`repos[${i}].name must be a non-empty string`);
+        return;
+      }
+      if (typeof repo.path !== 'string' || !repo.path) {
+        errors.push(`repos[${i}] (${repo.name}): path must be a non-empty string`);
+      }
+      if (seen.has(repo.name)) errors.push(`repos[${i}]: duplicate repo name "${repo.name}"`);
+      if (repo.staleWork !== undefined) {
+        if (!isPlainObject(repo.staleWork)) errors.push(`repos[${i}] (${repo.name}): staleWork must be an object`);
+        else for (const problem of validateStalePolicy(repo.staleWork, true)) errors.push(`repos[${i}] (${repo.name}): staleWork.${problem}`);
+      }
+      if (repo.verify !== undefined) {
+        for (const problem of validateVerifyCommands(repo.verify)) errors.push(`repos[${i}] (${repo.name}): ${problem}`);
+      }
+      if (repo.secretScan !== undefined && typeof repo.secretScan !== 'boolean') errors.push(`repos[${i}] (${repo.name}): secretScan must be true or false`);
+      if (repo.protectedPaths !== undefined && (!Array.isArray(repo.protectedPaths) || repo.protectedPaths.some(p => typeof p !== 'string' || !p))) {
+        errors.push(`repos[${i}] (${repo.name}): protectedPaths must be a list of globs`);
+      }
+      if (repo.fetch !== undefined && typeof repo.fetch !== 'boolean') errors.push(`repos[${i}] (${repo.name}): fetch must be true or false`);
+      if (repo.fetchInterval !== undefined && (!isDuration(repo.fetchInterval) || !repo.fetchInterval)) {
+        errors.push(`repos[${i}] (${repo.name}): fetchInterval must be seconds or a duration like "15m"`);
+      }
+      seen.add(repo.name);
+    });
+  }
+
+  if (!Array.isArray(config.agents)) {
+    errors.push('agents must be an array of { name, command }');
+  } else {
+    const seen = new Set();
+    config.agents.forEach((agent, i) => {
+      if (!isPlainObject(agent) || typeof agent.name !== 'string' || !agent.name) {
+        errors.push(`agents[${i}].name must be a non-empty string`);
+        return;
+      }
+      if (seen.has(agent.name)) errors.push(`agents[${i}]: duplicate agent name "${agent.name}"`);
+      seen.add(agent.name);
+      if (agent.process !== undefined) {
+        validateProcessMatcher(agent.process, `agents[${i}].process`, errors);
+      } else if (typeof agent.command !== 'string' || !agent.command) {
+        errors.push(`agents[${i}] (${agent.name}): command must be a non-empty string`);
+      }
+      if (agent.latencyWarning !== undefined && (!isNum(agent.latencyWarning) || agent.latencyWarning <= 0)) {
+        errors.push(`agents[${i}] (${agent.name}): latencyWarning must be a positive number (ms)`);
+      }
+      if (agent.stuckAfter !== undefined && (!isDuration(agent.stuckAfter) || !agent.stuckAfter)) {
+        errors.push(`agents[${i}] (${agent.name}): stuckAfter must be seconds or a duration like "30m"`);
+      }
+      validateTargetPolicy(agent.restartPolicy, `agents[${i}] (${agent.name})`, errors);
+      for (const key of ['restartCommand', 'stopCommand', 'startCommand']) {
+        if (agent[key] !== undefined && (typeof agent[key] !== 'string' || !agent[key])) {
+          errors.push(`agents[${i}] (${agent.name}): ${key} must be a non-empty string`);
+        }
+      }
+      if (Boolean(agent.stopCommand) !== Boolean(agent.startCommand)) {
+        errors.push(`agents[${i}] (${agent.name}): stopCommand and startCommand must be set together`);
+      }
+      if (agent.drainTimeout !== undefined && !isDuration(agent.drainTimeout)) {
+        errors.push(`agents[${i}] (${agent.name}): drainTimeout must be seconds or a duration like "30s"`);
+      }
+      if (agent.probes !== undefined) {
+        if (!Array.isArray(agent.probes)) {
+          errors.push(`agents[${i}] (${agent.name}): probes must be an array`);
+        } else {
+          agent.probes.forEach((probe, j) => validateProbe(probe, `agents[${i}].probes[${j}]`, agent, errors));
+        }
+      }
+    });
+  }
+
+  if (!isPlainObject(config.gateway)) {
+    errors.push('gateway must be an object');
+  } else {
+    validateProcessMatcher(config.gateway.process, 'gateway.process', errors);
+    validateTargetPolicy(config.gateway.restartPolicy, 'gateway', errors);
+    if (!Number.isInteger(config.gateway.escalateAfter) || config.gateway.escalateAfter < 1) {
+      errors.push('gateway.escalateAfter must be an integer of at least 1');
+    }
+    if (!isDuration(config.gateway.drainTimeout)) {
+      errors.push('gateway.drainTimeout must be seconds or a duration like "30s"');
+    }
+  }
+
+  if (!isPlainObject(config.sessions)) {
+    errors.push('sessions must be an object');
+  } else {
+    for (const problem of validateSessions(config.sessions)) errors.push(`sessions.${problem}`);
+  }
+
+  if (!isPlainObject(config.logTail)) {
+    errors.push('logTail must be an object');
+  } else {
+    for (const problem of validateLogTail(config.logTail, LEVELS)) errors.push(`logTail.${problem}`);
+  }
+
+  if (!isPlainObject(config.staleWork)) {
+    errors.push('staleWork must be an object');
+  } else {
+    for (const problem of validateStalePolicy(config.staleWork)) errors.push(`staleWork.${problem}`);
+  }
+
+  if (!isPlainObject(config.commitActivity)) {
+    errors.push('commitActivity must be an object');
+  } else {
+    for (const problem of validateCommitActivity(config.commitActivity)) errors.push(`commitActivity.${problem}`);
+  }
+
+  if (!isPlainObject(config.secretScan)) {
+    errors.push('secretScan must be an object');
+  } else {
+    for (const problem of validateSecretScan(config.secretScan)) errors.push(`secretScan.${problem}`);
+  }
+
+  const verify = config.verify;
+  if (!isPlainObject(verify)) {
+    errors.push('verify must be an object');
+  } else {
+    if (typeof verify.dir !== 'string' || !verify.dir) errors.push('verify.dir must be a non-empty string');
+    for (const key of ['concurrency', 'outputBytes', 'keep']) {
+      if (!Number.isInteger(verify[key]) || verify[key] < 1) errors.push(`verify.${key} must be an integer of at least 1`);
+    }
+    if (!isDuration(verify.timeout) || !verify.timeout) errors.push('verify.timeout must be seconds or a duration like "10m"');
+  }
+
+  const fetchConfig = config.fetch;
+  if (!isPlainObject(fetchConfig)) {
+    errors.push('fetch must be an object');
+  } else {
+    if (typeof fetchConfig.enabled !== 'boolean') errors.push('fetch.enabled must be true or false');
+    if (!Number.isInteger(fetchConfig.concurrency) || fetchConfig.concurrency < 1) errors.push('fetch.concurrency must be an integer of at least 1');
+    for (const key of ['interval', 'timeout', 'staleAfter']) {
+      if (!isDuration(fetchConfig[key]) || !fetchConfig[key]) errors.push(`fetch.${key} must be seconds or a duration like "15m"`);
+    }
+  }
+
+  const discovery = config.discovery;
+  if (!isPlainObject(discovery)) {
+    errors.push('discovery must be an object');
+  } else {
+    if (!Array.isArray(discovery.roots) || discovery.roots.some(root => typeof root !== 'string' || !root)) {
+      errors.push('discovery.roots must be an array of directory paths');
+    }
+    if (!Number.isInteger(discovery.maxDepth) || discovery.maxDepth < 0) {
+      errors.push('discovery.maxDepth must be a non-negative integer');
+    }
+    if (!Array.isArray(discovery.ignore) || discovery.ignore.some(glob => typeof glob !== 'string' || !glob)) {
+      errors.push('discovery.ignore must be an array of globs');
+    }
+    for (const key of ['submodules', 'nested']) {
+      if (typeof discovery[key] !== 'boolean') errors.push(`discovery.${key} must be true or false`);
+    }
+  }
+
+  const t = config.thresholds;
+  if (!isPlainObject(t)) {
+    errors.push('thresholds must be an object');
+  } else {
+    for (const metric of ['cpu', 'memory', 'disk', 'inode']) {
+      const warning = t[`${metric}Warning`];
+      const critical = t[`${metric}Critical`];
+      for (const [key, value] of [[`${metric}Warning`, warning], [`${metric}Critical`, critical]]) {
+        if (!isNum(value) || value < 0 || value > 100) {
+          errors.push(`thresholds.${key} must be a percentage between 0 and 100`);
+        }
+      }
+      if (isNum(warning) && isNum(critical) && warning > critical) {
+        errors.push(`thresholds.${metric}Warning (${warning}) must not exceed ${metric}Critical (${critical})`);
+      }
+    }
+    if (!isPlainObject(t.mounts)) {
+      errors.push('thresholds.mounts must be an object keyed by mount point');
+    } else {
+      for (const [mount, overrides] of Object.entries(t.mounts)) {
+        if (!isPlainObject(overrides)) {
+          errors.push(`thresholds.mounts["${mount}"] must be an object`);
+          continue;
+        }
+        for (const [key, value] of Object.entries(overrides)) {
+          if (!['diskWarning', 'diskCritical', 'inodeWarning', 'inodeCritical'].includes(key)) {
+            errors.push(`thresholds.mounts["${mount}"].${key} is not a known threshold`);
+          } else if (!isNum(value) || value < 0 || value > 100) {
+            errors.push(`thresholds.mounts["${mount}"].${key} must be a percentage between 0 and 100`);
+          }
+        }
+      }
+    }
+  }
+
+  const filesystems = config.filesystems;
+  if (!isPlainObject(filesystems)) {
+    errors.push('filesystems must be an object');
+  } else {
+    for (const key of ['excludeTypes', 'excludeMounts', 'includeMounts']) {
+      const list = filesystems[key];
+      if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+        errors.push(`filesystems.${key} must be an array of strings`);
+        continue;
+      }
+      if (key === 'excludeTypes') continue;
+      for (const pattern of list) {
+        try {
+          new RegExp(pattern);
+        } catch (error) {
+          errors.push(`filesystems.${key}: "${pattern}" is not a valid regex: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  const events = config.events;
+  if (!isPlainObject(events)) {
+    errors.push('events must be an object');
+  } else {
+    if (typeof events.file !== 'string' || !events.file) errors.push('events.file must be a non-empty string');
+    for (const key of ['maxBytes', 'keep', 'window', 'maxCommits']) {
+      if (!Number.isInteger(events[key]) || events[key] < 1) errors.push(`events.${key} must be a positive integer`);
+    }
+  }
+
+  const incidents = config.incidents;
+  if (!isPlainObject(incidents)) {
+    errors.push('incidents must be an object');
+  } else {
+    if (typeof incidents.dir !== 'string' || !incidents.dir) errors.push('incidents.dir must be a non-empty string');
+    for (const key of ['logLines', 'topProcesses', 'retentionDays']) {
+      if (!Number.isInteger(incidents[key]) || incidents[key] < 0) errors.push(`incidents.${key} must be a non-negative integer`);
+    }
+  }
+
+  const history = config.history;
+  if (!isPlainObject(history)) {
+    errors.push('history must be an object');
+  } else {
+    if (typeof history.enabled !== 'boolean') errors.push('history.enabled must be true or false');
+    if (typeof history.dir !== 'string' || !history.dir) errors.push('history.dir must be a non-empty string');
+    if (!isNum(history.maxBytes) || history.maxBytes < 1024 * 1024) errors.push('history.maxBytes must be at least 1048576 (1 MB)');
+    if (!Array.isArray(history.tiers) || history.tiers.length === 0) {
+      errors.push('history.tiers must be a non-empty array of { name, resolution, retention }');
+    } else {
+      history.tiers.forEach((tier, i) => {
+        if (!isPlainObject(tier) || typeof tier.name !== 'string' || !/^[\w.-]+$/.test(tier.name)) {
+          errors.push(`history.tiers[${i}].name must be a simple file name`);
+          return;
+        }
+        if (!isNum(tier.resolution) || tier.resolution < 0) {
+          errors.push(`history.tiers[${i}] (${tier.name}): resolution must be a non-negative number of seconds`);
+        }
+        if (!isNum(tier.retention) || tier.retention <= 0) {
+          errors.push(`history.tiers[${i}] (${tier.name}): retention must be a positive number of seconds`);
+        }
+        const prev = history.tiers[i - 1];
+        if (prev && isNum(prev.resolution) && isNum(tier.resolution) && tier.resolution <= prev.resolution) {
+          errors.push(`history.tiers[${i}] (${tier.name}): tiers must be ordered from finest to coarsest resolution`);
+        }
+      });
+    }
+  }
+
+  const alerting = config.alerting;
+  if (!isPlainObject(alerting)) {
+    errors.push('alerting must be an object');
+  } else {
+    if (!isPlainObject(alerting.for)) {
+      errors.push('alerting.for must be an object of { cpu, memory, disk } durations');
+    } else {
+      for (const key of ['cpu', 'memory', 'disk']) {
+        if (!isDuration(alerting.for[key])) errors.push(`alerting.for.${key} must be seconds or a duration like "5m"`);
+      }
+    }
+    if (!isNum(alerting.hysteresis) || alerting.hysteresis < 0) errors.push('alerting.hysteresis must be a non-negative number');
+    if (!isNum(alerting.keepResolved) || alerting.keepResolved < 0) errors.push('alerting.keepResolved must be a non-negative number of seconds');
+  }
+
+  if (!Array.isArray(config.rules)) {
+    errors.push('rules must be an array');
+  } else {
+    const seen = new Set();
+    config.rules.forEach((rule, i) => {
+      if (!isPlainObject(rule)) {
+        errors.push(`rules[${i}] must be an object`);
+        return;
+      }
+      for (const problem of validateRule(rule)) {
+        errors.push(`rules[${i}]${rule.name ? ` (${rule.name})` : ''}: ${problem}`);
+      }
+      if (seen.has(rule.name)) errors.push(`rules[${i}]: duplicate rule name "${rule.name}"`);
+      seen.add(rule.name);
+    });
+  }
+
+  const notifications = config.notifications;
+  if (!isPlainObject(notifications)) {
+    errors.push('notifications must be an object');
+  } else {
+    if (!isNum(notifications.repeatInterval) || notifications.repeatInterval < 0) {
+      errors.push('notifications.repeatInterval must be a non-negative number of seconds');
+    }
+    if (!Array.isArray(notifications.channels)) {
+      errors.push('notifications.channels must be an array');
+    } else {
+      notifications.channels.forEach((channel, i) => {
+        const where = `notifications.channels[${i}]`;
+        if (!isPlainObject(channel) || !CHANNEL_TYPES.includes(channel.type)) {
+          errors.push(`${where}.type must be one of: ${CHANNEL_TYPES.join(', ')}`);
+          return;
+        }
+        if (channel.level !== undefined && !LEVELS.includes(channel.level)) {
+          errors.push(`${where}.level must be one of: ${LEVELS.join(', ')}`);
+        }
+        if (['webhook', 'slack', 'discord'].includes(channel.type)) {
+          try {
+            new URL(channel.url);
+          } catch {
+            errors.push(`${where} (${channel.type}): url must be a valid URL`);
+          }
+        }
+        if (channel.type === 'email') {
+          if (typeof channel.from !== 'string' || !channel.from) errors.push(`${where} (email): from is required`);
+          const to = [].concat(channel.to ?? []);
+          if (to.length === 0 || to.some(addr => typeof addr !== 'string' || !addr)) {
+            errors.push(`${where} (email): to must be an address or a list of addresses`);
+          }
+        }
+        if (channel.type === 'command' && (typeof channel.command !== 'string' || !channel.command)) {
+          errors.push(`${where} (command): command is required`);
+        }
+      });
+    }
+  }
+
+  const api = config.api;
+  if (!isPlainObject(api)) {
+    errors.push('api must be an object');
+  } else {
+    if (typeof api.enabled !== 'boolean') errors.push('api.enabled must be true or false');
+    if (typeof api.host !== 'string' || !api.host) errors.push('api.host must be a non-empty string');
+    if (!Number.isInteger(api.port) || api.port < 0 || api.port > 65535) {
+      errors.push('api.port must be an integer between 0 and 65535');
+    }
+    if (api.token !== null && (typeof api.token !== 'string' || !api.token)) {
+      errors.push('api.token must be a non-empty string or null');
+    }
+  }
+
+  return errors;
+}
+
+async function findConfigFile(explicitPath) {
+  const candidates = getConfigSearchPath(explicitPath);
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch {}
+  }
+  if (explicitPath || process.env.OAM_CONFIG) {
+    throw new Error(`Config file not found: ${candidates[0]}`);
+  }
+  return null;
+}
+
+/**
+ * Resolve, merge and validate the config without touching CONFIG.
+ * Throws with every validation problem listed when the result is unusable.
+ */
+export async function resolveConfig(explicitPath) {
+  const source = await findConfigFile(explicitPath);
+  const fileConfig = source ? await parseConfigFile(source) : {};
+  if (!isPlainObject(fileConfig)) {
+    throw new Error(`${source}: top level must be an object`);
+  }
+
+  const config = applyEnvOverrides(mergeConfig(DEFAULTS, fileConfig));
+  const errors = validateConfig(config);
+  if (errors.length) {
+    const error = new Error(`Invalid configuration${source ? ` in ${source}` : ''}:\n  - ${errors.join('\n  - ')}`);
+    error.errors = errors;
+    throw error;
+  }
+  return { config, source };
+}
+
+/**
+ * Load the config and apply it to the shared CONFIG object in place, so
+ * every module that imported CONFIG sees the new values.
+ */
+export async function loadConfig(explicitPath) {
+  const { config, source } = await resolveConfig(explicitPath);
+
+  const changed = Object.keys({ ...CONFIG, ...config })
+    .filter(key => JSON.stringify(CONFIG[key]) !== JSON.stringify(config[key]));
+  for (const key of Object.keys(CONFIG)) {
+    if (!(key in config)) delete CONFIG[key];
+  }
+  Object.assign(CONFIG, config);
+
+  return { config: CONFIG, source, changed };
+}
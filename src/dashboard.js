@@ -0,0 +1,417 @@
+/**
+ * OpenClaw Activity Monitor - Live Dashboard
+ *
+ * Data and rendering for `oam watch`:
+ * - Agents, repos, sessions, log errors and alerts come from the daemon:
+ *   its status API when enabled, else the state file it saves every check.
+ *   Nothing here runs git or openclaw commands.
+ * - System performance is sampled locally every frame, with sparklines
+ *   seeded from the stored history
+ *
+ * renderDashboard() turns one snapshot into lines of text, with or without
+ * ANSI colors; the CLI owns the terminal (screen, keys, refresh loop).
+ */
+
+import os from 'os';
+import fetch from 'node-fetch';
+import { CONFIG, formatBytes, sparkline } from './lib.js';
+import { flattenSample, queryHistory } from './history.js';
+import { getRestartPolicy, describeRestartState } from './restart-policy.js';
+import { findStaleWork } from './stale-work.js';
+import { getSyncFreshness } from './fetcher.js';
+import { readStateFile } from './state-file.js';
+
+export const DASHBOARD_VIEWS = ['overview', 'performance', 'agents', 'repos', 'logs', 'sessions'];
+
+// Sort keys per table, the first is the default
+export const SORT_KEYS = {
+  agents: ['name', 'status', 'latency', 'failures'],
+  repos: ['name', 'changes', 'sync', 'status'],
+  sessions: ['idle', 'running', 'agent'],
+};
+
+const STATUS_RANK = { unhealthy: 0, degraded: 1, unknown: 2, healthy: 3 };
+
+// ==================== DATA ====================
+
+/**
+ * Rolling performance series for the sparklines: { metric: [values] },
+ * at most `limit` values each, oldest first.
+ */
+export function createPerfSeries(limit = 120) {
+  const series = {};
+  return {
+    series,
+    push(perf) {
+      for (const [metric, value] of Object.entries(flattenSample(perf))) {
+        (series[metric] ||= []).push(value);
+        series[metric].splice(0, Math.max(0, series[metric].length - limit));
+      }
+    },
+    // Start from stored history so the lines aren't empty on the first frame
+    async seed(range = 3600000) {
+      if (!CONFIG.history.enabled) return;
+      const { series: stored } = await queryHistory({ since: Date.now() - range }).catch(() => ({ series: {} }));
+      for (const [metric, points] of Object.entries(stored)) {
+        series[metric] = points.map(point => point.avg).slice(-limit);
+      }
+    },
+  };
+}
+
+/**
+ * The daemon's view of agents, repos, sessions and logs as
+ * { source: 'api' | 'state' | null, status, savedAt, error }. `status`
+ * has the getStatus() shape, or the parts of it the state file can
+ * provide; it is null when no daemon state was found.
+ */
+export async function readDaemonStatus() {
+  let apiError = null;
+  if (CONFIG.api.enabled) {
+    const host = ['0.0.0.0', '::'].includes(CONFIG.api.host) ? '127.0.0.1' : CONFIG.api.host;
+    try {
+      const response = await fetch(`http://${host.includes(':') ? `[${host}]` : host}:${CONFIG.api.port}/status`, {
+        headers: CONFIG.api.token ? { Authorization: `Bearer ${CONFIG.api.token}` } : {},
+        signal: AbortSignal.timeout(2000),
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return { source: 'api', status: await response.json(), savedAt: Date.now(), error: null };
+    } catch (error) {
+      apiError = `status API: ${error.message}`;
+    }
+  }
+  try {
+    const saved = await readStateFile();
+    if (!saved) return { source: null, status: null, savedAt: null, error: apiError };
+    return { source: 'state', status: statusFromState(saved), savedAt: Date.parse(saved.savedAt) || null, error: apiError };
+  } catch (error) {
+    return { source: null, status: null, savedAt: null, error: `state file: ${error.message}` };
+  }
+}
+
+/**
+ * Rebuild the getStatus() fields the dashboard uses from a state file.
+ */
+export function statusFromState(saved, now = Date.now()) {
+  const sessions = saved.sessions || { active: [], ended: [] };
+  const agents = {};
+  for (const [name, agent] of Object.entries(saved.agents || {})) {
+    agents[name] = {
+      status: agent.status,
+      latency: agent.lastLatency,
+      consecutiveFailures: agent.consecutiveFailures,
+      totalRestarts: agent.totalRestarts,
+      sessions: sessions.active.filter(session => session.agent === name).length,
+      stuckSessions: agent.stuckSessions || 0,
+      logs: agent.logs ?? null,
+      restart: agent.restart ? describeRestartState(agent.restart, getRestartPolicy(CONFIG.agents.find(a => a.name === name)), now) : null,
+    };
+  }
+  const repos = {};
+  for (const [name, repo] of Object.entries(saved.repos || {})) {
+    repos[name] = repo.error ? { error: repo.error } : {
+      branch: repo.branch,
+      latestCommit: repo.latestCommit?.message?.substring(0, 50),
+      uncommittedChanges: repo.uncommittedChanges,
+      ahead: repo.ahead,
+      behind: repo.behind,
+      syncStale: getSyncFreshness(repo, saved.fetch?.[name], now).reason || false,
+      staleWork: findStaleWork(repo, now).map(({ kind, level, message }) => ({ kind, level, message })),
+      ...(saved.verify?.[name] ? { verify: saved.verify[name] } : {}),
+      ...(repo.secrets?.length ? { secrets: repo.secrets } : {}),
+    };
+  }
+  return {
+    monitor: { totalChecks: saved.totalChecks, lastCheck: saved.lastCheck },
+    gateway: {
+      running: saved.gateway?.running ?? null,
+      restart: saved.gateway?.restart ? describeRestartState(saved.gateway.restart, getRestartPolicy(CONFIG.gateway), now) : null,
+    },
+    agents,
+    repos,
+    alerts: saved.alerts?.active || [],
+    logs: {
+      window: CONFIG.logTail.window,
+      rates: Object.fromEntries(Object.entries(saved.activity?.logRates || {}).map(([agent, rates]) => [agent, rates.window])),
+      recentErrors: saved.activity?.recentErrors || [],
+    },
+    sessions: { active: sessions.active, recentlyEnded: sessions.ended || [] },
+  };
+}
+
+// ==================== LAYOUT ====================
+
+const ANSI = { bold: 1, dim: 2, inverse: 7, red: 31, green: 32, yellow: 33, cyan: 36 };
+
+function painter(color) {
+  return (style, text) => (color && style ? `\x1b[${[].concat(style).map(s => ANSI[s]).join(';')}m${text}\x1b[0m` : text);
+}
+
+function fit(text, width) {
+  const value = String(text ?? '');
+  return value.length > width ? `${value.slice(0, Math.max(0, width - 1))}…` : value.padEnd(width);
+}
+
+/**
+ * Format rows as columns: [{ title, width, align }] and rows of
+ * [text, style] cells (or plain text). The last column takes what's left.
+ */
+function table(paint, columns, rows, width) {
+  const used = columns.slice(0, -1).reduce((sum, column) => sum + column.width + 1, 2);
+  const widths = columns.map((column, i) => (i === columns.length - 1 ? Math.max(column.width, width - used) : column.width));
+  const cell = (value, i) => {
+    const [text, style] = Array.isArray(value) ? value : [value, null];
+    const padded = columns[i].align === 'right' ? fit(text, widths[i]).trimEnd().padStart(widths[i]) : fit(text, widths[i]);
+    return paint(style, padded);
+  };
+  return [
+    `  ${paint('dim', columns.map((column, i) => fit(column.title, widths[i])).join(' '))}`,
+    ...rows.map(row => `  ${row.map(cell).join(' ')}`),
+  ];
+}
+
+export function formatCountdown(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+  return `${Math.floor(seconds / 3600)}h ${String(Math.floor(seconds / 60) % 60).padStart(2, '0')}m`;
+}
+
+function age(iso, now) {
+  return iso ? formatCountdown(now - Date.parse(iso)) : '-';
+}
+
+function levelStyle(level) {
+  return { critical: 'red', error: 'red', warning: 'yellow', warn: 'yellow' }[level] || null;
+}
+
+// ==================== PANELS ====================
+
+function performancePanel(paint, perf, series, width, detailed) {
+  if (!perf) return ['  (no sample yet)'];
+  const spark = metric => sparkline(series[metric] || [], Math.max(10, Math.min(detailed ? 90 : 60, width - 36)));
+  const percentStyle = (value, warn, critical) => (value >= critical ? 'red' : value >= warn ? 'yellow' : 'green');
+  const thresholds = CONFIG.thresholds;
+  const row = (label, value, style, metric) => `  ${fit(label, 14)} ${paint(style, fit(value, 16))} ${paint('cyan', spark(metric))}`;
+
+  const lines = [
+    row('CPU', `${perf.cpu.usage}%`, percentStyle(perf.cpu.usage, thresholds.cpuWarning, thresholds.cpuCritical), 'cpu'),
+    row('Memory', `${perf.memory.percent}%`, percentStyle(perf.memory.percent, thresholds.memoryWarning, thresholds.memoryCritical), 'memory'),
+    row('Load', perf.cpu.loadAvg.map(l => l.toFixed(2)).join(' '), null, 'load1'),
+  ];
+  for (const fs of perf.filesystems || []) {
+    lines.push(row(`Disk ${fs.mount}`, `${fs.percent}%`, percentStyle(fs.percent, thresholds.diskWarning, thresholds.diskCritical), `disk:${fs.mount}`));
+  }
+  if (detailed) {
+    lines.push(
+      '',
+      row('iowait', `${perf.cpu.breakdown.iowait}%`, null, 'iowait'),
+      row('Processes', perf.system.processCount, null, 'processes'),
+      `  ${fit('Cores', 14)} ${perf.cpu.perCore.map(usage => `${Math.round(usage)}%`).join(' ')}`,
+      `  ${fit('Memory used', 14)} ${formatBytes(perf.memory.used)} / ${formatBytes(perf.memory.total)}`,
+      `  ${fit('Uptime', 14)} ${perf.system.uptimeHuman}`,
+    );
+  }
+  return lines;
+}
+
+function restartText(agent, now) {
+  const restart = agent.restart;
+  if (!restart) return ['-', null];
+  if (restart.state === 'gave-up') return [`gave up ${age(restart.openedAt, now)} ago`, 'red'];
+  if (restart.state === 'backoff') return [`next in ${formatCountdown(Date.parse(restart.nextRestartAt) - now)}`, 'yellow'];
+  if (agent.consecutiveFailures > 0) return [`at ${CONFIG.maxFailures} failures`, 'yellow'];
+  return [`ready (${restart.restartsInWindow}/${restart.maxRestarts})`, null];
+}
+
+function sortRows(rows, key, reverse, compare) {
+  const sorted = [...rows].sort((a, b) => compare[key](a, b) || compare.name(a, b));
+  return reverse ? sorted.reverse() : sorted;
+}
+
+function agentsPanel(paint, status, sort, width, now) {
+  const gateway = status.gateway;
+  const gatewayLine = gateway.running === null ? paint('dim', 'gateway unknown')
+    : gateway.running ? paint('green', 'gateway running') : paint('red', 'gateway down');
+  const gatewayRestart = gateway.restart && gateway.restart.state !== 'ready' ? ` (${restartText({ restart: gateway.restart, consecutiveFailures: 0 }, now)[0]})` : '';
+  const agents = Object.entries(status.agents).map(([name, agent]) => ({ name, ...agent }));
+  const sorted = sortRows(agents, sort.key, sort.reverse, {
+    name: (a, b) => a.name.localeCompare(b.name),
+    status: (a, b) => (STATUS_RANK[a.status] ?? 2) - (STATUS_RANK[b.status] ?? 2),
+    latency: (a, b) => (b.latency ?? -1) - (a.latency ?? -1),
+    failures: (a, b) => b.consecutiveFailures - a.consecutiveFailures,
+  });
+  const statusStyle = { healthy: 'green', degraded: 'yellow', unhealthy: 'red' };
+  const rows = sorted.map(agent => [
+    agent.name,
+    [agent.status, statusStyle[agent.status]],
+    agent.latency !== null && agent.latency !== undefined ? `${agent.latency}ms` : '-',
+    [`${agent.consecutiveFailures}/${CONFIG.maxFailures}`, agent.consecutiveFailures ? 'yellow' : null],
+    restartText(agent, now),
+    [`${agent.sessions ?? 0}${agent.stuckSessions ? ` (${agent.stuckSessions} stuck)` : ''}`, agent.stuckSessions ? 'yellow' : null],
+    [agent.logs ? `${agent.logs.error || 0} / ${agent.logs.warn || 0}` : '-', agent.logs?.error ? 'red' : null],
+  ]);
+  return [
+    `  ${gatewayLine}${gatewayRestart}`,
+    ...table(paint, [
+      { title: 'AGENT', width: 14 },
+      { title: 'STATUS', width: 10 },
+      { title: 'LATENCY', width: 8, align: 'right' },
+      { title: 'FAILS', width: 5, align: 'right' },
+      { title: 'RESTART', width: 20 },
+      { title: 'SESSIONS', width: 14 },
+      { title: `ERR / WARN ${status.logs?.window || ''}`, width: 14 },
+    ], rows, width),
+  ];
+}
+
+function reposPanel(paint, status, sort, width) {
+  const repos = Object.entries(status.repos).map(([name, repo]) => ({ name, ...repo }));
+  const problems = repo => (repo.error ? 3 : 0) + (repo.secrets?.length ? 2 : 0) + (repo.verify?.status && repo.verify.status !== 'passed' ? 1 : 0)
+    + (repo.staleWork || []).filter(finding => finding.level === 'warning').length;
+  const sorted = sortRows(repos, sort.key, sort.reverse, {
+    name: (a, b) => a.name.localeCompare(b.name),
+    changes: (a, b) => (b.uncommittedChanges || 0) - (a.uncommittedChanges || 0),
+    sync: (a, b) => ((b.ahead || 0) + (b.behind || 0)) - ((a.ahead || 0) + (a.behind || 0)),
+    status: (a, b) => problems(b) - problems(a),
+  });
+  const rows = sorted.map(repo => {
+    if (repo.error) return [repo.name, '', '', '', ['error', 'red'], [repo.error, 'red']];
+    const sync = [repo.ahead ? `↑${repo.ahead}` : '', repo.behind ? `↓${repo.behind}` : ''].filter(Boolean).join(' ') || '=';
+    const verify = repo.verify ? [repo.verify.status, repo.verify.status === 'passed' ? 'green' : 'red'] : '';
+    const flags = [
+      ...(repo.secrets?.length ? [[`${repo.secrets.length} secret${repo.secrets.length === 1 ? '' : 's'}`, 'red']] : []),
+      ...(repo.staleWork || []).filter(finding => finding.level === 'warning').map(finding => [finding.kind, 'yellow']),
+    ];
+    const note = flags.length ? [flags.map(([text]) => text).join(', '), flags[0][1]] : repo.latestCommit || '';
+    return [
+      repo.name,
+      repo.branch,
+      [repo.uncommittedChanges ? `${repo.uncommittedChanges}` : '-', repo.uncommittedChanges ? 'yellow' : null],
+      [`${sync}${repo.syncStale ? ' ?' : ''}`, repo.behind ? 'yellow' : null],
+      verify,
+      note,
+    ];
+  });
+  return table(paint, [
+    { title: 'REPO', width: 22 },
+    { title: 'BRANCH', width: 14 },
+    { title: 'DIRTY', width: 5, align: 'right' },
+    { title: 'SYNC', width: 8 },
+    { title: 'VERIFY', width: 7 },
+    { title: 'NOTES', width: 20 },
+  ], rows, width);
+}
+
+function logsPanel(paint, status, width) {
+  const lines = [...(status.logs?.recentErrors || [])].reverse();
+  if (!lines.length) return [paint('dim', '  no warnings or errors')];
+  return lines.map(entry => `  ${paint(levelStyle(entry.level), fit(entry.level, 5))} ${fit(entry.agent, 12)} ${fit(entry.line, Math.max(10, width - 22))}`);
+}
+
+function sessionsPanel(paint, status, sort, width, now) {
+  const active = (status.sessions?.active || []).map(session => ({
+    ...session,
+    name: session.id,
+    running: now - Date.parse(session.startedAt),
+    idle: now - Date.parse(session.lastProgressAt || session.startedAt),
+  }));
+  if (!active.length) return [paint('dim', '  no active sessions')];
+  const sorted = sortRows(active, sort.key, sort.reverse, {
+    name: (a, b) => a.name.localeCompare(b.name),
+    idle: (a, b) => b.idle - a.idle,
+    running: (a, b) => b.running - a.running,
+    agent: (a, b) => String(a.agent).localeCompare(String(b.agent)),
+  });
+  return table(paint, [
+    { title: 'SESSION', width: 24 },
+    { title: 'AGENT', width: 14 },
+    { title: 'RUNNING', width: 8, align: 'right' },
+    { title: 'IDLE', width: 8, align: 'right' },
+    { title: 'STATE', width: 10 },
+  ], sorted.map(session => [
+    session.id,
+    session.agent || '-',
+    formatCountdown(session.running),
+    [formatCountdown(session.idle), session.stuck ? 'yellow' : null],
+    session.stuck ? ['stuck', 'yellow'] : session.status || 'active',
+  ]), width);
+}
+
+// ==================== FRAME ====================
+
+function sourceText(daemon, now) {
+  if (daemon.source === 'api') return ['daemon: live', 'green'];
+  if (daemon.source === 'state') {
+    const stale = daemon.savedAt && now - daemon.savedAt > CONFIG.healthCheckInterval * 3;
+    return [`daemon: state saved ${daemon.savedAt ? formatCountdown(now - daemon.savedAt) : '?'} ago${stale ? ' (not running?)' : ''}`, stale ? 'yellow' : null];
+  }
+  return ['daemon: no state found', 'red'];
+}
+
+/**
+ * Render one frame as lines of text.
+ * @param {object} data - { perf, series, daemon (readDaemonStatus() result) }
+ * @param {object} [options]
+ * @param {string} [options.view] - one of DASHBOARD_VIEWS
+ * @param {object} [options.sort] - { agents, repos, sessions }: { key, reverse }
+ * @param {number} [options.width] - columns
+ * @param {number} [options.height] - rows; panels are cut to fit the overview
+ * @param {boolean} [options.color] - ANSI colors and highlighting
+ * @param {boolean} [options.keys] - show the keyboard help line
+ * @returns {string[]}
+ */
+export function renderDashboard(data, { view = 'overview', sort = {}, width = 100, height = Infinity, color = false, keys = false, now = Date.now() } = {}) {
+  const paint = painter(color);
+  const sortOf = table => ({ key: SORT_KEYS[table][0], reverse: false, ...sort[table] });
+  const status = data.daemon?.status;
+  const [source, sourceStyle] = sourceText(data.daemon || {}, now);
+  const title = `OpenClaw Activity Monitor · ${os.hostname()} · ${new Date(now).toLocaleTimeString()}`;
+
+  const lines = [
+    `${paint('bold', title)}${' '.repeat(Math.max(2, width - title.length - source.length))}${paint(sourceStyle, source)}`,
+    DASHBOARD_VIEWS.map((name, i) => paint(name === view ? 'inverse' : 'dim', ` ${i + 1} ${name} `)).join(' '),
+  ];
+  if (data.daemon?.error) lines.push(paint('yellow', `  ${data.daemon.error}`));
+  const alerts = status?.alerts || [];
+  if (alerts.length) {
+    const worst = alerts.some(alert => alert.level === 'critical') ? 'red' : 'yellow';
+    lines.push(paint(worst, `  ${alerts.length} active alert${alerts.length === 1 ? '' : 's'}: ${alerts.map(alert => alert.message).join(' · ')}`.slice(0, width)));
+  }
+
+  const needsDaemon = [paint('dim', '  (needs a running daemon)')];
+  const panels = {
+    performance: () => performancePanel(paint, data.perf, data.series || {}, width, view === 'performance'),
+    agents: () => (status ? agentsPanel(paint, status, sortOf('agents'), width, now) : needsDaemon),
+    repos: () => (status ? reposPanel(paint, status, sortOf('repos'), width) : needsDaemon),
+    logs: () => (status ? logsPanel(paint, status, width) : needsDaemon),
+    sessions: () => (status ? sessionsPanel(paint, status, sortOf('sessions'), width, now) : needsDaemon),
+  };
+  const heading = name => {
+    const table = SORT_KEYS[name] ? sortOf(name) : null;
+    return paint('bold', `${name.toUpperCase()}${table ? paint('dim', `  sorted by ${table.key}${table.reverse ? ' (reversed)' : ''}`) : ''}`);
+  };
+
+  const footer = keys ? [paint('dim', 'tab/1-6 view · s sort · S reverse · r refresh · q quit')] : [];
+  const section = (name, limit) => {
+    const body = panels[name]();
+    const shown = body.length > limit ? limit - 1 : body.length;
+    lines.push('', heading(name), ...body.slice(0, shown));
+    if (shown < body.length) lines.push(paint('dim', `  … ${body.length - shown} more${view === 'overview' ? ` (press ${DASHBOARD_VIEWS.indexOf(name) + 1})` : ''}`));
+  };
+  if (view === 'overview') {
+    // Tables beyond a few rows have their own view
+    section('performance', Infinity);
+    section('agents', 10);
+    section('repos', 10);
+    section('logs', 6);
+    section('sessions', 6);
+  } else {
+    section(view, Math.max(2, height - lines.length - footer.length - 2));
+  }
+  if (Number.isFinite(height)) {
+    lines.splice(height - footer.length);
+    while (lines.length < height - footer.length) lines.push('');
+  }
+  return [...lines, ...footer];
+}
@@ -0,0 +1,222 @@
+/**
+ * OpenClaw Activity Monitor - Event Log
+ *
+ * Typed events about what changed between two looks at the world,
+ * appended to a JSONL file and kept in memory for the status API:
+ * - Repo changes found by diffing successive getRepoStatus() snapshots
+ *   (new commits, branch switches, rewritten or force-pushed history,
+ *   dirty/clean working tree, diverged upstream)
+ * - Repos appearing or vanishing from discovery
+ * - Secrets and protected paths in new commits (found by secrets.js)
+ * - Agent sessions starting, ending or getting stuck (from sessions.js)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { CONFIG } from './lib.js';
+
+const execAsync = promisify(exec);
+
+export const REPO_EVENT_TYPES = [
+  'new-commits',
+  'branch-switched',
+  'history-rewritten',
+  'force-pushed',
+  'dirty',
+  'clean',
+  'diverged',
+  'repo-discovered',
+  'repo-vanished',
+  'secret-committed',
+  'protected-path-committed',
+];
+
+// Level used for notifications; anything not listed is info
+const EVENT_LEVELS = {
+  'history-rewritten': 'warning',
+  'force-pushed': 'warning',
+  diverged: 'warning',
+  'secret-committed': 'critical',
+  'protected-path-committed': 'critical',
+  'session-stuck': 'warning',
+};
+
+// Newest last, at most CONFIG.events.keep
+const recent = [];
+
+// ==================== REPO CHANGES ====================
+
+async function git(repoPath, args) {
+  const { stdout } = await execAsync(`git -C "${repoPath}" ${args}`, { maxBuffer: 4 * 1024 * 1024 });
+  return stdout.trim();
+}
+
+// true/false, or null when either commit is unknown (e.g. garbage collected)
+async function isAncestor(repoPath, ancestor, descendant) {
+  try {
+    await git(repoPath, `merge-base --is-ancestor ${ancestor} ${descendant}`);
+    return true;
+  } catch (error) {
+    return error.code === 1 ? false : null;
+  }
+}
+
+async function listCommits(repoPath, from, to, limit) {
+  const [count, log] = await Promise.all([
+    git(repoPath, `rev-list --count ${from}..${to}`),
+    git(repoPath, `log --format="%H|%h|%an|%ae|%cI|%s" -n ${limit} ${from}..${to}`),
+  ]);
+  return {
+    count: Number(count),
+    commits: log.split('\n').filter(Boolean).map(line => {
+      const [hash, shortHash, author, email, timestamp, ...subject] = line.split('|');
+      return { hash, shortHash, author, email, timestamp, subject: subject.join('|') };
+    }),
+  };
+}
+
+function short(hash) {
+  return hash?.slice(0, 7);
+}
+
+/**
+ * Compare two getRepoStatus() results for the same repo and describe
+ * what happened in between as events ({ type, repo, message, ... }).
+ */
+export async function diffRepoSnapshots(before, after) {
+  if (!before || !after || before.error || after.error) return [];
+  const events = [];
+  const event = (type, message, details = {}) => events.push({ type, repo: after.name, message, ...details });
+  const repoPath = after.path;
+  const from = before.latestCommit?.hash;
+  const to = after.latestCommit?.hash;
+
+  if (before.branch !== after.branch) {
+    event('branch-switched', `${after.name}: switched from ${before.branch} to ${after.branch}`, { from: before.branch, to: after.branch });
+  } else if (from && to && from !== to) {
+    const ancestor = await isAncestor(repoPath, from, to);
+    if (ancestor) {
+      const { count, commits } = await listCommits(repoPath, from, to, CONFIG.events.maxCommits);
+      const latest = commits[0];
+      event('new-commits', `${after.name}: ${count} new commit${count === 1 ? '' : 's'} on ${after.branch}${latest ? `, latest "${latest.subject}" by ${latest.author}` : ''}`, {
+        branch: after.branch,
+        count,
+        commits,
+      });
+    } else {
+      event('history-rewritten', `${after.name}: ${after.branch} moved from ${short(from)} to ${short(to)}, which does not contain it`, {
+        branch: after.branch,
+        from,
+        to,
+      });
+    }
+  }
+
+  const up = [before.upstream, after.upstream];
+  if (up[0] && up[1] && up[0].ref === up[1].ref && up[0].hash !== up[1].hash) {
+    if (await isAncestor(repoPath, up[0].hash, up[1].hash) === false) {
+      event('force-pushed', `${after.name}: ${up[1].ref} was force-pushed (${short(up[0].hash)} → ${short(up[1].hash)})`, {
+        ref: up[1].ref,
+        from: up[0].hash,
+        to: up[1].hash,
+      });
+    }
+  }
+
+  if (!before.uncommittedChanges && after.uncommittedChanges > 0) {
+    event('dirty', `${after.name}: ${after.uncommittedChanges} uncommitted change${after.uncommittedChanges === 1 ? '' : 's'}`, { changes: after.uncommittedChanges });
+  } else if (before.uncommittedChanges > 0 && !after.uncommittedChanges) {
+    event('clean', `${after.name}: working tree clean`);
+  }
+
+  const diverged = repo => repo.ahead > 0 && repo.behind > 0;
+  if (diverged(after) && !diverged(before)) {
+    event('diverged', `${after.name}: ${after.branch} has diverged from ${after.upstream?.ref || 'upstream'} (↑${after.ahead} ↓${after.behind})`, {
+      ahead: after.ahead,
+      behind: after.behind,
+    });
+  }
+
+  return events;
+}
+
+// ==================== EVENT LOG ====================
+
+export function eventLevel(event) {
+  return EVENT_LEVELS[event.type] || 'info';
+}
+
+/**
+ * Stamp events, append them to the log file (rotating it to `.1` once
+ * it passes events.maxBytes) and keep them in memory.
+ */
+export async function recordEvents(events, now = Date.now()) {
+  if (!events.length) return [];
+  const stamped = events.map(event => ({ timestamp: new Date(now).toISOString(), level: eventLevel(event), ...event }));
+
+  recent.push(...stamped);
+  recent.splice(0, Math.max(0, recent.length - CONFIG.events.keep));
+
+  const file = CONFIG.events.file;
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  try {
+    const { size } = await fs.stat(file);
+    if (size > CONFIG.events.maxBytes) await fs.rename(file, `${file}.1`);
+  } catch {}
+  await fs.appendFile(file, stamped.map(event => JSON.stringify(event)).join('\n') + '\n');
+  return stamped;
+}
+
+/**
+ * Events recorded by this process, newest last.
+ */
+export function getRecentEvents({ repo = null, type = null, limit = null } = {}) {
+  const events = recent.filter(event => (!repo || event.repo === repo) && (!type || event.type === type));
+  return limit ? events.slice(-limit) : events;
+}
+
+/**
+ * Events from the log file (including its rotated predecessor), newest last.
+ */
+export async function readEvents({ since = 0, repo = null, type = null, limit = null } = {}) {
+  const events = [];
+  for (const file of [`${CONFIG.events.file}.1`, CONFIG.events.file]) {
+    let text = '';
+    try {
+      text = await fs.readFile(file, 'utf-8');
+    } catch {
+      continue;
+    }
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      try {
+        const event = JSON.parse(line);
+        if (new Date(event.timestamp).getTime() < since) continue;
+        if ((repo && event.repo !== repo) || (type && event.type !== type)) continue;
+        events.push(event);
+      } catch {
+        // torn write from a crash
+      }
+    }
+  }
+  return limit ? events.slice(-limit) : events;
+}
+
+const camelCase = type => type.replace(/-(\w)/g, (_, c) => c.toUpperCase());
+
+/**
+ * Counts of each event type for one repo within the last events.window
+ * seconds, keyed in camelCase (newCommits, forcePushed, ...) for the
+ * repo.events.* rule metrics.
+ */
+export function countRecentEvents(repo, now = Date.now()) {
+  const since = now - CONFIG.events.window * 1000;
+  const counts = Object.fromEntries(REPO_EVENT_TYPES.map(type => [camelCase(type), 0]));
+  for (const event of recent) {
+    if (event.repo !== repo || new Date(event.timestamp).getTime() < since) continue;
+    counts[camelCase(event.type)]++;
+  }
+  return counts;
+}
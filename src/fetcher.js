@@ -0,0 +1,178 @@
+/**
+ * OpenClaw Activity Monitor - Background Git Fetch
+ *
+ * Keeps remote-tracking refs fresh so ahead/behind counts mean something:
+ * - Each repo is fetched once per interval, a few at a time
+ * - Fetches are killed after a timeout
+ * - Credentials are never prompted for; a fetch that needs them fails
+ *
+ * The time of the last successful fetch comes from git itself (FETCH_HEAD),
+ * so manual fetches count too; failures are tracked here.
+ */
+
+import { spawn, execFile } from 'child_process';
+import { promisify } from 'util';
+import { CONFIG, parseDuration, formatUptime } from './lib.js';
+
+const execFileAsync = promisify(execFile);
+
+// Per repo name: { lastAttempt, lastSuccess, lastError, duration }
+const fetchState = new Map();
+
+function toMs(value) {
+  return typeof value === 'number' ? value * 1000 : parseDuration(value) ?? 0;
+}
+
+// Environment that makes git fail instead of asking for anything
+function nonInteractiveEnv() {
+  return {
+    ...process.env,
+    GIT_TERMINAL_PROMPT: '0',
+    // An askpass that prints nothing and fails, so no credential is sent
+    GIT_ASKPASS: 'false',
+    SSH_ASKPASS: 'false',
+    GCM_INTERACTIVE: 'never',
+  };
+}
+
+/**
+ * git options that keep ssh from prompting. A repo's own core.sshCommand
+ * (a custom key or wrapper) is kept, with the batch options added to it;
+ * GIT_SSH_COMMAND/GIT_SSH from the environment win over both, as in git.
+ */
+async function sshOptions(repoPath) {
+  if (process.env.GIT_SSH_COMMAND || process.env.GIT_SSH) return [];
+  let command = 'ssh';
+  try {
+    const { stdout } = await execFileAsync('git', ['-C', repoPath, 'config', '--get', 'core.sshCommand']);
+    command = stdout.trim() || command;
+  } catch {
+    // not set
+  }
+  return ['-c', `core.sshCommand=${command} -o BatchMode=yes -o ConnectTimeout=15`];
+}
+
+/**
+ * Fetch one repo (all remotes, pruning deleted branches).
+ * Resolves to { ok, duration, error? }; never rejects.
+ */
+export async function fetchRepo(repoPath, timeout = toMs(CONFIG.fetch.timeout)) {
+  const start = Date.now();
+  const ssh = await sshOptions(repoPath);
+  return new Promise(resolve => {
+    const child = spawn('git', ['-C', repoPath, ...ssh, 'fetch', '--all', '--prune', '--quiet'], {
+      env: nonInteractiveEnv(),
+      stdio: ['ignore', 'ignore', 'pipe'],
+      detached: true,
+    });
+    let stderr = '';
+    let timedOut = false;
+    // Kill the whole group so ssh and credential helpers go too
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {}
+    }, timeout);
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => {
+      clearTimeout(timer);
+      resolve({ ok: false, duration: Date.now() - start, error: error.message });
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      const duration = Date.now() - start;
+      if (code === 0) return resolve({ ok: true, duration });
+      const lines = stderr.trim().split('\n').filter(Boolean);
+      const error = timedOut
+        ? `Timed out after ${Math.round(timeout / 1000)}s`
+        : lines.find(line => /^(fatal|error):/.test(line)) || lines[0] || `git fetch exited with ${code ?? 'signal'}`;
+      resolve({ ok: false, duration, error });
+    });
+  });
+}
+
+function fetchInterval(repo) {
+  return toMs(repo.fetchInterval ?? CONFIG.fetch.interval);
+}
+
+/**
+ * Repos whose interval has passed since their last fetch attempt.
+ * Repos with `fetch: false`, with errors, or without an upstream are skipped.
+ */
+export function getDueRepos(repos, now = Date.now()) {
+  const byName = new Map(CONFIG.repos.map(repo => [repo.name, repo]));
+  return repos.filter(repo => {
+    const config = byName.get(repo.name) || repo;
+    if (config.fetch === false || repo.error || repo.noUpstream) return false;
+    const last = fetchState.get(repo.name)?.lastAttempt;
+    return !last || now - last >= fetchInterval(config);
+  });
+}
+
+/**
+ * Fetch every due repo, at most fetch.concurrency at a time.
+ * Returns [{ name, ok, duration, error? }].
+ */
+export async function fetchDueRepos(repos, now = Date.now()) {
+  const queue = getDueRepos(repos, now);
+  const results = [];
+  const worker = async () => {
+    for (let repo = queue.shift(); repo; repo = queue.shift()) {
+      const entry = fetchState.get(repo.name) || { lastAttempt: null, lastSuccess: null, lastError: null, duration: null };
+      entry.lastAttempt = Date.now();
+      fetchState.set(repo.name, entry);
+      const result = await fetchRepo(repo.path);
+      entry.duration = result.duration;
+      if (result.ok) {
+        entry.lastSuccess = Date.now();
+        entry.lastError = null;
+      } else {
+        entry.lastError = result.error;
+      }
+      results.push({ name: repo.name, ...result });
+    }
+  };
+  await Promise.all(Array.from({ length: CONFIG.fetch.concurrency }, worker));
+  return results;
+}
+
+/**
+ * Fetch bookkeeping for the status output and the state file.
+ */
+export function getFetchState() {
+  const iso = t => (t ? new Date(t).toISOString() : null);
+  return Object.fromEntries([...fetchState].map(([name, entry]) => [name, {
+    lastAttempt: iso(entry.lastAttempt),
+    lastSuccess: iso(entry.lastSuccess),
+    lastError: entry.lastError,
+    duration: entry.duration,
+  }]));
+}
+
+/**
+ * Take back fetch bookkeeping saved from getFetchState().
+ */
+export function restoreFetchState(saved) {
+  const time = iso => (iso ? Date.parse(iso) : null);
+  for (const [name, entry] of Object.entries(saved)) {
+    fetchState.set(name, { lastAttempt: time(entry.lastAttempt), lastSuccess: time(entry.lastSuccess), lastError: entry.lastError ?? null, duration: entry.duration ?? null });
+  }
+}
+
+/**
+ * Whether a repo's ahead/behind counts can be trusted. Stale when the last
+ * fetch (from FETCH_HEAD) is older than fetch.staleAfter, or never happened,
+ * or the daemon's last attempt failed. `fetchInfo` is the repo's
+ * getFetchState() entry, if known. Returns { stale, reason? }.
+ */
+export function getSyncFreshness(repo, fetchInfo = null, now = Date.now()) {
+  if (repo.error || repo.noUpstream) return { stale: false };
+  if (fetchInfo?.lastError) return { stale: true, reason: `fetch failing: ${fetchInfo.lastError}` };
+  if (!repo.lastFetch) return { stale: true, reason: 'never fetched' };
+  const age = now - new Date(repo.lastFetch).getTime();
+  if (age > toMs(CONFIG.fetch.staleAfter)) {
+    return { stale: true, reason: `last fetch ${formatUptime(age / 1000)} ago` };
+  }
+  return { stale: false };
+}
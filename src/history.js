@@ -0,0 +1,258 @@
+/**
+ * OpenClaw Activity Monitor - Performance History
+ *
+ * Durable time-series store for performance samples:
+ * - Append-only JSONL files, one per tier per day
+ * - Rollup tiers (raw samples, then min/avg/max buckets)
+ * - Retention per tier plus an overall size cap
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { CONFIG } from './lib.js';
+
+// Open rollup buckets per tier: { start, n, values: { metric: { min, max, sum, n } } }
+const buckets = new Map();
+
+/**
+ * Flatten a getSystemPerformance() sample into named numeric metrics.
+ * The daemon adds `agents` ([{ name, up, latency }]) for up:<name> and
+ * latency:<name>.
+ */
+export function flattenSample(perf) {
+  const values = {
+    cpu: perf.cpu.usage,
+    iowait: perf.cpu.breakdown?.iowait,
+    load1: perf.cpu.loadAvg[0],
+    load5: perf.cpu.loadAvg[1],
+    load15: perf.cpu.loadAvg[2],
+    memory: perf.memory.percent,
+    disk: perf.disk.percent,
+    processes: perf.system.processCount,
+  };
+  for (const f of perf.filesystems || []) {
+    values[`disk:${f.mount}`] = f.percent;
+    if (f.inodes.percent !== null) values[`inodes:${f.mount}`] = f.inodes.percent;
+  }
+  // From the daemon: 1 while up, so the average over a period is the uptime
+  for (const agent of perf.agents || []) {
+    values[`up:${agent.name}`] = agent.up ? 1 : 0;
+    values[`latency:${agent.name}`] = agent.latency;
+  }
+  return Object.fromEntries(Object.entries(values).filter(([, v]) => typeof v === 'number' && Number.isFinite(v)));
+}
+
+function tierDir(tier) {
+  return path.join(CONFIG.history.dir, tier.name);
+}
+
+function dayFile(tier, time) {
+  return path.join(tierDir(tier), `${new Date(time).toISOString().slice(0, 10)}.jsonl`);
+}
+
+async function appendLine(tier, time, entry) {
+  await fs.mkdir(tierDir(tier), { recursive: true });
+  await fs.appendFile(dayFile(tier, time), JSON.stringify(entry) + '\n');
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+async function flushBucket(tier) {
+  const bucket = buckets.get(tier.name);
+  if (!bucket) return;
+  buckets.delete(tier.name);
+  const v = {};
+  for (const [metric, agg] of Object.entries(bucket.values)) {
+    v[metric] = [round(agg.min), round(agg.sum / agg.n), round(agg.max)];
+  }
+  await appendLine(tier, bucket.start, { t: bucket.start, n: bucket.n, v });
+}
+
+/**
+ * Record one performance sample in every tier. The raw tier stores it
+ * as-is; rollup tiers fold it into the open bucket and write the bucket
+ * out once a sample lands in the next one.
+ */
+export async function recordSample(perf) {
+  if (!CONFIG.history.enabled) return;
+  const time = new Date(perf.timestamp).getTime();
+  const values = flattenSample(perf);
+
+  for (const tier of CONFIG.history.tiers) {
+    if (!tier.resolution) {
+      await appendLine(tier, time, { t: time, v: values });
+      continue;
+    }
+
+    const start = time - (time % (tier.resolution * 1000));
+    const open = buckets.get(tier.name);
+    if (open && open.start !== start) await flushBucket(tier);
+    if (!buckets.has(tier.name)) buckets.set(tier.name, { start, n: 0, values: {} });
+
+    const bucket = buckets.get(tier.name);
+    bucket.n++;
+    for (const [metric, value] of Object.entries(values)) {
+      const agg = bucket.values[metric] ||= { min: value, max: value, sum: 0, n: 0 };
+      agg.min = Math.min(agg.min, value);
+      agg.max = Math.max(agg.max, value);
+      agg.sum += value;
+      agg.n++;
+    }
+  }
+}
+
+/**
+ * Write out partially filled buckets (on shutdown). A bucket continued
+ * after a restart ends up as two lines, which queryHistory() merges.
+ */
+export async function flushHistory() {
+  for (const tier of CONFIG.history.tiers) {
+    if (tier.resolution) await flushBucket(tier);
+  }
+}
+
+async function listFiles() {
+  const files = [];
+  for (const [index, tier] of CONFIG.history.tiers.entries()) {
+    let names = [];
+    try {
+      names = await fs.readdir(tierDir(tier));
+    } catch {}
+    for (const name of names.filter(n => n.endsWith('.jsonl'))) {
+      const file = path.join(tierDir(tier), name);
+      const { size } = await fs.stat(file);
+      files.push({ tier, index, file, day: name.slice(0, 10), size });
+    }
+  }
+  return files;
+}
+
+/**
+ * Drop day files past their tier's retention, then the oldest files
+ * (finest tier first) until the store fits in maxBytes. Today's files
+ * are never removed.
+ */
+export async function pruneHistory(now = Date.now()) {
+  const today = new Date(now).toISOString().slice(0, 10);
+  let files = await listFiles();
+  const removed = [];
+
+  for (const f of files) {
+    const dayEnd = new Date(`${f.day}T00:00:00Z`).getTime() + 86400000;
+    if (now - dayEnd > f.tier.retention * 1000) {
+      await fs.unlink(f.file);
+      removed.push(f.file);
+    }
+  }
+  files = files.filter(f => !removed.includes(f.file));
+
+  let total = files.reduce((sum, f) => sum + f.size, 0);
+  const candidates = files
+    .filter(f => f.day !== today)
+    .sort((a, b) => a.index - b.index || a.day.localeCompare(b.day));
+  for (const f of candidates) {
+    if (total <= CONFIG.history.maxBytes) break;
+    await fs.unlink(f.file);
+    removed.push(f.file);
+    total -= f.size;
+  }
+
+  return { removed, totalBytes: total };
+}
+
+/**
+ * Pick the finest tier whose retention still covers `since`.
+ */
+function chooseTier(since, now) {
+  const tiers = CONFIG.history.tiers;
+  return tiers.find(tier => now - since <= tier.retention * 1000) || tiers[tiers.length - 1];
+}
+
+// Fold a stored line into the point for its timestamp, weighting averages by sample count
+function mergeEntry(points, entry) {
+  const n = entry.n || 1;
+  const point = points.get(entry.t) || { t: entry.t, n: 0, v: {} };
+  for (const [metric, raw] of Object.entries(entry.v)) {
+    const [min, avg, max] = Array.isArray(raw) ? raw : [raw, raw, raw];
+    const prev = point.v[metric];
+    point.v[metric] = prev
+      ? [Math.min(prev[0], min), (prev[1] * point.n + avg * n) / (point.n + n), Math.max(prev[2], max)]
+      : [min, avg, max];
+  }
+  point.n += n;
+  points.set(entry.t, point);
+}
+
+async function readTier(tier, since, until) {
+  const points = new Map();
+  const firstDay = new Date(since).toISOString().slice(0, 10);
+  const lastDay = new Date(until).toISOString().slice(0, 10);
+  let names = [];
+  try {
+    names = (await fs.readdir(tierDir(tier))).filter(n => n.endsWith('.jsonl')).sort();
+  } catch {}
+
+  for (const name of names) {
+    const day = name.slice(0, 10);
+    if (day < firstDay || day > lastDay) continue;
+    const text = await fs.readFile(path.join(tierDir(tier), name), 'utf-8');
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // torn write from a crash
+      }
+      if (entry.t < since || entry.t > until) continue;
+      mergeEntry(points, entry);
+    }
+  }
+  return points;
+}
+
+/**
+ * Read stored history between `since` and `until` (ms timestamps).
+ * Returns the tier used and points of { t, min, avg, max } per metric.
+ */
+export async function queryHistory({ since, until = Date.now(), metrics = null } = {}) {
+  const tier = chooseTier(since, Date.now());
+  const points = await readTier(tier, since, until);
+
+  // Include the still-open bucket so recent data shows up before it is flushed
+  const open = buckets.get(tier.name);
+  if (tier.resolution && open && open.start >= since && open.start <= until) {
+    const v = {};
+    for (const [metric, agg] of Object.entries(open.values)) {
+      v[metric] = [agg.min, agg.sum / agg.n, agg.max];
+    }
+    mergeEntry(points, { t: open.start, n: open.n, v });
+  }
+
+  const series = {};
+  for (const point of [...points.values()].sort((a, b) => a.t - b.t)) {
+    for (const [metric, [min, avg, max]] of Object.entries(point.v)) {
+      if (metrics && !metrics.includes(metric)) continue;
+      (series[metric] ||= []).push({ t: point.t, min: round(min), avg: round(avg), max: round(max) });
+    }
+  }
+  return { tier: tier.name, resolution: tier.resolution, since, until, series };
+}
+
+/**
+ * min/avg/max over a series from queryHistory().
+ */
+export function summarizeSeries(points) {
+  if (!points.length) return null;
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  for (const p of points) {
+    min = Math.min(min, p.min);
+    max = Math.max(max, p.max);
+    sum += p.avg;
+  }
+  return { min: round(min), avg: round(sum / points.length), max: round(max), count: points.length };
+}
@@ -0,0 +1,130 @@
+/**
+ * OpenClaw Activity Monitor - Incident Records
+ *
+ * Every restart the daemon performs, or gives up on, becomes an incident:
+ * one JSON file holding why it happened, a diagnostic snapshot taken just
+ * before acting (probe output, logs, performance, sessions, top processes)
+ * and how it ended.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  CONFIG,
+  getSessionActivity,
+  getRecentLogs,
+  getTopProcesses,
+} from './lib.js';
+
+function incidentId(target, time) {
+  const stamp = new Date(time).toISOString().replace(/[-:]/g, '').replace('.', '-');
+  return `${stamp}-${target.replace(/[^\w.-]+/g, '_')}`;
+}
+
+function incidentFile(id) {
+  return path.join(CONFIG.incidents.dir, `${id}.json`);
+}
+
+async function saveIncident(incident) {
+  await fs.mkdir(CONFIG.incidents.dir, { recursive: true });
+  await fs.writeFile(incidentFile(incident.id), JSON.stringify(incident, null, 2));
+}
+
+/**
+ * Capture the diagnostic snapshot and write the incident as in-progress,
+ * so a crash during the restart still leaves a record.
+ * @param {object} details
+ * @param {string} details.target - agent name, or 'gateway'
+ * @param {string} details.scope - 'agent' or 'gateway' (what gets restarted)
+ * @param {string} details.reason - why the restart is happening
+ * @param {object} [details.probes] - failing probe results by agent name
+ * @param {object} [details.performance] - the daemon's latest getSystemPerformance() sample
+ */
+export async function openIncident({ target, scope, reason, probes = {}, attempt = null, performance = null }) {
+  const now = Date.now();
+  const settle = promise => promise.catch(error => ({ error: error.message }));
+  const [sessions, logs, topProcesses] = await Promise.all([
+    settle(getSessionActivity()),
+    settle(getRecentLogs(CONFIG.incidents.logLines)),
+    settle(getTopProcesses(CONFIG.incidents.topProcesses)),
+  ]);
+
+  const incident = {
+    id: incidentId(target, now),
+    target,
+    scope,
+    reason,
+    attempt,
+    outcome: 'in-progress',
+    openedAt: new Date(now).toISOString(),
+    closedAt: null,
+    probes,
+    snapshot: { performance, sessions, logs, topProcesses },
+  };
+  await saveIncident(incident);
+  return incident;
+}
+
+/**
+ * Record how the incident ended: restarted, failed or gave-up.
+ */
+export async function closeIncident(incident, outcome, details = {}) {
+  Object.assign(incident, details, { outcome, closedAt: new Date().toISOString() });
+  await saveIncident(incident);
+  return incident;
+}
+
+async function readIncidents() {
+  let names = [];
+  try {
+    names = (await fs.readdir(CONFIG.incidents.dir)).filter(name => name.endsWith('.json'));
+  } catch {
+    return [];
+  }
+  const incidents = [];
+  for (const name of names) {
+    try {
+      incidents.push(JSON.parse(await fs.readFile(path.join(CONFIG.incidents.dir, name), 'utf-8')));
+    } catch {
+      // half-written or foreign file
+    }
+  }
+  return incidents.sort((a, b) => b.openedAt.localeCompare(a.openedAt));
+}
+
+/**
+ * Incident summaries, newest first, without the snapshots.
+ */
+export async function listIncidents({ target = null, limit = null } = {}) {
+  const incidents = (await readIncidents())
+    .filter(incident => !target || incident.target === target)
+    .map(({ id, target, scope, reason, attempt, outcome, openedAt, closedAt }) => ({ id, target, scope, reason, attempt, outcome, openedAt, closedAt }));
+  return limit ? incidents.slice(0, limit) : incidents;
+}
+
+/**
+ * Full incident by id, or by a unique id prefix. Returns null if not found.
+ */
+export async function getIncident(id) {
+  try {
+    return JSON.parse(await fs.readFile(incidentFile(path.basename(id)), 'utf-8'));
+  } catch {}
+  const matches = (await listIncidents()).filter(incident => incident.id.startsWith(id));
+  if (matches.length > 1) throw new Error(`"${id}" matches ${matches.length} incidents`);
+  return matches.length ? getIncident(matches[0].id) : null;
+}
+
+/**
+ * Delete incidents opened more than `olderThan` ms ago (default
+ * incidents.retentionDays), then all but the newest `keep`.
+ * Returns the removed ids.
+ */
+export async function pruneIncidents({ olderThan = CONFIG.incidents.retentionDays * 86400000, keep = null, now = Date.now() } = {}) {
+  const incidents = await listIncidents();
+  const removed = incidents.filter((incident, i) =>
+    (olderThan > 0 && now - new Date(incident.openedAt).getTime() > olderThan) || (keep !== null && i >= keep));
+  for (const incident of removed) {
+    await fs.rm(incidentFile(incident.id), { force: true });
+  }
+  return removed.map(incident => incident.id);
+}
@@ -14,31 +14,81 @@ import {
   formatUptime,
   formatBytes,
   getSystemPerformance,
-  checkPerformanceAlerts,
+  getProcessStats,
   getAllRepoStatuses,
+  restoreDirtySince,
   checkGateway,
   startGateway,
+  restartGateway,
   checkAgentHealth,
   restartAgent,
-  getAgentActivity,
+  planRecovery,
+  getSessionActivity,
+  parseDuration,
 } from './lib.js';
+import { loadConfig, parseConfigArg } from './config.js';
+import { startApiServer, stopApiServer } from './server.js';
+import { renderMetrics } from './metrics.js';
+import { recordSample, flushHistory, pruneHistory } from './history.js';
+import { updateAlerts, notifyEvent, getActiveAlerts, restoreAlerts } from './notifier.js';
+import { buildFacts, evaluateRules, getRuleStates, restoreRuleStates } from './rules.js';
+import { openIncident, closeIncident, pruneIncidents } from './incidents.js';
+import { fetchDueRepos, getFetchState, getSyncFreshness, restoreFetchState } from './fetcher.js';
+import { findStaleWork } from './stale-work.js';
+import { getCommitActivity } from './commit-activity.js';
+import { scanRepo, describeFinding, getScanState, restoreScanState } from './secrets.js';
+import { verifyNewHeads, getLatestResults, summarizeResult } from './verifier.js';
+import { pollLogs, getLogRates, getRecentLogLines, getLogAlerts, getTailState, restoreTailState } from './log-tailer.js';
+import { updateSessions, getActiveSessions, getStuckSessions, getEndedSessions, restoreSessions } from './sessions.js';
+import { readStateFile, writeStateFile } from './state-file.js';
+import { diffRepoSnapshots, eventLevel, recordEvents, getRecentEvents, readEvents, countRecentEvents } from './events.js';
+import {
+  getRestartPolicy,
+  createRestartState,
+  recordHealth,
+  decideRestart,
+  recordRestart,
+  describeRestartState,
+} from './restart-policy.js';
+
+const { configPath } = parseConfigArg(process.argv.slice(2));
 
 // State tracking
 const state = {
   agents: new Map(),
   startTime: Date.now(),
   totalChecks: 0,
+  // Checks by this process; repo scans and verification run every 5th
+  runChecks: 0,
   totalRestarts: 0,
   lastCheck: null,
+  restoredFrom: null,
   performance: {
     history: [],
     maxHistory: 100,
   },
   repos: new Map(),
+  gateway: {
+    running: null,
+    restart: createRestartState(),
+  },
+  processes: null,
   activity: {
     sessions: [],
     lastUpdate: null,
   },
+  configSource: null,
+  checkTimer: null,
+  checking: false,
+  tailTimer: null,
+  tailing: false,
+  apiServer: null,
+  lastHistoryPrune: 0,
+  lastIncidentPrune: 0,
+  lastRepoScan: null,
+  fetching: null,
+  verifying: null,
+  verify: {},
 };
 
 // Logging
@@ -69,15 +119,207 @@ function initAgentState(agentName) {
       lastCheck: null,
       totalChecks: 0,
       totalFailures: 0,
+      totalRestarts: 0,
       lastRestart: null,
+      status: 'unknown',
+      lastLatency: null,
+      avgLatency: null,
+      lastProbes: [],
+      stuckSessions: 0,
+      restart: createRestartState(),
     });
   }
   return state.agents.get(agentName);
 }
 
+async function logNotificationFailures(failures) {
+  for (const failure of failures) {
+    await log('warn', `Notification via ${failure.channel} failed`, { error: failure.error });
+  }
+}
+
+async function reportAlerts(source, alerts) {
+  try {
+    const { sent, failures } = await updateAlerts(source, alerts);
+    for (const alert of sent) {
+      const level = alert.status === 'resolved' ? 'info' : alert.level === 'critical' ? 'error' : 'warn';
+      await log(level, `${alert.status === 'resolved' ? 'Resolved: ' : ''}${alert.message}`, { alert: alert.key });
+    }
+    await logNotificationFailures(failures);
+  } catch (error) {
+    await log('error', 'Failed to process alerts', { source, error: error.message });
+  }
+}
+
+async function reportEvent(alert) {
+  try {
+    await logNotificationFailures(await notifyEvent(alert));
+  } catch (error) {
+    await log('error', 'Failed to send event notification', { error: error.message });
+  }
+}
+
+// Feed a check result into a target's restart policy; sustained health closes a tripped circuit
+async function trackRecovery(label, restartState, healthy, policy) {
+  if (recordHealth(restartState, healthy, policy)) {
+    await log('info', `${label} healthy again, automatic restarts re-enabled`);
+  }
+}
+
+/**
+ * Run `restart` if the target's restart policy allows it right now.
+ * Resolves to its result, or null when the policy held it back. A tripped
+ * circuit is reported by circuitAlert() until it closes again.
+ * Restarts and give-ups are recorded as incidents described by `incident`
+ * ({ target, scope, reason, probes }).
+ */
+async function restartWithPolicy(label, restartState, policy, restart, incident) {
+  const decision = decideRestart(restartState, policy);
+  if (decision.action === 'wait') {
+    await log('debug', `Not restarting ${label} yet, backing off`, { retryAt: new Date(decision.retryAt).toISOString() });
+    return null;
+  }
+  if (decision.action === 'blocked') return null;
+  if (decision.action === 'trip') {
+    await log('error', `Giving up on restarting ${label}: ${decision.reason}`);
+    const record = await startIncident(incident);
+    await finishIncident(record, 'gave-up', { reason: `${incident.reason}; gave up after ${decision.reason}` });
+    return null;
+  }
+  recordRestart(restartState, policy);
+  const record = await startIncident({ ...incident, attempt: restartState.attempts });
+  const result = await restart();
+  await finishIncident(record, result ? 'restarted' : 'failed');
+  return result;
+}
+
+// Incident files are diagnostics; failing to write one must not block a restart.
+// The snapshot gets this check's performance sample rather than taking a new one.
+async function startIncident(details) {
+  try {
+    return await openIncident({ ...details, performance: state.performance.history[state.performance.history.length - 1] ?? null });
+  } catch (error) {
+    await log('error', 'Failed to open incident record', { target: details.target, error: error.message });
+    return null;
+  }
+}
+
+async function finishIncident(record, outcome, details) {
+  if (!record) return;
+  try {
+    await closeIncident(record, outcome, details);
+    await log('info', `Incident ${record.id}: ${outcome}`, { target: record.target });
+  } catch (error) {
+    await log('error', 'Failed to record incident outcome', { incident: record.id, error: error.message });
+  }
+}
+
+function circuitAlert(label, restartState, policy, agent) {
+  if (restartState.circuit !== 'open') return null;
+  return {
+    level: 'critical',
+    type: 'restart-circuit',
+    agent,
+    message: `${label} needs a human: gave up after ${policy.maxRestarts} restarts within ${formatUptime(policy.window / 1000)}`,
+  };
+}
+
+/**
+ * Turn the difference between the last and the new repo scan into events:
+ * repos appearing or vanishing, and per-repo changes from diffRepoSnapshots().
+ * Events are logged, written to the event log and sent as notifications.
+ */
+async function reportRepoChanges(repos, extraEvents = []) {
+  const events = [...extraEvents];
+  const current = new Map(repos.map(repo => [repo.path, repo]));
+  const previous = new Map([...state.repos.values()].map(repo => [repo.path, repo]));
+  for (const [repoPath, repo] of current) {
+    if (!previous.has(repoPath)) {
+      events.push({ type: 'repo-discovered', repo: repo.name, path: repoPath, message: `New repository ${repo.name} found at ${repoPath}` });
+      continue;
+    }
+    try {
+      events.push(...await diffRepoSnapshots(previous.get(repoPath), repo));
+    } catch (error) {
+      await log('warn', `Could not diff repository ${repo.name}`, { error: error.message });
+    }
+  }
+  for (const [repoPath, repo] of previous) {
+    if (!current.has(repoPath)) {
+      events.push({ type: 'repo-vanished', repo: repo.name, path: repoPath, message: `Repository ${repo.name} at ${repoPath} is gone` });
+    }
+  }
+  await publishEvents(events);
+}
+
+// Write events to the event log, the daemon log and the notification channels
+async function publishEvents(events) {
+  let recorded = events;
+  try {
+    recorded = await recordEvents(events);
+  } catch (error) {
+    await log('error', 'Failed to write event log', { error: error.message });
+  }
+  for (const event of recorded) {
+    const level = event.level || eventLevel(event);
+    await log(level === 'critical' ? 'error' : level === 'warning' ? 'warn' : 'info', event.message, { event: event.type, repo: event.repo, agent: event.agent });
+    await reportEvent({ level, type: event.type, repo: event.repo, agent: event.agent, message: event.message });
+  }
+}
+
+function markRestarted(agentState) {
+  state.totalRestarts++;
+  agentState.totalRestarts++;
+  agentState.lastRestart = new Date().toISOString();
+  agentState.consecutiveFailures = 0;
+}
+
+async function recoverAgent(agentConfig) {
+  const agentState = state.agents.get(agentConfig.name);
+  const restarted = await restartWithPolicy(`agent ${agentConfig.name}`, agentState.restart, getRestartPolicy(agentConfig), async () => {
+    await log('warn', `Restarting agent: ${agentConfig.name}`, { attempt: agentState.restart.attempts });
+    markRestarted(agentState);
+    return restartAgent(agentConfig.name);
+  }, {
+    target: agentConfig.name,
+    scope: 'agent',
+    reason: `${agentState.consecutiveFailures} consecutive failed health checks`,
+    probes: { [agentConfig.name]: agentState.lastProbes },
+  });
+  if (restarted) {
+    await log('info', `Agent ${agentConfig.name} restart completed`);
+    await reportEvent({ level: 'warning', type: 'restart', agent: agentConfig.name, message: `Agent ${agentConfig.name} restarted after ${CONFIG.maxFailures} failed health checks` });
+  } else if (restarted === false) {
+    await log('error', `Agent ${agentConfig.name} restart failed`);
+    await reportEvent({ level: 'critical', type: 'restart', agent: agentConfig.name, message: `Agent ${agentConfig.name} restart failed` });
+  }
+}
+
+async function escalateToGateway(agents, gatewayPolicy) {
+  const names = agents.map(agent => agent.name).join(', ');
+  const restarted = await restartWithPolicy('gateway', state.gateway.restart, gatewayPolicy, async () => {
+    await log('warn', `Restarting gateway: ${agents.length} agents failing`, { agents: names, attempt: state.gateway.restart.attempts });
+    for (const agent of agents) markRestarted(state.agents.get(agent.name));
+    return restartGateway();
+  }, {
+    target: 'gateway',
+    scope: 'gateway',
+    reason: `Agents failing health checks: ${names}`,
+    probes: Object.fromEntries(agents.map(agent => [agent.name, state.agents.get(agent.name).lastProbes])),
+  });
+  if (restarted) {
+    await log('info', 'Gateway restart completed');
+    await reportEvent({ level: 'warning', type: 'restart', message: `Gateway restarted because agents ${names} were failing` });
+  } else if (restarted === false) {
+    await log('error', 'Gateway restart failed');
+    await reportEvent({ level: 'critical', type: 'restart', message: `Gateway restart failed (agents ${names} failing)` });
+  }
+}
+
 // Main health check
 async function runHealthCheck() {
   state.totalChecks++;
+  state.runChecks++;
   state.lastCheck = new Date().toISOString();
   
   await log('debug', 'Running comprehensive health check', { checkNumber: state.totalChecks });
@@ -89,19 +331,49 @@ async function runHealthCheck() {
     state.performance.history.shift();
   }
   
-  const perfAlerts = checkPerformanceAlerts(perf);
-  for (const alert of perfAlerts) {
-    await log(alert.level === 'critical' ? 'error' : 'warn', alert.message, { type: alert.type });
+  if (CONFIG.incidents.retentionDays && Date.now() - state.lastIncidentPrune > 3600000) {
+    state.lastIncidentPrune = Date.now();
+    try {
+      const removed = await pruneIncidents();
+      if (removed.length) await log('info', 'Pruned old incidents', { incidents: removed.length });
+    } catch (error) {
+      await log('error', 'Failed to prune incidents', { error: error.message });
+    }
   }
   
+  state.processes = await getProcessStats();
+  
   // 2. Gateway & Agent Health
+  const agentAlerts = [];
   const gatewayHealthy = await checkGateway();
+  const gatewayPolicy = getRestartPolicy(CONFIG.gateway);
+  state.gateway.running = gatewayHealthy;
+  await trackRecovery('Gateway', state.gateway.restart, gatewayHealthy, gatewayPolicy);
   if (!gatewayHealthy) {
-    await log('warn', 'Gateway not running, attempting to start...');
-    const started = await startGateway();
-    if (!started) {
+    const started = await restartWithPolicy('gateway', state.gateway.restart, gatewayPolicy, async () => {
+      await log('warn', 'Gateway not running, attempting to start...');
+      return startGateway();
+    }, { target: 'gateway', scope: 'gateway', reason: 'Gateway not running' });
+    state.gateway.running = Boolean(started);
+    if (started === false) {
       await log('error', 'Failed to start gateway, will retry next cycle');
     }
+    if (!started) {
+      agentAlerts.push({
+        level: 'critical',
+        type: 'gateway',
+        message: started === false ? 'OpenClaw gateway is down and failed to start' : 'OpenClaw gateway is down',
+      });
+    }
+  }
+  
+  // Sessions first, so stuck ones count toward each agent's health. When they
+  // can't be listed (e.g. mid gateway restart) keep following the last ones.
+  const sessionList = await getSessionActivity();
+  if (sessionList) {
+    await publishEvents(updateSessions(sessionList));
+  } else {
+    await log('debug', 'Could not list sessions, keeping the tracked ones');
   }
   
   for (const agentConfig of CONFIG.agents) {
@@ -110,10 +382,46 @@ async function runHealthCheck() {
     agentState.lastCheck = new Date().toISOString();
     
     const health = await checkAgentHealth(agentConfig.name);
+    const stuck = getStuckSessions(agentConfig.name);
+    agentState.stuckSessions = stuck.length;
+    if (stuck.length && health.healthy) {
+      const ids = stuck.map(session => session.id).join(', ');
+      agentAlerts.push({
+        level: 'warning',
+        type: 'session-stuck',
+        agent: agentConfig.name,
+        message: `Agent ${agentConfig.name} has ${stuck.length} stuck session${stuck.length === 1 ? '' : 's'} (${ids})`,
+      });
+      if (CONFIG.sessions.failOnStuck) {
+        Object.assign(health, { healthy: false, degraded: false, state: 'unhealthy', error: `Stuck sessions: ${ids}` });
+      } else {
+        Object.assign(health, { degraded: true, state: 'degraded' });
+      }
+    }
+    const policy = getRestartPolicy(agentConfig);
+    await trackRecovery(`Agent ${agentConfig.name}`, agentState.restart, health.healthy, policy);
+    agentState.status = health.state;
+    agentState.lastProbes = health.probes;
+    agentState.lastLatency = health.latency;
+    if (health.latency !== null) {
+      // Smoothed latency so one slow reply doesn't dominate the trend
+      agentState.avgLatency = agentState.avgLatency === null
+        ? health.latency
+        : Math.round(agentState.avgLatency * 0.8 + health.latency * 0.2);
+    }
     
     if (health.healthy) {
       agentState.consecutiveFailures = 0;
       agentState.lastHealthy = new Date().toISOString();
+      const latencyWarning = agentConfig.latencyWarning ?? CONFIG.latencyWarning;
+      if (health.degraded && health.latency > latencyWarning) {
+        agentAlerts.push({
+          level: 'warning',
+          type: 'agent-latency',
+          agent: agentConfig.name,
+          message: `Agent ${agentConfig.name} degraded: responding in ${health.latency}ms (limit ${latencyWarning}ms)`,
+        });
+      }
     } else {
       agentState.consecutiveFailures++;
       agentState.totalFailures++;
@@ -121,70 +429,269 @@ async function runHealthCheck() {
         failures: agentState.consecutiveFailures,
         error: health.error,
       });
-      
-      if (agentState.consecutiveFailures >= CONFIG.maxFailures) {
-        const timeSinceLastRestart = agentState.lastRestart 
-          ? Date.now() - new Date(agentState.lastRestart).getTime()
-          : Infinity;
-        
-        if (timeSinceLastRestart > CONFIG.restartCooldown) {
-          await log('warn', `Restarting agent: ${agentConfig.name}`);
-          state.totalRestarts++;
-          const restarted = await restartAgent(agentConfig.name);
-          agentState.lastRestart = new Date().toISOString();
-          agentState.consecutiveFailures = 0;
-          if (restarted) {
-            await log('info', `Agent ${agentConfig.name} restart completed`);
-          }
-        }
-      }
+      agentAlerts.push({
+        level: 'warning',
+        type: 'agent',
+        agent: agentConfig.name,
+        message: `Agent ${agentConfig.name} failing health checks (${agentState.consecutiveFailures} in a row)`,
+      });
+    }
+  }
+  
+  // Recover agents past maxFailures: one at a time through their own commands,
+  // or all at once with one gateway restart (see planRecovery()).
+  // While the gateway itself is down, starting it (above) is the recovery.
+  const due = CONFIG.agents.filter(agent => state.agents.get(agent.name).consecutiveFailures >= CONFIG.maxFailures);
+  if (due.length && state.gateway.running) {
+    const plan = planRecovery(due);
+    if (plan.gateway) {
+      await escalateToGateway(due, gatewayPolicy);
+    }
+    for (const agentConfig of plan.alone) {
+      await recoverAgent(agentConfig);
+    }
+    for (const agentConfig of plan.stranded) {
+      agentAlerts.push({
+        level: 'critical',
+        type: 'agent-restart',
+        agent: agentConfig.name,
+        message: `Agent ${agentConfig.name} needs a restart but has no restartCommand; the gateway is only restarted when ${CONFIG.gateway.escalateAfter} agents, or all of them, fail`,
+      });
     }
   }
   
+  for (const agentConfig of CONFIG.agents) {
+    const circuit = circuitAlert(`Agent ${agentConfig.name}`, state.agents.get(agentConfig.name).restart, getRestartPolicy(agentConfig), agentConfig.name);
+    if (circuit) agentAlerts.push(circuit);
+  }
+  const gatewayCircuit = circuitAlert('Gateway', state.gateway.restart, gatewayPolicy);
+  if (gatewayCircuit) agentAlerts.push(gatewayCircuit);
+  await reportAlerts('agents', agentAlerts);
+  
+  // Performance history, with whether the gateway and each agent were up for uptime reports
+  try {
+    await recordSample({
+      ...perf,
+      agents: [
+        { name: 'gateway', up: state.gateway.running, latency: null },
+        ...CONFIG.agents.map(agent => ({ name: agent.name, up: state.agents.get(agent.name).consecutiveFailures === 0, latency: state.agents.get(agent.name).lastLatency })),
+      ],
+    });
+    // Retention and size cap once an hour is plenty
+    if (CONFIG.history.enabled && Date.now() - state.lastHistoryPrune > 3600000) {
+      state.lastHistoryPrune = Date.now();
+      const { removed } = await pruneHistory();
+      if (removed.length) await log('info', 'Pruned performance history', { files: removed.length });
+    }
+  } catch (error) {
+    await log('error', 'Failed to write performance history', { error: error.message });
+  }
+  
   // 3. Git Repos (every 5 checks)
-  if (state.totalChecks % 5 === 1) {
+  if (state.runChecks % 5 === 1) {
     const repos = await getAllRepoStatuses();
-    for (const repo of repos) {
-      state.repos.set(repo.name, repo);
-    }
+    const secretEvents = await scanForSecrets(repos);
+    if (state.lastRepoScan) await reportRepoChanges(repos, secretEvents);
+    state.repos = new Map(repos.map(repo => [repo.name, repo]));
+    state.lastRepoScan = new Date().toISOString();
+    await reportAlerts('repos', repos.flatMap(repo => findStaleWork(repo).map(finding => ({
+      type: `stale-${finding.kind}`,
+      level: finding.level,
+      repo: repo.name,
+      message: finding.message,
+    }))));
   }
   
-  // 4. Activity
-  const activity = await getAgentActivity();
-  state.activity = activity;
+  // Fetches can take a while; run them in the background, one batch at a time
+  if (CONFIG.fetch.enabled && !state.fetching) {
+    state.fetching = fetchDueRepos([...state.repos.values()])
+      .then(async results => {
+        for (const result of results) {
+          if (result.ok) await log('debug', `Fetched ${result.name}`, { duration: result.duration });
+          else await log('warn', `Fetch failed for ${result.name}`, { error: result.error });
+        }
+      })
+      .catch(error => log('error', 'Background fetch failed', { error: error.message }))
+      .finally(() => { state.fetching = null; });
+  }
+  
+  // Verify new HEAD commits after each repo scan, also in the background
+  if (state.runChecks % 5 === 1 && !state.verifying) {
+    state.verifying = verifyNewHeads([...state.repos.values()])
+      .then(async finished => {
+        for (const { repo, result } of finished) {
+          const summary = summarizeResult(result);
+          const failure = summary.error || (summary.failedCommand ? `${summary.failedCommand} ${summary.timedOut ? 'timed out' : `exited with ${summary.exitCode}`}` : null);
+          await log(result.status === 'passed' ? 'info' : 'warn', `Verification ${result.status} for ${repo}@${result.shortHash}`, failure ? { failure } : {});
+        }
+        if (finished.length) await refreshVerifyResults();
+      })
+      .catch(error => log('error', 'Verification failed to run', { error: error.message }))
+      .finally(() => { state.verifying = null; });
+  }
+  
+  // 4. Alert rules
+  const facts = buildFacts({
+    performance: perf,
+    agents: [...state.agents.values()],
+    repos: [...state.repos.values()].map(repo => ({ ...repo, events: countRecentEvents(repo.name) })),
+    processes: state.processes?.processes,
+  });
+  await reportAlerts('rules', evaluateRules(facts));
   
-  // 5. Save state
+  // 5. Activity
+  const logRates = getLogRates();
+  for (const agentState of state.agents.values()) {
+    agentState.logs = logRates[agentState.name]?.window || null;
+  }
+  await reportAlerts('logs', CONFIG.logTail.enabled ? getLogAlerts() : []);
+  state.activity = {
+    sessions: sessionList,
+    recentErrors: getRecentLogLines({ limit: 20, levels: ['warn', 'error'] }).map(({ time, file, level, agent, line }) => ({ time, file, level, agent, line })),
+    logRates,
+    lastUpdate: new Date().toISOString(),
+  };
+  
+  // 6. Save state
   await saveState();
 }
 
+// Secrets and protected paths: new commits become critical events, uncommitted
+// findings stay critical alerts until they're gone. Attaches `secrets` to each repo.
+async function scanForSecrets(repos) {
+  const events = [];
+  const alerts = [];
+  for (const repo of repos) {
+    let scan;
+    try {
+      scan = await scanRepo(repo);
+    } catch (error) {
+      await log('warn', `Could not scan ${repo.name} for secrets`, { error: error.message });
+      continue;
+    }
+    repo.secrets = scan.uncommitted;
+    for (const finding of scan.commits) {
+      const { kind, rule, commit, file, line, fingerprint } = finding;
+      events.push({
+        type: kind === 'secret' ? 'secret-committed' : 'protected-path-committed',
+        repo: repo.name,
+        message: describeFinding(finding),
+        rule, commit, file, line, fingerprint,
+      });
+    }
+    for (const finding of scan.uncommitted) {
+      alerts.push({
+        key: `secret:${repo.name}:${finding.fingerprint}`,
+        type: finding.kind === 'secret' ? 'secret-uncommitted' : 'protected-path-uncommitted',
+        level: 'critical',
+        repo: repo.name,
+        file: finding.file,
+        line: finding.line,
+        message: describeFinding(finding),
+      });
+    }
+  }
+  await reportAlerts('secrets', alerts);
+  return events;
+}
+
+// Latest verification result per repo, and an alert for each one that isn't passing
+async function refreshVerifyResults() {
+  const latest = await getLatestResults();
+  state.verify = Object.fromEntries(Object.entries(latest).map(([name, result]) => [name, summarizeResult(result)]));
+  await reportAlerts('verify', Object.entries(state.verify)
+    .filter(([, summary]) => summary && summary.status !== 'passed')
+    .map(([repo, summary]) => ({
+      type: 'verify-failed',
+      level: 'warning',
+      repo,
+      message: `${repo}@${summary.commit}: verification ${summary.status}${summary.failedCommand ? ` at "${summary.failedCommand}"` : ''}${summary.error ? ` (${summary.error})` : ''}`,
+    })));
+}
+
 async function saveState() {
   const stateData = {
     startTime: state.startTime,
     totalChecks: state.totalChecks,
     totalRestarts: state.totalRestarts,
     lastCheck: state.lastCheck,
+    lastRepoScan: state.lastRepoScan,
     agents: Object.fromEntries(state.agents),
+    gateway: state.gateway,
     repos: Object.fromEntries(state.repos),
     activity: state.activity,
+    sessions: { active: getActiveSessions(), ended: getEndedSessions() },
+    logTail: getTailState(),
+    secretScan: getScanState(),
+    processes: state.processes,
+    fetch: getFetchState(),
+    verify: state.verify,
+    alerts: {
+      active: getActiveAlerts(),
+      rules: getRuleStates(),
+    },
     performance: {
       latest: state.performance.history[state.performance.history.length - 1],
     },
   };
   
   try {
-    await fs.writeFile(CONFIG.stateFile, JSON.stringify(stateData, null, 2));
-  } catch {}
+    await writeStateFile(stateData);
+  } catch (error) {
+    await log('warn', 'Failed to save state', { error: error.message });
+  }
 }
 
+/**
+ * Pick up where the last run stopped: counters, agent and gateway state
+ * (failure counts, restart backoff and circuit breakers), repo snapshots,
+ * sessions, log offsets, fetch results, secret scan positions and alert state. Agents and repos
+ * no longer configured are left behind; discovered repos are kept, so
+ * the first scan reports the ones that are gone. An unreadable state file is kept
+ * aside as <stateFile>.corrupt and the daemon starts fresh.
+ */
 async function loadState() {
+  let saved;
   try {
-    const data = await fs.readFile(CONFIG.stateFile, 'utf-8');
-    const saved = JSON.parse(data);
-    await log('info', 'Found previous state', { 
-      previousChecks: saved.totalChecks,
-      previousRestarts: saved.totalRestarts,
-    });
-  } catch {}
+    saved = await readStateFile();
+  } catch (error) {
+    await fs.rename(CONFIG.stateFile, `${CONFIG.stateFile}.corrupt`).catch(() => {});
+    await log('warn', 'Could not read previous state, starting fresh', { error: error.message, file: CONFIG.stateFile });
+    return;
+  }
+  if (!saved) return;
+
+  state.totalChecks = saved.totalChecks || 0;
+  state.totalRestarts = saved.totalRestarts || 0;
+  state.lastCheck = saved.lastCheck || null;
+  for (const agentConfig of CONFIG.agents) {
+    const agent = saved.agents[agentConfig.name];
+    if (agent) Object.assign(initAgentState(agentConfig.name), agent, { name: agentConfig.name });
+  }
+  state.gateway = { ...state.gateway, ...saved.gateway };
+  const repos = Object.values(saved.repos).filter(repo => repo.discovered || CONFIG.repos.some(r => r.name === repo.name));
+  if (repos.length) {
+    state.repos = new Map(repos.map(repo => [repo.name, repo]));
+    state.lastRepoScan = saved.lastRepoScan || saved.lastCheck;
+    restoreDirtySince(repos);
+  }
+  restoreSessions(saved.sessions);
+  if (CONFIG.logTail.enabled) restoreTailState(saved.logTail);
+  restoreFetchState(saved.fetch);
+  restoreScanState(saved.secretScan);
+  restoreAlerts(saved.alerts.active);
+  restoreRuleStates(saved.alerts.rules);
+  state.restoredFrom = saved.savedAt || null;
+
+  await log('info', 'Restored previous state', {
+    savedAt: saved.savedAt,
+    version: saved.version,
+    previousChecks: state.totalChecks,
+    previousRestarts: state.totalRestarts,
+    agents: CONFIG.agents.filter(agent => saved.agents[agent.name]).length,
+    repos: repos.length,
+    alerts: saved.alerts.active.length,
+  });
 }
 
 function getStatus() {
@@ -194,15 +701,25 @@ function getStatus() {
   for (const [name, agentState] of state.agents) {
     agents[name] = {
       healthy: agentState.consecutiveFailures === 0,
+      status: agentState.status,
+      latency: agentState.lastLatency,
+      avgLatency: agentState.avgLatency,
+      probes: agentState.lastProbes.map(({ type, ok, latency, error }) => ({ type, ok, latency, error })),
       lastHealthy: agentState.lastHealthy,
       consecutiveFailures: agentState.consecutiveFailures,
       totalChecks: agentState.totalChecks,
       totalFailures: agentState.totalFailures,
+      totalRestarts: agentState.totalRestarts,
       lastRestart: agentState.lastRestart,
+      sessions: getActiveSessions(name).length,
+      logs: agentState.logs ?? null,
+      stuckSessions: agentState.stuckSessions,
+      restart: describeRestartState(agentState.restart, getRestartPolicy(CONFIG.agents.find(a => a.name === name))),
     };
   }
   
   const latestPerf = state.performance.history[state.performance.history.length - 1];
+  const fetches = getFetchState();
   
   return {
     monitor: {
@@ -211,29 +728,70 @@ function getStatus() {
       totalChecks: state.totalChecks,
       totalRestarts: state.totalRestarts,
       lastCheck: state.lastCheck,
+      configSource: state.configSource,
+      restoredFrom: state.restoredFrom,
+    },
+    gateway: {
+      running: state.gateway.running,
+      restart: describeRestartState(state.gateway.restart, getRestartPolicy(CONFIG.gateway)),
     },
     agents,
     performance: latestPerf ? {
       cpu: `${latestPerf.cpu.usage}%`,
+      cpuBreakdown: latestPerf.cpu.breakdown,
       memory: `${latestPerf.memory.percent}% (${formatBytes(latestPerf.memory.used)} / ${formatBytes(latestPerf.memory.total)})`,
       disk: `${latestPerf.disk.percent}%`,
+      filesystems: Object.fromEntries((latestPerf.filesystems || []).map(f => [
+        f.mount,
+        `${f.percent}% (${formatBytes(f.used)} / ${formatBytes(f.total)})${f.inodes.percent === null ? '' : `, inodes ${f.inodes.percent}%`}`,
+      ])),
       load: latestPerf.cpu.loadAvg.join(', '),
       systemUptime: latestPerf.system.uptimeHuman,
     } : null,
+    processes: state.processes?.processes.map(proc => proc.running ? {
+      name: proc.name,
+      role: proc.role,
+      running: true,
+      pids: proc.pids,
+      cpu: `${proc.cpu}%`,
+      memory: formatBytes(proc.rss),
+      threads: proc.threads,
+      fds: proc.fds,
+      children: proc.children,
+      uptime: proc.uptimeHuman,
+    } : { name: proc.name, role: proc.role, running: false }) || [],
     repos: Object.fromEntries([...state.repos].map(([name, repo]) => [
       name,
       repo.error ? { error: repo.error } : {
+        ...(repo.discovered ? { discovered: true } : {}),
         branch: repo.branch,
         latestCommit: repo.latestCommit?.message?.substring(0, 50),
         uncommittedChanges: repo.uncommittedChanges,
         ahead: repo.ahead,
         behind: repo.behind,
+        lastFetch: repo.lastFetch,
+        syncStale: getSyncFreshness(repo, fetches[name]).reason || false,
+        staleWork: findStaleWork(repo).map(({ kind, level, message }) => ({ kind, level, message })),
+        ...(state.verify[name] ? { verify: state.verify[name] } : {}),
+        ...(repo.secrets?.length ? { secrets: repo.secrets.map(describeFinding) } : {}),
       }
     ])),
+    alerts: getActiveAlerts(),
+    rules: getRuleStates(),
+    events: getRecentEvents({ limit: 20 }).map(({ timestamp, type, level, repo, agent, message }) => ({ timestamp, type, level, repo, agent, message })),
     activity: {
-      sessionCount: state.activity.sessions?.length || 0,
+      sessionCount: getActiveSessions().length,
       lastUpdate: state.activity.lastUpdate,
     },
+    logs: {
+      window: CONFIG.logTail.window,
+      rates: Object.fromEntries(Object.entries(getLogRates()).map(([agent, rates]) => [agent, rates.window])),
+      recentErrors: getRecentLogLines({ limit: 10, levels: ['warn', 'error'] }).map(({ file, level, agent, line }) => ({ file, level, agent, line })),
+    },
+    sessions: {
+      active: getActiveSessions(),
+      recentlyEnded: getEndedSessions(10),
+    },
   };
 }
 
@@ -248,7 +806,9 @@ function getDetailedReport() {
   if (status.performance) {
     report += `  CPU: ${status.performance.cpu} | Load: ${status.performance.load}\n`;
     report += `  Memory: ${status.performance.memory}\n`;
-    report += `  Disk: ${status.performance.disk}\n`;
+    for (const [mount, usage] of Object.entries(status.performance.filesystems)) {
+      report += `  Disk ${mount}: ${usage}\n`;
+    }
     report += `  System Uptime: ${status.performance.systemUptime}\n`;
   }
   report += '\n';
@@ -256,9 +816,12 @@ function getDetailedReport() {
   // Agent Health
   report += '🤖 **Agent Health**\n';
   for (const [name, agent] of Object.entries(status.agents)) {
-    const icon = agent.healthy ? '✅' : '❌';
-    report += `  ${icon} ${name}: ${agent.healthy ? 'Healthy' : `${agent.consecutiveFailures} failures`}\n`;
+    const icon = !agent.healthy ? '❌' : agent.status === 'degraded' ? '🐢' : '✅';
+    const latency = agent.latency !== null ? ` (${agent.latency}ms)` : '';
+    report += `  ${icon} ${name}: ${agent.healthy ? `${agent.status === 'degraded' ? 'Degraded' : 'Healthy'}${latency}` : `${agent.consecutiveFailures} failures`}\n`;
     if (agent.lastRestart) report += `    Last restart: ${agent.lastRestart}\n`;
+    if (agent.restart.circuit === 'open') report += `    🛑 Automatic restarts stopped since ${agent.restart.openedAt}\n`;
+    if (agent.stuckSessions) report += `    ⏸️ ${agent.stuckSessions} of ${agent.sessions} sessions stuck\n`;
   }
   report += '\n';
   
@@ -275,6 +838,16 @@ function getDetailedReport() {
     if (repo.latestCommit) {
       report += `    └─ ${repo.latestCommit.shortHash}: ${repo.latestCommit.message?.substring(0, 40)}... (${repo.latestCommit.relTime})\n`;
     }
+    for (const finding of repo.secrets || []) {
+      report += `    🚨 ${describeFinding(finding)}\n`;
+    }
+    const verify = state.verify[repo.name];
+    if (verify) {
+      report += `    ${verify.status === 'passed' ? '🟢' : '🔴'} Verify ${verify.commit}: ${verify.status}${verify.failedCommand ? ` at "${verify.failedCommand}"` : ''}\n`;
+    }
+    for (const finding of findStaleWork(repo)) {
+      report += `    ${finding.level === 'warning' ? '⚠️' : 'ℹ️'} ${finding.message}\n`;
+    }
   }
   report += '\n';
   
@@ -287,9 +860,108 @@ function getDetailedReport() {
   return report;
 }
 
+const apiProvider = {
+  getStatus,
+  getDetailedReport,
+  getAgents: () => getStatus().agents,
+  getRepos: () => Object.fromEntries(state.repos),
+  getPerformance: () => state.performance.history[state.performance.history.length - 1],
+  getHistory: () => state.performance.history,
+  getEvents: query => readEvents(query),
+  getCommitActivity: query => getCommitActivity({ ...query, repos: [...state.repos.values()] }),
+  getMetrics: () => renderMetrics({
+    performance: state.performance.history[state.performance.history.length - 1],
+    agents: state.agents.values(),
+    repos: state.repos.values(),
+    monitor: state,
+    logs: getLogRates(),
+  }),
+};
+
+async function startApi() {
+  await stopApiServer(state.apiServer);
+  state.apiServer = null;
+  if (!CONFIG.api.enabled) return;
+  
+  try {
+    state.apiServer = await startApiServer(apiProvider, CONFIG.api);
+    const { address, port } = state.apiServer.address();
+    await log('info', 'Status API listening', { address, port, auth: CONFIG.api.token ? 'bearer' : 'none' });
+  } catch (error) {
+    await log('error', 'Failed to start status API', { error: error.message });
+  }
+}
+
+// Health checks on their timer; a slow one (drains, restarts) is never
+// overlapped, and a failing one is logged instead of ending the daemon
+async function checkHealth() {
+  if (state.checking) {
+    await log('debug', 'Previous health check still running, skipping this one');
+    return;
+  }
+  state.checking = true;
+  try {
+    await runHealthCheck();
+  } catch (error) {
+    await log('error', 'Health check failed', { error: error.message });
+  } finally {
+    state.checking = false;
+  }
+}
+
+function scheduleChecks() {
+  if (state.checkTimer) clearInterval(state.checkTimer);
+  state.checkTimer = setInterval(checkHealth, CONFIG.healthCheckInterval);
+}
+
+// Follow the OpenClaw logs on their own, faster timer; polls never overlap
+async function tailLogs() {
+  if (state.tailing) return;
+  state.tailing = true;
+  try {
+    await pollLogs();
+  } catch (error) {
+    await log('error', 'Log tailing failed', { error: error.message });
+  } finally {
+    state.tailing = false;
+  }
+}
+
+function scheduleLogTail() {
+  if (state.tailTimer) clearInterval(state.tailTimer);
+  state.tailTimer = null;
+  if (!CONFIG.logTail.enabled) return;
+  const interval = typeof CONFIG.logTail.pollInterval === 'number' ? CONFIG.logTail.pollInterval * 1000 : parseDuration(CONFIG.logTail.pollInterval);
+  state.tailTimer = setInterval(tailLogs, interval);
+}
+
+async function reloadConfig() {
+  const previousInterval = CONFIG.healthCheckInterval;
+  try {
+    const { source, changed } = await loadConfig(configPath);
+    state.configSource = source;
+    await log('info', 'Configuration reloaded', { source: source || 'defaults', changed });
+    if (CONFIG.healthCheckInterval !== previousInterval) {
+      scheduleChecks();
+    }
+    if (changed.includes('api')) {
+      await startApi();
+    }
+    if (changed.includes('logTail')) {
+      scheduleLogTail();
+    }
+  } catch (error) {
+    await log('error', 'Configuration reload failed, keeping previous config', { error: error.message });
+  }
+}
+
 // Main
 async function main() {
+  const { source } = await loadConfig(configPath);
+  state.configSource = source;
+  
   await log('info', '🔍 OpenClaw Activity Monitor starting...', {
+    config: source || 'defaults',
     healthCheckInterval: CONFIG.healthCheckInterval,
     responseTimeout: CONFIG.responseTimeout,
     maxFailures: CONFIG.maxFailures,
@@ -297,25 +969,40 @@ async function main() {
   });
   
   await loadState();
+  await refreshVerifyResults();
+  
+  // Start following the logs from their current end
+  if (CONFIG.logTail.enabled) await tailLogs();
+  scheduleLogTail();
   
   // Initial health check
-  await runHealthCheck();
+  await checkHealth();
   
   // Log initial status
   console.log('\n' + getDetailedReport());
   
   // Schedule periodic checks
-  setInterval(runHealthCheck, CONFIG.healthCheckInterval);
+  scheduleChecks();
+  
+  await startApi();
+  
+  // Reload config without restarting
+  process.on('SIGHUP', async () => {
+    await log('info', 'Received SIGHUP, reloading configuration...');
+    await reloadConfig();
+  });
   
   // Handle shutdown
   process.on('SIGTERM', async () => {
     await log('info', 'Received SIGTERM, shutting down...');
+    await flushHistory().catch(() => {});
     await saveState();
     process.exit(0);
   });
   
   process.on('SIGINT', async () => {
     await log('info', 'Received SIGINT, shutting down...');
+    await flushHistory().catch(() => {});
     await saveState();
     process.exit(0);
   });
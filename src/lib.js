@@ -12,6 +12,11 @@ import { exec } from 'child_process';
 import { promisify } from 'util';
 import fs from 'fs/promises';
 import os from 'os';
+import path from 'path';
+import net from 'net';
+import fetch from 'node-fetch';
+import { listSessions } from './sessions.js';
+import { logDir, getRecentLogLines, getLogRates } from './log-tailer.js';
 
 const execAsync = promisify(exec);
 
@@ -19,8 +24,28 @@ const execAsync = promisify(exec);
 export const CONFIG = {
   healthCheckInterval: 30000,
   responseTimeout: 60000,
+  // Agents answering slower than this (ms) are reported as degraded
+  latencyWarning: 10000,
   maxFailures: 3,
+  // Session tracking: active sessions without progress for stuckAfter are stuck
+  // (agents can set their own `stuckAfter`); with failOnStuck that fails the
+  // agent's health check instead of only degrading it.
+  sessions: {
+    stuckAfter: '30m',
+    failOnStuck: false,
+    keepEnded: 50,
+  },
+  // First restart backoff (ms); later ones grow per restartPolicy
   restartCooldown: 10000,
+  // Durations are seconds or strings like '10m'. Agents and the gateway can override any key.
+  restartPolicy: {
+    backoffMultiplier: 2,
+    maxBackoff: '10m',
+    maxRestarts: 5,
+    window: '1h',
+    resetAfter: '15m',
+  },
+  cpuSampleWindow: 500,
   logFile: '/var/log/openclaw-activity-monitor.log',
   fallbackLogFile: './activity-monitor.log',
   stateFile: './monitor-state.json',
@@ -32,6 +57,74 @@ export const CONFIG = {
     { name: 'voice-chat', path: '/home/johnny-test/clawd/voice-chat' },
     { name: 'openclaw-activity-monitor', path: '/home/johnny-test/clawd/openclaw-activity-monitor' },
   ],
+  // Work left lying around: ages are seconds or '1d'-style durations, false turns a check off.
+  // Repos can override any key with their own `staleWork`.
+  staleWork: {
+    dirtyAge: '1d',
+    unpushedAge: '1d',
+    detached: true,
+    noUpstream: true,
+  },
+  // `oam activity` and /activity: authors maps names or emails (* and ? allowed)
+  // to 'agent' or 'human'; authors named like a configured agent count as agents.
+  commitActivity: {
+    authors: {},
+    defaultKind: 'human',
+    range: '7d',
+    maxCommits: 10000,
+  },
+  // Repos can list `verify` commands (strings or { name, command, timeout }) that
+  // run in a temporary worktree for each new HEAD; results are kept in `dir`.
+  verify: {
+    dir: './verify',
+    concurrency: 1,
+    timeout: '10m',
+    outputBytes: 65536,
+    keep: 20,
+  },
+  // Scan new commits and uncommitted changes for secrets and protected paths.
+  // protectedPaths are globs on repo-relative paths; a '!' pattern excludes.
+  // Repos can add their own `protectedPaths` or opt out with `secretScan: false`.
+  secretScan: {
+    enabled: true,
+    rules: [],
+    protectedPaths: ['**/.env', '**/.env.*', '!**/.env.example', '!**/.env.sample', '**/*.pem', '**/*.key', '**/id_rsa', '**/id_ed25519', '**/*.p12'],
+    allowlist: [],
+    maxCommits: 100,
+    maxFileBytes: 1048576,
+  },
+  // Follow the OpenClaw logs: line counts per agent and level over `window`,
+  // and alerts for `patterns` ({ name, pattern, flags, level, threshold, window, agent }).
+  logTail: {
+    enabled: true,
+    dir: '~/.openclaw/logs',
+    files: '*.log',
+    pollInterval: '5s',
+    window: '5m',
+    keepLines: 200,
+    maxReadBytes: 4194304,
+    patterns: [],
+  },
+  // Background `git fetch` so ahead/behind are current. Repos can opt out with
+  // `fetch: false` or set their own `fetchInterval`.
+  fetch: {
+    enabled: false,
+    interval: '15m',
+    concurrency: 2,
+    timeout: '60s',
+    // Sync data older than this is shown as stale
+    staleAfter: '1h',
+  },
+  // Repos found under these roots are monitored alongside `repos`
+  discovery: {
+    roots: [],
+    maxDepth: 3,
+    // Globs on the path relative to the root, or a directory name
+    ignore: ['node_modules', '.*', 'vendor', 'dist', 'build', 'target', '__pycache__'],
+    // Also list repos inside other repos: submodules, and plain nested clones
+    submodules: false,
+    nested: false,
+  },
   thresholds: {
     cpuWarning: 80,
     cpuCritical: 95,
@@ -39,10 +132,84 @@ export const CONFIG = {
     memoryCritical: 95,
     diskWarning: 85,
     diskCritical: 95,
+    inodeWarning: 85,
+    inodeCritical: 95,
+    // Per-mount overrides, e.g. { '/var': { diskWarning: 70 } }
+    mounts: {},
   },
+  filesystems: {
+    excludeTypes: ['tmpfs', 'devtmpfs', 'overlay', 'squashfs', 'ramfs', 'proc', 'sysfs', 'cgroup', 'cgroup2',
+      'devpts', 'mqueue', 'debugfs', 'tracefs', 'securityfs', 'pstore', 'efivarfs', 'nsfs', 'autofs', 'fuse.lxcfs'],
+    excludeMounts: ['^/snap/', '^/run/', '^/var/lib/docker/'],
+    // Regexes that win over the exclusions above
+    includeMounts: [],
+  },
+  // Each agent may list probes: status, command, http, tcp or log (default: status)
   agents: [
     { name: 'main', command: 'openclaw agent --agent main' },
   ],
+  // How to find processes: pidFile, name (exact process name) or match (regex on the command line).
+  // Agents without a `process` entry are matched on their `command`.
+  // Agents may set restartCommand, or stopCommand and startCommand ({name} is the agent name),
+  // to be restarted without the gateway, plus drainTimeout to let in-flight sessions finish first
+  gateway: {
+    process: { match: 'openclaw.*gateway' },
+    // Restart the whole gateway when this many agents need a restart in the same check
+    escalateAfter: 2,
+    drainTimeout: 0,
+  },
+  events: {
+    file: './events.jsonl',
+    // Rotated to <file>.1 beyond this size
+    maxBytes: 10 * 1024 * 1024,
+    // Events kept in memory for getStatus() and the API
+    keep: 200,
+    // Seconds of events counted by the repo.events.* rule metrics
+    window: 3600,
+    // Commits listed in one new-commits event
+    maxCommits: 20,
+  },
+  // One JSON file per restart, with the diagnostics captured just before it
+  incidents: {
+    dir: './incidents',
+    logLines: 100,
+    topProcesses: 15,
+    // Days to keep incident files; 0 keeps them forever
+    retentionDays: 30,
+  },
+  history: {
+    enabled: true,
+    dir: './history',
+    maxBytes: 100 * 1024 * 1024,
+    // resolution 0 keeps every sample; retention is in seconds
+    tiers: [
+      { name: 'raw', resolution: 0, retention: 86400 },
+      { name: '5m', resolution: 300, retention: 7 * 86400 },
+      { name: '1h', resolution: 3600, retention: 365 * 86400 },
+    ],
+  },
+  alerting: {
+    // How long (seconds, or "5m") a threshold must be exceeded before its alert fires
+    for: { cpu: 300, memory: 120, disk: 0 },
+    // Points below the threshold a value must drop before a firing alert clears
+    hysteresis: 5,
+    // Seconds resolved alerts stay listed in the status
+    keepResolved: 3600,
+  },
+  // Custom rules: { name, metric, op, threshold, clear, for, severity } or { name, expr, clearExpr, for, severity }
+  rules: [],
+  notifications: {
+    // Seconds before a still-active alert is sent again
+    repeatInterval: 3600,
+    // { type: webhook|slack|discord|email|command, level: info|warning|critical, ... }
+    channels: [],
+  },
+  api: {
+    enabled: false,
+    host: '127.0.0.1',
+    port: 8787,
+    token: null,
+  },
 };
 
 // ==================== UTILITIES ====================
@@ -66,36 +233,206 @@ export function formatBytes(bytes) {
   return `${Math.round(bytes * 10) / 10} ${units[i]}`;
 }
 
+/**
+ * Parse a duration like "90s", "30m", "6h", "7d" or "2w" into milliseconds.
+ * Returns null when the text isn't a duration.
+ */
+export function parseDuration(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*(s|m|h|d|w)$/i);
+  if (!match) return null;
+  const unit = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 }[match[2].toLowerCase()];
+  return Math.round(parseFloat(match[1]) * unit);
+}
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Render values as a one-line sparkline, squeezed to at most `width` characters.
+ */
+export function sparkline(values, width = 60) {
+  if (!values.length) return '';
+  let points = values;
+  if (values.length > width) {
+    points = [];
+    const step = values.length / width;
+    for (let i = 0; i < width; i++) {
+      const slice = values.slice(Math.floor(i * step), Math.floor((i + 1) * step));
+      points.push(slice.reduce((sum, v) => sum + v, 0) / slice.length);
+    }
+  }
+  const min = Math.min(...points);
+  const range = Math.max(...points) - min;
+  return points.map(v => SPARK_CHARS[range === 0 ? 0 : Math.round(((v - min) / range) * (SPARK_CHARS.length - 1))]).join('');
+}
+
 // ==================== PERFORMANCE MONITORING ====================
 
+const CPU_FIELDS = ['user', 'nice', 'system', 'idle', 'iowait', 'irq', 'softirq', 'steal'];
+
+// Last CPU counters read, so consecutive calls (daemon cycles) measure the interval between them
+let lastCpuSample = null;
+
+function parseProcStat(text) {
+  const sample = { total: null, cores: [] };
+  for (const line of text.split('\n')) {
+    const match = line.match(/^cpu(\d*)\s+(.*)$/);
+    if (!match) continue;
+    const values = match[2].trim().split(/\s+/).map(Number);
+    const times = Object.fromEntries(CPU_FIELDS.map((field, i) => [field, values[i] || 0]));
+    if (match[1] === '') sample.total = times;
+    else sample.cores[Number(match[1])] = times;
+  }
+  return sample;
+}
+
+function sumTimes(samples) {
+  const total = Object.fromEntries(CPU_FIELDS.map(f => [f, 0]));
+  for (const times of samples) {
+    for (const field of CPU_FIELDS) total[field] += times[field];
+  }
+  return total;
+}
+
+/**
+ * Read cumulative CPU counters: /proc/stat on Linux, os.cpus() elsewhere
+ * (which has no iowait/steal split).
+ */
+export async function readCpuTimes() {
+  try {
+    const sample = parseProcStat(await fs.readFile('/proc/stat', 'utf-8'));
+    if (sample.total) return { ...sample, timestamp: Date.now() };
+  } catch {}
+  
+  const cores = os.cpus().map(({ times }) => ({
+    user: times.user, nice: times.nice, system: times.sys, idle: times.idle,
+    iowait: 0, irq: times.irq, softirq: 0, steal: 0,
+  }));
+  return { total: sumTimes(cores), cores, timestamp: Date.now() };
+}
+
+function percentBreakdown(prev, curr) {
+  const delta = Object.fromEntries(CPU_FIELDS.map(f => [f, Math.max(0, curr[f] - prev[f])]));
+  const total = CPU_FIELDS.reduce((sum, f) => sum + delta[f], 0);
+  const pct = value => total > 0 ? Math.round((value / total) * 1000) / 10 : 0;
+  return {
+    usage: pct(total - delta.idle - delta.iowait),
+    user: pct(delta.user + delta.nice),
+    system: pct(delta.system + delta.irq + delta.softirq),
+    iowait: pct(delta.iowait),
+    steal: pct(delta.steal),
+    idle: pct(delta.idle),
+  };
+}
+
+/**
+ * CPU usage over the interval between two readCpuTimes() samples.
+ * Idle and iowait count as not busy.
+ */
+export function calculateCpuUsage(prev, curr) {
+  const overall = percentBreakdown(prev.total, curr.total);
+  const { usage, ...breakdown } = overall;
+  return {
+    usage,
+    breakdown,
+    perCore: curr.cores.map((times, i) => prev.cores[i] ? percentBreakdown(prev.cores[i], times).usage : 0),
+  };
+}
+
+async function sampleCpu() {
+  // No earlier sample (e.g. one-shot CLI): measure over a short window
+  const prev = lastCpuSample || await readCpuTimes();
+  const elapsed = Date.now() - prev.timestamp;
+  if (elapsed < CONFIG.cpuSampleWindow) {
+    await new Promise(r => setTimeout(r, CONFIG.cpuSampleWindow - elapsed));
+  }
+  const curr = await readCpuTimes();
+  lastCpuSample = curr;
+  return calculateCpuUsage(prev, curr);
+}
+
+function isExcludedFilesystem(mountInfo) {
+  const rules = CONFIG.filesystems;
+  if (rules.includeMounts.some(pattern => new RegExp(pattern).test(mountInfo.mount))) return false;
+  if (rules.excludeTypes.includes(mountInfo.type)) return true;
+  return rules.excludeMounts.some(pattern => new RegExp(pattern).test(mountInfo.mount));
+}
+
+/**
+ * Every real mounted filesystem with byte and inode usage. Pseudo and
+ * in-memory filesystems are dropped per CONFIG.filesystems.
+ */
+export async function getFilesystems() {
+  let stdout;
+  try {
+    ({ stdout } = await execAsync('df -B1 --output=source,fstype,size,used,avail,itotal,iused,target', { timeout: 10000 }));
+  } catch (error) {
+    // df exits non-zero when one mount is unreadable but still prints the rest
+    stdout = error.stdout || '';
+  }
+  
+  const seen = new Set();
+  const filesystems = [];
+  for (const line of stdout.trim().split('\n').slice(1)) {
+    const parts = line.trim().split(/\s+/);
+    if (parts.length < 8) continue;
+    const [device, type, size, used, avail, itotal, iused] = parts;
+    const mount = parts.slice(7).join(' ');
+    if (seen.has(mount)) continue;
+    seen.add(mount);
+    
+    const usedBytes = parseInt(used) || 0;
+    const availBytes = parseInt(avail) || 0;
+    const inodesTotal = parseInt(itotal) || 0;
+    const inodesUsed = parseInt(iused) || 0;
+    const mountInfo = {
+      mount,
+      device,
+      type,
+      total: parseInt(size) || 0,
+      used: usedBytes,
+      available: availBytes,
+      // Same as df: share of the space a normal user can get at
+      percent: usedBytes + availBytes > 0 ? Math.ceil((usedBytes / (usedBytes + availBytes)) * 1000) / 10 : 0,
+      inodes: {
+        total: inodesTotal,
+        used: inodesUsed,
+        // Some filesystems (btrfs, vfat) don't have fixed inode tables
+        percent: inodesTotal > 0 ? Math.round((inodesUsed / inodesTotal) * 1000) / 10 : null,
+      },
+    };
+    if (mountInfo.total > 0 && !isExcludedFilesystem(mountInfo)) filesystems.push(mountInfo);
+  }
+  return filesystems;
+}
+
+/**
+ * Thresholds for one mount: CONFIG.thresholds.mounts[mount] over the global defaults.
+ */
+export function getMountThresholds(mount) {
+  const t = CONFIG.thresholds;
+  return {
+    diskWarning: t.diskWarning,
+    diskCritical: t.diskCritical,
+    inodeWarning: t.inodeWarning,
+    inodeCritical: t.inodeCritical,
+    ...(t.mounts?.[mount] || {}),
+  };
+}
+
 export async function getSystemPerformance() {
   const cpus = os.cpus();
   const totalMem = os.totalmem();
   const freeMem = os.freemem();
   const usedMem = totalMem - freeMem;
   
-  // Calculate CPU usage
-  let totalIdle = 0;
-  let totalTick = 0;
-  for (const cpu of cpus) {
-    for (const type in cpu.times) {
-      totalTick += cpu.times[type];
-    }
-    totalIdle += cpu.times.idle;
-  }
-  const cpuUsage = 100 - (totalIdle / totalTick * 100);
+  const cpuUsage = await sampleCpu();
   
-  // Get disk usage
-  let diskUsage = { used: 0, total: 0, percent: 0 };
-  try {
-    const { stdout } = await execAsync("df -B1 / | tail -1 | awk '{print $2,$3,$5}'");
-    const [total, used, percent] = stdout.trim().split(/\s+/);
-    diskUsage = {
-      total: parseInt(total),
-      used: parseInt(used),
-      percent: parseInt(percent),
-    };
-  } catch {}
+  // Get disk usage (root filesystem kept as `disk` for the summary views)
+  const filesystems = await getFilesystems();
+  const root = filesystems.find(f => f.mount === '/');
+  const diskUsage = root
+    ? { total: root.total, used: root.used, percent: root.percent }
+    : { used: 0, total: 0, percent: 0 };
   
   const loadAvg = os.loadavg();
   
@@ -110,7 +447,9 @@ export async function getSystemPerformance() {
   return {
     timestamp: new Date().toISOString(),
     cpu: {
-      usage: Math.round(cpuUsage * 10) / 10,
+      usage: cpuUsage.usage,
+      breakdown: cpuUsage.breakdown,
+      perCore: cpuUsage.perCore,
       cores: cpus.length,
       model: cpus[0]?.model || 'Unknown',
       loadAvg: loadAvg.map(l => Math.round(l * 100) / 100),
@@ -122,6 +461,7 @@ export async function getSystemPerformance() {
       percent: Math.round((usedMem / totalMem) * 1000) / 10,
     },
     disk: diskUsage,
+    filesystems,
     system: {
       uptime,
       uptimeHuman: formatUptime(uptime),
@@ -132,32 +472,233 @@ export async function getSystemPerformance() {
   };
 }
 
-export function checkPerformanceAlerts(perf) {
-  const alerts = [];
+// ==================== PROCESS MONITORING ====================
+
+// Clock ticks per second (USER_HZ), the unit of /proc CPU times; read once
+let clockTicks = null;
+
+async function getClockTicks() {
+  if (clockTicks === null) {
+    try {
+      const { stdout } = await execAsync('getconf CLK_TCK');
+      clockTicks = parseInt(stdout) || 100;
+    } catch {
+      clockTicks = 100;
+    }
+  }
+  return clockTicks;
+}
+
+// Last CPU tick counts per pid, for interval CPU % between calls
+let lastProcessSample = new Map();
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+async function readProcEntry(pid) {
+  const base = `/proc/${pid}`;
+  const [statText, cmdline, statusText] = await Promise.all([
+    fs.readFile(`${base}/stat`, 'utf-8'),
+    fs.readFile(`${base}/cmdline`, 'utf-8'),
+    fs.readFile(`${base}/status`, 'utf-8'),
+  ]);
+  
+  // comm may contain spaces/parens, so split after the last ')'
+  const commEnd = statText.lastIndexOf(')');
+  const comm = statText.slice(statText.indexOf('(') + 1, commEnd);
+  const fields = statText.slice(commEnd + 2).split(' ');
+  const status = Object.fromEntries(statusText.split('\n').map(line => {
+    const i = line.indexOf(':');
+    return [line.slice(0, i), line.slice(i + 1).trim()];
+  }));
   
-  if (perf.cpu.usage >= CONFIG.thresholds.cpuCritical) {
-    alerts.push({ level: 'critical', type: 'cpu', message: `CPU at ${perf.cpu.usage}%` });
-  } else if (perf.cpu.usage >= CONFIG.thresholds.cpuWarning) {
-    alerts.push({ level: 'warning', type: 'cpu', message: `CPU at ${perf.cpu.usage}%` });
+  return {
+    pid,
+    ppid: Number(fields[1]),
+    comm,
+    cmdline: cmdline.replace(/\0/g, ' ').trim(),
+    ticks: Number(fields[11]) + Number(fields[12]),
+    startTicks: Number(fields[19]),
+    rss: (parseInt(status.VmRSS) || 0) * 1024,
+    threads: parseInt(status.Threads) || 0,
+  };
+}
+
+async function listProcesses() {
+  const entries = await fs.readdir('/proc');
+  const procs = await Promise.all(entries.filter(e => /^\d+$/.test(e)).map(async e => {
+    try {
+      return await readProcEntry(Number(e));
+    } catch {
+      return null; // exited while we were reading
+    }
+  }));
+  return procs.filter(Boolean);
+}
+
+async function countFds(pid) {
+  try {
+    return (await fs.readdir(`/proc/${pid}/fd`)).length;
+  } catch {
+    return null; // not permitted for other users' processes
   }
+}
+
+async function matchProcesses(matcher, procs) {
+  if (matcher.pidFile) {
+    try {
+      const pid = parseInt(await fs.readFile(matcher.pidFile, 'utf-8'));
+      return procs.filter(p => p.pid === pid);
+    } catch {
+      return [];
+    }
+  }
+  if (matcher.name) {
+    return procs.filter(p => p.comm === matcher.name);
+  }
+  if (matcher.match) {
+    const pattern = new RegExp(matcher.match);
+    return procs.filter(p => pattern.test(p.cmdline));
+  }
+  return [];
+}
+
+/**
+ * The busiest processes on the box by CPU (lifetime average, as ps reports it).
+ */
+export async function getTopProcesses(limit = 10) {
+  try {
+    const { stdout } = await execAsync(`ps -eo pid,ppid,pcpu,pmem,rss,etime,args --sort=-pcpu --no-headers | head -n ${Number(limit)}`);
+    return stdout.trim().split('\n').filter(Boolean).map(line => {
+      const [pid, ppid, cpu, mem, rss, elapsed, ...command] = line.trim().split(/\s+/);
+      return {
+        pid: Number(pid),
+        ppid: Number(ppid),
+        cpu: parseFloat(cpu),
+        memory: parseFloat(mem),
+        rss: Number(rss) * 1024,
+        elapsed,
+        command: command.join(' ').substring(0, 200),
+      };
+    });
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Processes to watch: the gateway plus every configured agent.
+ */
+export function getProcessTargets() {
+  return [
+    { name: 'gateway', role: 'gateway', matcher: CONFIG.gateway?.process || {} },
+    ...CONFIG.agents.map(agent => ({
+      name: agent.name,
+      role: 'agent',
+      matcher: agent.process || { match: escapeRegex(agent.command) },
+    })),
+  ];
+}
+
+/**
+ * Per-process resource usage for the gateway and each agent (Linux /proc).
+ * CPU % is relative to one core, like top, measured between calls.
+ */
+export async function getProcessStats() {
+  const timestamp = new Date().toISOString();
+  let procs;
+  try {
+    procs = await listProcesses();
+  } catch {
+    return { timestamp, supported: false, processes: [] };
+  }
+  
+  // Never count ourselves, the shell that launched us, or the commands we spawn
+  const own = new Set([process.pid]);
+  for (const p of procs) {
+    if (own.has(p.ppid)) own.add(p.pid);
+  }
+  for (let pid = process.ppid; pid > 1 && !own.has(pid);) {
+    own.add(pid);
+    pid = procs.find(p => p.pid === pid)?.ppid ?? 0;
+  }
+  procs = procs.filter(p => !own.has(p.pid));
+  
+  // Interval CPU needs an earlier sample; take one now if we have none
+  if (lastProcessSample.size === 0) {
+    lastProcessSample = new Map(procs.map(p => [p.pid, { ticks: p.ticks, time: Date.now() }]));
+    await new Promise(r => setTimeout(r, CONFIG.cpuSampleWindow));
+    procs = (await listProcesses()).filter(p => !own.has(p.pid));
+  }
+  
+  let systemUptime = os.uptime();
+  try {
+    systemUptime = parseFloat(await fs.readFile('/proc/uptime', 'utf-8'));
+  } catch {}
+  const ticksPerSecond = await getClockTicks();
   
-  if (perf.memory.percent >= CONFIG.thresholds.memoryCritical) {
-    alerts.push({ level: 'critical', type: 'memory', message: `Memory at ${perf.memory.percent}%` });
-  } else if (perf.memory.percent >= CONFIG.thresholds.memoryWarning) {
-    alerts.push({ level: 'warning', type: 'memory', message: `Memory at ${perf.memory.percent}%` });
+  const now = Date.now();
+  const childCount = new Map();
+  for (const p of procs) {
+    childCount.set(p.ppid, (childCount.get(p.ppid) || 0) + 1);
   }
   
-  if (perf.disk.percent >= CONFIG.thresholds.diskCritical) {
-    alerts.push({ level: 'critical', type: 'disk', message: `Disk at ${perf.disk.percent}%` });
-  } else if (perf.disk.percent >= CONFIG.thresholds.diskWarning) {
-    alerts.push({ level: 'warning', type: 'disk', message: `Disk at ${perf.disk.percent}%` });
+  const processes = [];
+  for (const target of getProcessTargets()) {
+    const matched = await matchProcesses(target.matcher, procs);
+    // A matched process whose parent also matched is a worker of the same service
+    const matchedPids = new Set(matched.map(p => p.pid));
+    const roots = matched.filter(p => !matchedPids.has(p.ppid));
+    
+    const entry = { name: target.name, role: target.role, running: roots.length > 0, pids: roots.map(p => p.pid) };
+    if (entry.running) {
+      let cpu = 0;
+      for (const p of matched) {
+        const prev = lastProcessSample.get(p.pid);
+        if (prev && now > prev.time) {
+          cpu += ((p.ticks - prev.ticks) / ticksPerSecond) / ((now - prev.time) / 1000) * 100;
+        }
+      }
+      const fds = await Promise.all(matched.map(p => countFds(p.pid)));
+      const oldestStart = Math.min(...roots.map(p => p.startTicks));
+      const uptime = Math.max(0, Math.round(systemUptime - oldestStart / ticksPerSecond));
+      
+      Object.assign(entry, {
+        cpu: Math.round(cpu * 10) / 10,
+        rss: matched.reduce((sum, p) => sum + p.rss, 0),
+        threads: matched.reduce((sum, p) => sum + p.threads, 0),
+        fds: fds.some(n => n === null) ? null : fds.reduce((sum, n) => sum + n, 0),
+        children: roots.reduce((sum, p) => sum + (childCount.get(p.pid) || 0), 0),
+        uptime,
+        uptimeHuman: formatUptime(uptime),
+      });
+    }
+    processes.push(entry);
   }
   
-  return alerts;
+  // Rebuilt from this sample, so pids that exited drop out
+  lastProcessSample = new Map(procs.map(p => [p.pid, { ticks: p.ticks, time: now }]));
+  
+  return { timestamp, supported: true, processes };
 }
 
 // ==================== GIT REPOSITORY MONITORING ====================
 
+// When each repo (by path) was first seen with uncommitted changes
+const dirtySeen = new Map();
+
+/**
+ * Take back dirtySince from saved repo snapshots, so a tree that stays
+ * dirty keeps its age across restarts.
+ */
+export function restoreDirtySince(repos) {
+  for (const repo of repos) {
+    const since = repo.dirtySince ? Date.parse(repo.dirtySince) : NaN;
+    if (repo.path && Number.isFinite(since)) dirtySeen.set(repo.path, since);
+  }
+}
+
 export async function getRepoStatus(repoConfig) {
   const { name, path: repoPath } = repoConfig;
   
@@ -187,14 +728,15 @@ export async function getRepoStatus(repoConfig) {
     
     // Get latest commit
     const { stdout: commitInfo } = await execAsync(
-      `git -C "${repoPath}" log -1 --format="%H|%h|%s|%an|%ar" 2>/dev/null`
+      `git -C "${repoPath}" log -1 --format="%H|%h|%s|%an|%ar|%cI" 2>/dev/null`
     );
-    const [hash, shortHash, message, author, relTime] = commitInfo.trim().split('|');
-    result.latestCommit = { hash, shortHash, message, author, relTime };
+    const [hash, shortHash, message, author, relTime, timestamp] = commitInfo.trim().split('|');
+    result.latestCommit = { hash, shortHash, message, author, relTime, timestamp };
     
     // Get status
     const { stdout: status } = await execAsync(`git -C "${repoPath}" status --porcelain 2>/dev/null`);
-    const changes = status.trim().split('\n').filter(Boolean);
+    // Only trim the end: porcelain lines can start with a space (" M file")
+    const changes = status.trimEnd().split('\n').filter(Boolean);
     result.uncommittedChanges = changes.length;
     result.changedFiles = changes.slice(0, 10).map(line => ({
       status: line.substring(0, 2).trim(),
@@ -209,12 +751,33 @@ export async function getRepoStatus(repoConfig) {
       const [ahead, behind] = tracking.trim().split(/\s+/).map(Number);
       result.ahead = ahead || 0;
       result.behind = behind || 0;
+      const { stdout: upstream } = await execAsync(
+        `git -C "${repoPath}" rev-parse @{u} --abbrev-ref @{u} 2>/dev/null`
+      );
+      const [upstreamHash, ref] = upstream.trim().split('\n');
+      result.upstream = { ref, hash: upstreamHash };
     } catch {
       result.ahead = 0;
       result.behind = 0;
       result.noUpstream = true;
     }
     
+    result.detached = result.branch === 'HEAD';
+    
+    // Dirty since the first scan that found changes, until one finds it clean
+    if (!changes.length) dirtySeen.delete(repoPath);
+    else if (!dirtySeen.has(repoPath)) dirtySeen.set(repoPath, Date.now());
+    result.dirtySince = changes.length ? new Date(dirtySeen.get(repoPath)).toISOString() : null;
+    
+    // Last fetch, from FETCH_HEAD (git writes it on every successful fetch)
+    try {
+      const { stdout: fetchHead } = await execAsync(`git -C "${repoPath}" rev-parse --git-path FETCH_HEAD 2>/dev/null`);
+      const { mtime } = await fs.stat(path.resolve(repoPath, fetchHead.trim()));
+      result.lastFetch = mtime.toISOString();
+    } catch {
+      result.lastFetch = null;
+    }
+    
     // Get recent commits (last 5)
     const { stdout: recentLog } = await execAsync(
       `git -C "${repoPath}" log -5 --format="%h|%s|%an|%ar" 2>/dev/null`
@@ -231,6 +794,14 @@ export async function getRepoStatus(repoConfig) {
       return name;
     }))];
     
+    // Commits on HEAD that no remote has (oldest listed last); local-only repos have nothing to push to
+    result.unpushed = null;
+    if (result.remotes.length) {
+      const { stdout: unpushed } = await execAsync(`git -C "${repoPath}" log HEAD --not --remotes --format=%cI 2>/dev/null`, { maxBuffer: 16 * 1024 * 1024 });
+      const dates = unpushed.trim().split('\n').filter(Boolean);
+      result.unpushed = { count: dates.length, oldest: dates[dates.length - 1] || null };
+    }
+    
   } catch (error) {
     result.error = error.message;
   }
@@ -238,8 +809,111 @@ export async function getRepoStatus(repoConfig) {
   return result;
 }
 
+function expandHome(dir) {
+  return dir.replace(/^~(?=$|\/)/, os.homedir());
+}
+
+// Glob on a relative path: ** spans directories, * and ? stay within one
+export function globToRegex(glob) {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\/?/g, '\0')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\0/g, '(?:.*/)?');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Classify a directory by its `.git` entry: 'repo' (a .git directory),
+ * 'submodule' (a .git file pointing into a parent's modules), 'worktree'
+ * (any other .git file) or null when it isn't a checkout.
+ */
+async function gitDirType(dir) {
+  let stat;
+  try {
+    stat = await fs.lstat(path.join(dir, '.git'));
+  } catch {
+    return null;
+  }
+  if (stat.isDirectory()) return 'repo';
+  if (!stat.isFile()) return null;
+  const text = await fs.readFile(path.join(dir, '.git'), 'utf-8').catch(() => '');
+  return /^gitdir:.*\/modules\//m.test(text) ? 'submodule' : 'worktree';
+}
+
+/**
+ * Find git repositories under CONFIG.discovery.roots, at most maxDepth
+ * directories down. Directories matching an `ignore` glob and symlinks
+ * are skipped. Repos inside another repo are only listed when they are
+ * submodules (with `submodules`) or plain nested repos (with `nested`).
+ * Names are paths relative to their root.
+ */
+export async function discoverRepos(discovery = CONFIG.discovery) {
+  const ignore = discovery.ignore.map(globToRegex);
+  const found = [];
+  
+  async function walk(root, dir, depth, insideRepo) {
+    const rel = path.relative(root, dir);
+    if (rel && ignore.some(pattern => pattern.test(rel) || pattern.test(path.basename(dir)))) return;
+    
+    let inside = insideRepo;
+    const type = await gitDirType(dir);
+    if (type) {
+      const wanted = !insideRepo || (type === 'submodule' ? discovery.submodules : discovery.nested);
+      if (wanted) found.push({ name: rel || path.basename(dir), path: dir, root, discovered: true, ...(type === 'submodule' ? { submodule: true } : {}) });
+      // Nothing below a repo is wanted unless nested repos or submodules are
+      if (!discovery.nested && !discovery.submodules) return;
+      inside = true;
+    }
+    if (depth >= discovery.maxDepth) return;
+    
+    let entries = [];
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return; // unreadable
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory() && entry.name !== '.git') {
+        await walk(root, path.join(dir, entry.name), depth + 1, inside);
+      }
+    }
+  }
+  
+  for (const root of discovery.roots.map(expandHome)) {
+    await walk(path.resolve(root), path.resolve(root), 0, false);
+  }
+  return found;
+}
+
+/**
+ * Configured repos plus discovered ones. A discovered repo that is also
+ * listed explicitly keeps the explicit entry; clashing names get the
+ * root's directory name in front.
+ */
+export async function getMonitoredRepos() {
+  const repos = CONFIG.repos.map(repo => ({ ...repo }));
+  if (!CONFIG.discovery.roots.length) return repos;
+  
+  const paths = new Set(repos.map(repo => path.resolve(expandHome(repo.path))));
+  const names = new Set(repos.map(repo => repo.name));
+  for (const repo of await discoverRepos()) {
+    if (paths.has(repo.path)) continue;
+    if (names.has(repo.name)) repo.name = `${path.basename(repo.root)}/${repo.name}`;
+    if (names.has(repo.name)) continue;
+    paths.add(repo.path);
+    names.add(repo.name);
+    repos.push(repo);
+  }
+  return repos;
+}
+
 export async function getAllRepoStatuses() {
-  return Promise.all(CONFIG.repos.map(getRepoStatus));
+  const repos = await getMonitoredRepos();
+  return Promise.all(repos.map(async repo => {
+    const status = await getRepoStatus(repo);
+    return repo.discovered ? { ...status, discovered: true, root: repo.root } : status;
+  }));
 }
 
 // ==================== AGENT HEALTH MONITORING ====================
@@ -263,33 +937,211 @@ export async function startGateway() {
   }
 }
 
-export async function checkAgentHealth(agentName) {
-  try {
-    const { stdout } = await execAsync('openclaw status', { timeout: CONFIG.responseTimeout });
-    const isHealthy = stdout.includes('Gateway') && !stdout.includes('not running');
-    
-    return {
-      healthy: isHealthy,
-      responseTime: Date.now(),
-      details: stdout.substring(0, 200),
-    };
-  } catch (error) {
+function shellQuote(text) {
+  return `'${String(text).replace(/'/g, `'\\''`)}'`;
+}
+
+async function timed(fn) {
+  const start = process.hrtime.bigint();
+  const result = await fn();
+  return { ...result, latency: Math.round(Number(process.hrtime.bigint() - start) / 1e6) };
+}
+
+// Each probe resolves to { ok, detail?, error? }; latency is added by runProbe()
+const PROBES = {
+  // Legacy check: the gateway reports itself in `openclaw status`
+  async status(probe) {
+    const { stdout } = await execAsync(probe.command || 'openclaw status', { timeout: probe.timeout });
+    const ok = stdout.includes('Gateway') && !stdout.includes('not running');
+    return { ok, detail: stdout.substring(0, 200), ...(ok ? {} : { error: 'Gateway not reported as running' }) };
+  },
+  
+  // Send the agent a prompt through its command and check the reply
+  async command(probe, agent) {
+    const command = (probe.command || '{command} --message {prompt}')
+      .replace(/\{command\}/g, agent.command)
+      .replace(/\{prompt\}/g, shellQuote(probe.prompt || 'ping'));
+    const { stdout } = await execAsync(command, { timeout: probe.timeout, maxBuffer: 1024 * 1024 });
+    const reply = stdout.trim();
+    const ok = probe.expect ? new RegExp(probe.expect, 'i').test(reply) : reply.length > 0;
+    return { ok, detail: reply.substring(0, 200), ...(ok ? {} : { error: probe.expect ? `Reply did not match /${probe.expect}/` : 'Empty reply' }) };
+  },
+  
+  async http(probe) {
+    const response = await fetch(probe.url, {
+      method: probe.method || 'GET',
+      headers: probe.headers,
+      signal: AbortSignal.timeout(probe.timeout),
+    });
+    const body = await response.text();
+    const expected = [].concat(probe.expectStatus ?? []);
+    const statusOk = expected.length ? expected.includes(response.status) : response.ok;
+    const bodyOk = probe.expect ? new RegExp(probe.expect, 'i').test(body) : true;
+    const ok = statusOk && bodyOk;
     return {
-      healthy: false,
-      error: error.message,
-      responseTime: null,
+      ok,
+      detail: `HTTP ${response.status}`,
+      ...(ok ? {} : { error: statusOk ? `Body did not match /${probe.expect}/` : `Unexpected HTTP ${response.status}` }),
     };
+  },
+  
+  tcp(probe) {
+    return new Promise(resolve => {
+      const socket = net.connect({ host: probe.host || '127.0.0.1', port: probe.port });
+      const done = result => {
+        socket.destroy();
+        resolve(result);
+      };
+      socket.setTimeout(probe.timeout, () => done({ ok: false, error: 'Connection timed out' }));
+      socket.once('connect', () => done({ ok: true, detail: `Connected to ${probe.host || '127.0.0.1'}:${probe.port}` }));
+      socket.once('error', error => done({ ok: false, error: error.message }));
+    });
+  },
+  
+  // The agent's log file must have been written to recently
+  async log(probe) {
+    const file = probe.path.replace(/^~(?=\/)/, os.homedir());
+    const { mtimeMs } = await fs.stat(file);
+    const age = Date.now() - mtimeMs;
+    const maxAge = typeof probe.maxAge === 'number' ? probe.maxAge * 1000 : parseDuration(probe.maxAge || '10m');
+    const ok = age <= maxAge;
+    return { ok, detail: `Last written ${formatUptime(age / 1000)} ago`, ...(ok ? {} : { error: `Log not updated for ${formatUptime(age / 1000)}` }) };
+  },
+};
+
+export const PROBE_TYPES = Object.keys(PROBES);
+
+async function runProbe(probe, agent) {
+  const options = { ...probe, timeout: probe.timeout || CONFIG.responseTimeout };
+  const result = await timed(async () => {
+    try {
+      return await PROBES[probe.type](options, agent);
+    } catch (error) {
+      if (error.killed) return { ok: false, error: `Timed out after ${options.timeout}ms` };
+      // Shell failures carry the useful part on stderr
+      return { ok: false, error: error.stderr?.trim().split('\n').pop() || error.message.split('\n')[0] };
+    }
+  });
+  // Freshness checks don't measure a round trip
+  if (probe.type === 'log') delete result.latency;
+  return { type: probe.type, ...result };
+}
+
+/**
+ * Run every probe configured for an agent (default: the `status` probe).
+ * Healthy when all probes pass; degraded when healthy but slower than
+ * the agent's latencyWarning. `latency` is the slowest probe's round trip in ms.
+ */
+export async function checkAgentHealth(agentName) {
+  const agent = CONFIG.agents.find(a => a.name === agentName) || { name: agentName, command: '' };
+  const probes = agent.probes?.length ? agent.probes : [{ type: 'status' }];
+  
+  const results = [];
+  for (const probe of probes) {
+    results.push(await runProbe(probe, agent));
   }
+  
+  const failed = results.filter(r => !r.ok);
+  const latencies = results.filter(r => r.ok).map(r => r.latency).filter(l => l !== undefined);
+  const latency = latencies.length ? Math.max(...latencies) : null;
+  const latencyWarning = agent.latencyWarning ?? CONFIG.latencyWarning;
+  const healthy = failed.length === 0;
+  const degraded = healthy && latency !== null && latency > latencyWarning;
+  
+  return {
+    healthy,
+    degraded,
+    state: healthy ? (degraded ? 'degraded' : 'healthy') : 'unhealthy',
+    latency,
+    responseTime: latency,
+    probes: results,
+    details: results.map(r => r.detail).filter(Boolean).join(' | ').substring(0, 200),
+    ...(failed.length ? { error: failed.map(r => `${r.type}: ${r.error}`).join('; ') } : {}),
+  };
 }
 
+// ==================== RECOVERY ====================
+
+function toMs(value) {
+  if (!value) return 0;
+  return typeof value === 'number' ? value * 1000 : parseDuration(value) ?? 0;
+}
+
+/**
+ * Wait for in-flight sessions (of one agent, or all when agentName is null)
+ * to finish, for at most `timeout`. Returns { drained, remaining, waited }.
+ */
+export async function drainSessions(agentName, timeout, pollInterval = 2000) {
+  const limit = toMs(timeout);
+  const start = Date.now();
+  for (;;) {
+    const sessions = listSessions(await getSessionActivity()).filter(session =>
+      session.active && !session.idle && (!agentName || session.agent === agentName));
+    const waited = Date.now() - start;
+    if (!sessions.length || waited >= limit) {
+      return { drained: sessions.length === 0, remaining: sessions.length, waited };
+    }
+    await new Promise(r => setTimeout(r, Math.min(pollInterval, limit - waited)));
+  }
+}
+
+/**
+ * Whether an agent can be restarted on its own (it has restartCommand, or
+ * stopCommand plus startCommand). Other agents only come back with a
+ * gateway restart.
+ */
+export function canRestartAgentAlone(agent) {
+  return Boolean(agent?.restartCommand || (agent?.stopCommand && agent?.startCommand));
+}
+
+/**
+ * How to recover `due`, the agents past maxFailures while the gateway runs.
+ * Resolves to { gateway: true } for one gateway restart: when
+ * gateway.escalateAfter agents are failing, or when an agent that can't be
+ * restarted alone is failing along with every other configured agent (no
+ * healthy agent's sessions to interrupt). Otherwise { gateway: false,
+ * alone, stranded }: agents restarted through their own commands, and
+ * agents that can only come back with the gateway.
+ */
+export function planRecovery(due, agents = CONFIG.agents) {
+  const alone = due.filter(canRestartAgentAlone);
+  const stranded = due.filter(agent => !canRestartAgentAlone(agent));
+  const everyone = due.length === agents.length;
+  if (due.length && (due.length >= CONFIG.gateway.escalateAfter || (stranded.length && everyone))) {
+    return { gateway: true, alone: [], stranded: [] };
+  }
+  return { gateway: false, alone, stranded };
+}
+
+export async function restartGateway() {
+  try {
+    if (CONFIG.gateway.drainTimeout) await drainSessions(null, CONFIG.gateway.drainTimeout);
+    await execAsync('openclaw gateway restart', { timeout: 60000 });
+    await new Promise(r => setTimeout(r, 5000));
+    return await checkGateway();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Restart one agent through its own commands after its drain wait, leaving
+ * the gateway and other agents' sessions alone. Resolves to false for
+ * agents without restart commands.
+ */
 export async function restartAgent(agentName) {
+  const agent = CONFIG.agents.find(a => a.name === agentName);
+  if (!canRestartAgentAlone(agent)) return false;
+  
+  const run = command => execAsync(command.replace(/\{name\}/g, shellQuote(agent.name)), { timeout: 60000 });
   try {
-    const gatewayRunning = await checkGateway();
-    if (!gatewayRunning) {
-      await startGateway();
+    if (agent.drainTimeout) await drainSessions(agent.name, agent.drainTimeout);
+    if (agent.restartCommand) {
+      await run(agent.restartCommand);
+    } else {
+      await run(agent.stopCommand);
+      await run(agent.startCommand);
     }
-    
-    await execAsync('openclaw gateway restart', { timeout: 60000 });
     await new Promise(r => setTimeout(r, 5000));
     return true;
   } catch {
@@ -299,27 +1151,49 @@ export async function restartAgent(agentName) {
 
 // ==================== ACTIVITY MONITORING ====================
 
+/**
+ * `openclaw sessions list` output, or null when the sessions couldn't be listed.
+ */
 export async function getSessionActivity() {
   try {
-    const { stdout } = await execAsync('openclaw sessions list --json 2>/dev/null || echo "[]"');
+    const { stdout } = await execAsync('openclaw sessions list --json 2>/dev/null');
     return JSON.parse(stdout || '[]');
   } catch {
-    return [];
+    return null;
   }
 }
 
-export async function getAgentActivity() {
-  const activity = {
-    timestamp: new Date().toISOString(),
-    sessions: await getSessionActivity(),
-  };
-  
+/**
+ * Last `lines` lines of each OpenClaw log file, keyed by file name.
+ */
+export async function getRecentLogs(lines = 100) {
+  const dir = logDir();
+  const logs = {};
+  let names = [];
   try {
-    const { stdout } = await execAsync('tail -100 ~/.openclaw/logs/*.log 2>/dev/null | grep -E "\\[INFO\\]|\\[WARN\\]|\\[ERROR\\]" | tail -20');
-    activity.recentLogs = stdout.trim().split('\n').filter(Boolean).slice(-20);
+    names = (await fs.readdir(dir)).filter(name => name.endsWith('.log')).sort();
   } catch {
-    activity.recentLogs = [];
+    return logs;
   }
-  
-  return activity;
+  for (const name of names) {
+    try {
+      const { stdout } = await execAsync(`tail -n ${Number(lines)} ${shellQuote(`${dir}/${name}`)}`, { maxBuffer: 4 * 1024 * 1024 });
+      logs[name] = stdout.split('\n').filter(Boolean);
+    } catch {}
+  }
+  return logs;
 }
+
+/**
+ * Sessions plus recent log lines. Pass `sessions` when they were just listed.
+ * Log lines and per-agent rates come from the log tailer.
+ */
+export async function getAgentActivity(sessions = null) {
+  return {
+    timestamp: new Date().toISOString(),
+    sessions: sessions ?? await getSessionActivity(),
+    recentLogs: getRecentLogLines({ levels: ['info', 'warn', 'error'] }).map(entry => entry.line),
+    logRates: getLogRates(),
+  };
+}
+
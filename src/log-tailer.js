@@ -0,0 +1,346 @@
+/**
+ * OpenClaw Activity Monitor - Log Tailer
+ *
+ * Follows every log file in the OpenClaw log directory between polls:
+ * - A byte offset per file, so nothing is read twice or skipped
+ * - Rotation (the file is renamed and recreated) finishes the old file
+ *   first; truncation starts over from the top
+ * - Each line is parsed for timestamp, level and agent, and counted
+ *   per agent and level over logTail.window, by its own timestamp when it
+ *   has one, so a backlog read late doesn't count as current
+ * - logTail.patterns raise alerts when matching lines pile up
+ *
+ * Files already present on the first poll are followed from their end,
+ * unless offsets from the state file say where the last run stopped;
+ * files that appear later are read from the start.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { StringDecoder } from 'string_decoder';
+import { CONFIG, parseDuration, globToRegex } from './lib.js';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Per file path: { ino, offset, partial, decoder }
+const files = new Map();
+// Per agent: { totals: { level: n }, minutes: Map(minute -> { level: n }) }
+const counters = new Map();
+// Pattern matches: { name, agent, time, line }, oldest first
+let matches = [];
+// Last parsed lines, oldest first
+const recent = [];
+let started = false;
+
+function toMs(value) {
+  return typeof value === 'number' ? value * 1000 : parseDuration(value) ?? 0;
+}
+
+/**
+ * logTail.dir with a leading `~` expanded.
+ */
+export function logDir() {
+  return CONFIG.logTail.dir.replace(/^~(?=$|\/)/, os.homedir());
+}
+
+// ==================== PARSING ====================
+
+const LEVEL_NAMES = { trace: 'debug', debug: 'debug', info: 'info', notice: 'info', warn: 'warn', warning: 'warn', error: 'error', err: 'error', fatal: 'error', critical: 'error' };
+// pino/bunyan numeric levels
+const LEVEL_NUMBERS = [[50, 'error'], [40, 'warn'], [30, 'info'], [0, 'debug']];
+
+function normalizeLevel(value) {
+  if (typeof value === 'number') return LEVEL_NUMBERS.find(([min]) => value >= min)[1];
+  return LEVEL_NAMES[String(value ?? '').toLowerCase()] || null;
+}
+
+/**
+ * Parse one log line into { time, level, agent, message }. Understands
+ * JSON lines (level/time/agent fields) and text lines like
+ * `2026-10-18T10:00:00Z [WARN] [agent:main] message`. Lines without an
+ * agent are attributed to the file's agent (e.g. main.log → main) if it
+ * names a configured agent, else to 'gateway'. Fields not found are null.
+ */
+export function parseLogLine(line, file = '') {
+  let time = null;
+  let level = null;
+  let agent = null;
+  let message = line;
+
+  if (line.startsWith('{')) {
+    try {
+      const entry = JSON.parse(line);
+      level = normalizeLevel(entry.level ?? entry.lvl ?? entry.severity);
+      time = entry.time ?? entry.timestamp ?? entry.ts ?? null;
+      agent = entry.agent ?? entry.agentId ?? entry.agentName ?? null;
+      message = entry.msg ?? entry.message ?? line;
+    } catch {}
+  }
+  if (level === null) {
+    const levelMatch = line.match(/\[(TRACE|DEBUG|INFO|NOTICE|WARN|WARNING|ERROR|ERR|FATAL|CRITICAL)\]|\b(TRACE|DEBUG|INFO|WARN|WARNING|ERROR|FATAL)\b|\blevel=(\w+)/i);
+    level = levelMatch ? normalizeLevel(levelMatch[1] || levelMatch[2] || levelMatch[3]) : null;
+    time ??= line.match(/^\[?(\d{4}-\d\d-\d\d[T ]\d\d:\d\d:\d\d(?:\.\d+)?(?:Z|[+-]\d\d:?\d\d)?)/)?.[1] ?? null;
+    agent ??= line.match(/\[agent[:=]([\w.-]+)\]|\bagent[=:]\s*"?([\w.-]+)/i)?.slice(1).find(Boolean) ?? null;
+  }
+  if (typeof time === 'number') time = new Date(time < 1e12 ? time * 1000 : time).toISOString();
+  if (!agent) {
+    const base = path.basename(file).replace(/(\.\d+)?\.log(\.\d+)?$/, '');
+    agent = CONFIG.agents.some(a => a.name === base) ? base : 'gateway';
+  }
+  return { time, level: level || 'info', agent: String(agent), message: String(message) };
+}
+
+// ==================== COUNTING ====================
+
+function minuteOf(time) {
+  return Math.floor(time / 60000);
+}
+
+function count(parsed, line, file, now) {
+  if (!counters.has(parsed.agent)) counters.set(parsed.agent, { totals: {}, minutes: new Map() });
+  const counter = counters.get(parsed.agent);
+  counter.totals[parsed.level] = (counter.totals[parsed.level] || 0) + 1;
+  // When the line was written, if it says; never in the future
+  const logged = parsed.time ? Date.parse(parsed.time) : NaN;
+  const time = Number.isFinite(logged) ? Math.min(logged, now) : now;
+  const minute = minuteOf(time);
+  if (!counter.minutes.has(minute)) counter.minutes.set(minute, {});
+  const bucket = counter.minutes.get(minute);
+  bucket[parsed.level] = (bucket[parsed.level] || 0) + 1;
+
+  recent.push({ file: path.basename(file), line, ...parsed });
+  recent.splice(0, Math.max(0, recent.length - CONFIG.logTail.keepLines));
+
+  for (const pattern of CONFIG.logTail.patterns) {
+    if (pattern.agent && pattern.agent !== parsed.agent) continue;
+    if (new RegExp(pattern.pattern, pattern.flags ?? 'i').test(line)) {
+      matches.push({ name: pattern.name, agent: parsed.agent, time, line });
+    }
+  }
+}
+
+// Drop counts and matches older than the longest window in use
+function expire(now) {
+  const longest = Math.max(toMs(CONFIG.logTail.window), ...CONFIG.logTail.patterns.map(p => toMs(p.window ?? CONFIG.logTail.window)));
+  const oldest = minuteOf(now - longest);
+  for (const counter of counters.values()) {
+    for (const minute of counter.minutes.keys()) {
+      if (minute < oldest) counter.minutes.delete(minute);
+    }
+  }
+  matches = matches.filter(match => now - match.time < longest);
+}
+
+// ==================== READING ====================
+
+async function readFrom(file, entry, now) {
+  let handle;
+  try {
+    handle = await fs.open(file, 'r');
+  } catch {
+    return 0;
+  }
+  let lines = 0;
+  try {
+    const buffer = Buffer.alloc(64 * 1024);
+    let budget = CONFIG.logTail.maxReadBytes;
+    while (budget > 0) {
+      const { bytesRead } = await handle.read(buffer, 0, Math.min(buffer.length, budget), entry.offset);
+      if (!bytesRead) break;
+      entry.offset += bytesRead;
+      budget -= bytesRead;
+      // The decoder holds back a character split across two reads
+      const parts = (entry.partial + entry.decoder.write(buffer.subarray(0, bytesRead))).split('\n');
+      entry.partial = parts.pop();
+      for (const line of parts) {
+        if (!line.trim()) continue;
+        count(parseLogLine(line, file), line, file, now);
+        lines++;
+      }
+    }
+  } finally {
+    await handle.close();
+  }
+  return lines;
+}
+
+// Every file in the directory by inode, to find where a rotated file went
+async function inodeIndex(dir) {
+  const index = new Map();
+  for (const name of await fs.readdir(dir).catch(() => [])) {
+    const stat = await fs.stat(path.join(dir, name)).catch(() => null);
+    if (stat?.isFile()) index.set(stat.ino, path.join(dir, name));
+  }
+  return index;
+}
+
+/**
+ * Read whatever was appended to the followed files since the last poll.
+ * Returns the number of lines read.
+ */
+export async function pollLogs(now = Date.now()) {
+  const dir = logDir();
+  const match = globToRegex(CONFIG.logTail.files);
+  const names = (await fs.readdir(dir).catch(() => [])).filter(name => match.test(name));
+  const firstPoll = !started;
+  started = true;
+  let lines = 0;
+  let inodes = null;
+  const finishRotated = async entry => {
+    inodes ??= await inodeIndex(dir);
+    const moved = inodes.get(entry.ino);
+    if (moved) lines += await readFrom(moved, entry, now);
+  };
+
+  const current = new Set();
+  for (const name of names) {
+    const file = path.join(dir, name);
+    const stat = await fs.stat(file).catch(() => null);
+    if (!stat?.isFile()) continue;
+    current.add(file);
+    let entry = files.get(file);
+    if (entry && entry.ino !== stat.ino) {
+      // Rotated: read the rest of the old file wherever it went, then start on the new one
+      await finishRotated(entry);
+      entry = null;
+    } else if (entry && stat.size < entry.offset) {
+      // Truncated in place
+      Object.assign(entry, { offset: 0, partial: '', decoder: new StringDecoder('utf-8') });
+    }
+    if (!entry) {
+      entry = { ino: stat.ino, offset: firstPoll ? stat.size : 0, partial: '', decoder: new StringDecoder('utf-8') };
+      files.set(file, entry);
+    }
+    lines += await readFrom(file, entry, now);
+  }
+
+  for (const [file, entry] of files) {
+    if (current.has(file)) continue;
+    await finishRotated(entry);
+    files.delete(file);
+  }
+
+  expire(now);
+  return lines;
+}
+
+// ==================== RESULTS ====================
+
+/**
+ * Lines per agent and level over logTail.window, plus totals since the
+ * daemon started: { agent: { window: { info, warn, error, ... }, totals } }.
+ */
+export function getLogRates(now = Date.now()) {
+  const oldest = minuteOf(now - toMs(CONFIG.logTail.window));
+  const rates = {};
+  for (const [agent, counter] of counters) {
+    const window = Object.fromEntries(LOG_LEVELS.map(level => [level, 0]));
+    for (const [minute, bucket] of counter.minutes) {
+      if (minute < oldest) continue;
+      for (const [level, n] of Object.entries(bucket)) window[level] += n;
+    }
+    rates[agent] = { window, totals: { ...counter.totals } };
+  }
+  return rates;
+}
+
+/**
+ * The last `limit` lines read (optionally only `levels`), oldest first.
+ */
+export function getRecentLogLines({ limit = 20, levels = null } = {}) {
+  return recent.filter(entry => !levels || levels.includes(entry.level)).slice(-limit);
+}
+
+/**
+ * Alerts for patterns with at least `threshold` (default 1) matching
+ * lines within their window, one per pattern and agent.
+ */
+export function getLogAlerts(now = Date.now()) {
+  const alerts = [];
+  for (const pattern of CONFIG.logTail.patterns) {
+    const since = now - toMs(pattern.window ?? CONFIG.logTail.window);
+    const byAgent = new Map();
+    for (const match of matches) {
+      if (match.name !== pattern.name || match.time < since) continue;
+      byAgent.set(match.agent, [...(byAgent.get(match.agent) || []), match]);
+    }
+    for (const [agent, found] of byAgent) {
+      if (found.length < (pattern.threshold ?? 1)) continue;
+      alerts.push({
+        key: `log:${pattern.name}:${agent}`,
+        type: 'log-pattern',
+        level: pattern.level ?? 'warning',
+        agent,
+        pattern: pattern.name,
+        count: found.length,
+        message: `${found.length} log line${found.length === 1 ? '' : 's'} from ${agent} matching "${pattern.name}" in ${pattern.window ?? CONFIG.logTail.window}: ${found[found.length - 1].line.slice(0, 200)}`,
+      });
+    }
+  }
+  return alerts;
+}
+
+/**
+ * Offsets of the followed files, for the state file.
+ */
+export function getTailState() {
+  return Object.fromEntries([...files].map(([file, { ino, offset }]) => [file, { ino, offset }]));
+}
+
+/**
+ * Resume from offsets saved by getTailState(): the next poll reads what
+ * was written while the daemon was down, finishing files rotated in the
+ * meantime, and reads files that appeared since from the start.
+ * Without saved offsets the first poll still starts at the files' end.
+ */
+export function restoreTailState(saved) {
+  const entries = Object.entries(saved);
+  for (const [file, { ino, offset }] of entries) {
+    files.set(file, { ino, offset, partial: '', decoder: new StringDecoder('utf-8') });
+  }
+  if (entries.length) started = true;
+}
+
+/**
+ * Validate the logTail config section. Returns a list of problems.
+ */
+export function validateLogTail(config, levels) {
+  const errors = [];
+  const isDuration = v => (typeof v === 'number' && v > 0) || parseDuration(v) > 0;
+  if (typeof config.enabled !== 'boolean') errors.push('enabled must be true or false');
+  if (typeof config.dir !== 'string' || !config.dir) errors.push('dir must be a non-empty string');
+  if (typeof config.files !== 'string' || !config.files) errors.push('files must be a glob like "*.log"');
+  for (const key of ['pollInterval', 'window']) {
+    if (!isDuration(config[key])) errors.push(`${key} must be seconds or a duration like "5m"`);
+  }
+  for (const key of ['keepLines', 'maxReadBytes']) {
+    if (!Number.isInteger(config[key]) || config[key] < 1) errors.push(`${key} must be an integer of at least 1`);
+  }
+  if (!Array.isArray(config.patterns)) {
+    errors.push('patterns must be a list of { name, pattern }');
+    return errors;
+  }
+  const names = new Set();
+  config.patterns.forEach((pattern, i) => {
+    if (!pattern || typeof pattern.name !== 'string' || !pattern.name) {
+      errors.push(`patterns[${i}].name must be a non-empty string`);
+      return;
+    }
+    if (names.has(pattern.name)) errors.push(`patterns[${i}]: duplicate pattern name "${pattern.name}"`);
+    names.add(pattern.name);
+    try {
+      if (typeof pattern.pattern !== 'string' || !pattern.pattern) throw new Error('empty');
+      new RegExp(pattern.pattern, pattern.flags ?? 'i');
+    } catch {
+      errors.push(`patterns[${i}] (${pattern.name}): pattern must be a valid regular expression`);
+    }
+    if (pattern.level !== undefined && !levels.includes(pattern.level)) errors.push(`patterns[${i}] (${pattern.name}): level must be one of ${levels.join(', ')}`);
+    if (pattern.threshold !== undefined && (!Number.isInteger(pattern.threshold) || pattern.threshold < 1)) {
+      errors.push(`patterns[${i}] (${pattern.name}): threshold must be an integer of at least 1`);
+    }
+    if (pattern.window !== undefined && !isDuration(pattern.window)) errors.push(`patterns[${i}] (${pattern.name}): window must be seconds or a duration like "5m"`);
+    if (pattern.agent !== undefined && typeof pattern.agent !== 'string') errors.push(`patterns[${i}] (${pattern.name}): agent must be a string`);
+  });
+  return errors;
+}
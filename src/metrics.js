@@ -0,0 +1,148 @@
+/**
+ * OpenClaw Activity Monitor - Prometheus Exporter
+ *
+ * Renders the daemon's collected data in the Prometheus text exposition
+ * format (version 0.0.4). Metric names are stable; add, don't rename.
+ */
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4';
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  if (!entries.length) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+function toTimestamp(iso) {
+  return iso ? new Date(iso).getTime() / 1000 : null;
+}
+
+/**
+ * Collects samples grouped by metric so each HELP/TYPE header is
+ * written once, as the format requires.
+ */
+function createMetricSet() {
+  const metrics = new Map();
+
+  function add(name, type, help, value, labels) {
+    if (value === null || value === undefined || Number.isNaN(value)) return;
+    if (!metrics.has(name)) {
+      metrics.set(name, { type, help, samples: [] });
+    }
+    metrics.get(name).samples.push({ labels, value: Number(value) });
+  }
+
+  function render() {
+    const lines = [];
+    for (const [name, { type, help, samples }] of metrics) {
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} ${type}`);
+      for (const { labels, value } of samples) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return { add, render };
+}
+
+/**
+ * Render metrics from the daemon's state.
+ * @param {object} data
+ * @param {object} [data.performance] - latest getSystemPerformance() sample
+ * @param {Iterable<object>} [data.agents] - agent state entries
+ * @param {Iterable<object>} [data.repos] - getRepoStatus() results
+ * @param {object} [data.monitor] - { startTime, totalChecks, totalRestarts }
+ * @param {object} [data.logs] - getLogRates() result
+ */
+export function renderMetrics({ performance, agents = [], repos = [], monitor, logs = {} } = {}) {
+  const m = createMetricSet();
+  const now = Date.now();
+
+  if (monitor) {
+    m.add('oam_monitor_uptime_seconds', 'gauge', 'Seconds since the monitor started.', (now - monitor.startTime) / 1000);
+    m.add('oam_monitor_checks_total', 'counter', 'Health check cycles run.', monitor.totalChecks);
+    m.add('oam_monitor_restarts_total', 'counter', 'Agent restarts performed by the monitor.', monitor.totalRestarts);
+  }
+
+  if (performance) {
+    m.add('oam_cpu_usage_percent', 'gauge', 'CPU usage percentage.', performance.cpu.usage);
+    m.add('oam_cpu_cores', 'gauge', 'Number of logical CPU cores.', performance.cpu.cores);
+    for (const [mode, value] of Object.entries(performance.cpu.breakdown || {})) {
+      m.add('oam_cpu_mode_percent', 'gauge', 'Share of CPU time by mode over the last interval.', value, { mode });
+    }
+    (performance.cpu.perCore || []).forEach((usage, core) => {
+      m.add('oam_cpu_core_usage_percent', 'gauge', 'Per-core CPU usage over the last interval.', usage, { core });
+    });
+    ['1m', '5m', '15m'].forEach((period, i) => {
+      m.add('oam_load_average', 'gauge', 'System load average.', performance.cpu.loadAvg[i], { period });
+    });
+    m.add('oam_memory_total_bytes', 'gauge', 'Total memory in bytes.', performance.memory.total);
+    m.add('oam_memory_used_bytes', 'gauge', 'Used memory in bytes.', performance.memory.used);
+    m.add('oam_memory_free_bytes', 'gauge', 'Free memory in bytes.', performance.memory.free);
+    m.add('oam_memory_usage_percent', 'gauge', 'Memory usage percentage.', performance.memory.percent);
+    m.add('oam_disk_total_bytes', 'gauge', 'Root filesystem size in bytes.', performance.disk.total);
+    m.add('oam_disk_used_bytes', 'gauge', 'Root filesystem used bytes.', performance.disk.used);
+    m.add('oam_disk_usage_percent', 'gauge', 'Root filesystem usage percentage.', performance.disk.percent);
+    for (const f of performance.filesystems || []) {
+      const labels = { mount: f.mount, device: f.device, fstype: f.type };
+      m.add('oam_filesystem_size_bytes', 'gauge', 'Filesystem size in bytes.', f.total, labels);
+      m.add('oam_filesystem_used_bytes', 'gauge', 'Filesystem used bytes.', f.used, labels);
+      m.add('oam_filesystem_available_bytes', 'gauge', 'Filesystem bytes available to unprivileged users.', f.available, labels);
+      m.add('oam_filesystem_usage_percent', 'gauge', 'Filesystem usage percentage.', f.percent, labels);
+      if (f.inodes.total > 0) {
+        m.add('oam_filesystem_inodes', 'gauge', 'Filesystem inode count.', f.inodes.total, labels);
+        m.add('oam_filesystem_inodes_used', 'gauge', 'Filesystem inodes in use.', f.inodes.used, labels);
+      }
+    }
+    m.add('oam_process_count', 'gauge', 'Number of running processes.', performance.system.processCount);
+    m.add('oam_system_uptime_seconds', 'gauge', 'System uptime in seconds.', performance.system.uptime);
+  }
+
+  for (const agent of agents) {
+    const labels = { agent: agent.name };
+    m.add('oam_agent_healthy', 'gauge', '1 if the last health check passed.', agent.consecutiveFailures === 0 && agent.lastHealthy ? 1 : 0, labels);
+    m.add('oam_agent_checks_total', 'counter', 'Health checks run for the agent.', agent.totalChecks, labels);
+    m.add('oam_agent_failures_total', 'counter', 'Failed health checks for the agent.', agent.totalFailures, labels);
+    m.add('oam_agent_consecutive_failures', 'gauge', 'Current run of failed health checks.', agent.consecutiveFailures, labels);
+    m.add('oam_agent_restarts_total', 'counter', 'Restarts performed for the agent.', agent.totalRestarts || 0, labels);
+    if (agent.restart) {
+      m.add('oam_agent_restart_circuit_open', 'gauge', '1 if the monitor gave up restarting the agent.', agent.restart.circuit === 'open' ? 1 : 0, labels);
+    }
+    m.add('oam_agent_stuck_sessions', 'gauge', 'Active sessions of the agent with no progress for sessions.stuckAfter.', agent.stuckSessions || 0, labels);
+    m.add('oam_agent_degraded', 'gauge', '1 if the agent is healthy but slow or has stuck sessions.', agent.status === 'degraded' ? 1 : 0, labels);
+    if (agent.lastLatency !== null && agent.lastLatency !== undefined) {
+      m.add('oam_agent_probe_latency_seconds', 'gauge', 'Round-trip time of the slowest passing probe in the last check.', agent.lastLatency / 1000, labels);
+    }
+    m.add('oam_agent_last_healthy_timestamp_seconds', 'gauge', 'Unix time of the last passing health check.', toTimestamp(agent.lastHealthy), labels);
+  }
+
+  for (const [agent, { window, totals }] of Object.entries(logs)) {
+    for (const [level, lines] of Object.entries(totals)) {
+      m.add('oam_log_lines_total', 'counter', 'Log lines read since the monitor started.', lines, { agent, level });
+    }
+    for (const [level, lines] of Object.entries(window)) {
+      m.add('oam_log_lines_window', 'gauge', 'Log lines within logTail.window.', lines, { agent, level });
+    }
+  }
+
+  for (const repo of repos) {
+    const labels = { repo: repo.name };
+    m.add('oam_repo_up', 'gauge', '1 if the repository could be read.', repo.error ? 0 : 1, labels);
+    if (repo.error) continue;
+    m.add('oam_repo_uncommitted_changes', 'gauge', 'Files with uncommitted changes.', repo.uncommittedChanges, labels);
+    m.add('oam_repo_commits_ahead', 'gauge', 'Commits ahead of the upstream branch.', repo.ahead, labels);
+    m.add('oam_repo_commits_behind', 'gauge', 'Commits behind the upstream branch.', repo.behind, labels);
+    const committed = toTimestamp(repo.latestCommit?.timestamp);
+    if (committed !== null) {
+      m.add('oam_repo_last_commit_age_seconds', 'gauge', 'Seconds since the latest commit on HEAD.', Math.max(0, now / 1000 - committed), labels);
+    }
+  }
+
+  return m.render();
+}
@@ -0,0 +1,281 @@
+/**
+ * OpenClaw Activity Monitor - Alert Notifications
+ *
+ * Sends alerts to configured channels:
+ * - Generic JSON webhook, Slack and Discord webhooks
+ * - SMTP email
+ * - A shell command that gets the alert as JSON on stdin
+ *
+ * Alerts are deduplicated per key: a channel hears about a condition when
+ * it starts, when its level changes, every repeatInterval while it lasts,
+ * and once more when it resolves.
+ */
+
+import { spawn } from 'child_process';
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import fetch from 'node-fetch';
+import { CONFIG } from './lib.js';
+
+export const LEVELS = ['info', 'warning', 'critical'];
+
+const LEVEL_ICONS = { info: 'ℹ️', warning: '⚠️', critical: '🚨', resolved: '✅' };
+
+// Active alerts by key: { alert, source, since, lastSent }
+const active = new Map();
+
+export function alertKey(alert) {
+  return alert.key || [alert.type, alert.mount, alert.agent, alert.repo].filter(Boolean).join(':');
+}
+
+function levelAtLeast(level, minimum) {
+  return LEVELS.indexOf(level) >= LEVELS.indexOf(minimum || 'warning');
+}
+
+function formatText(notification) {
+  const { status, alert } = notification;
+  const icon = LEVEL_ICONS[status === 'resolved' ? 'resolved' : alert.level];
+  const prefix = status === 'resolved' ? 'RESOLVED' : alert.level.toUpperCase();
+  return `${icon} [${prefix}] ${alert.message} (${notification.host})`;
+}
+
+// ==================== CHANNELS ====================
+
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(10000),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} from ${new URL(url).host}`);
+  }
+}
+
+function smtpSend(channel, message) {
+  return new Promise((resolve, reject) => {
+    const port = channel.port || (channel.secure ? 465 : 25);
+    const host = channel.host || 'localhost';
+    // A login never goes over plaintext: without `secure` it waits for STARTTLS
+    const starttls = !channel.secure && Boolean(channel.user);
+    let socket;
+    let settled = false;
+    const fail = error => {
+      socket.destroy();
+      if (settled) return;
+      settled = true;
+      reject(error);
+    };
+
+    const recipients = [].concat(channel.to);
+    const commands = [
+      `EHLO ${os.hostname()}`,
+      ...(starttls ? ['STARTTLS', `EHLO ${os.hostname()}`] : []),
+      ...(channel.user ? [`AUTH PLAIN ${Buffer.from(`\0${channel.user}\0${channel.pass || ''}`).toString('base64')}`] : []),
+      `MAIL FROM:<${channel.from}>`,
+      ...recipients.map(to => `RCPT TO:<${to}>`),
+      'DATA',
+      // Dot-stuff lines starting with "." per RFC 5321
+      message.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..') + '\r\n.',
+    ];
+
+    let buffer = '';
+    let sent = null;
+    const send = () => {
+      const next = commands.shift();
+      if (next === undefined) {
+        // The message is queued; QUIT is a courtesy whose reply isn't waited for
+        settled = true;
+        socket.end('QUIT\r\n');
+        return resolve();
+      }
+      sent = next;
+      socket.write(next + '\r\n');
+    };
+    const onData = chunk => {
+      buffer += chunk;
+      // A reply is complete when its last line has a space after the code
+      const lines = buffer.split('\r\n');
+      const last = lines[lines.length - 2];
+      if (!last || !/^\d{3} /.test(last)) return;
+      buffer = '';
+      const code = parseInt(last);
+      if (code >= 400) return fail(new Error(`SMTP error${sent === 'STARTTLS' ? ' (STARTTLS)' : ''}: ${last}`));
+      if (sent !== 'STARTTLS') return send();
+      // Upgrade the connection, then start over with EHLO
+      socket.removeListener('data', onData);
+      listen(tls.connect({ socket, servername: host }), 'secureConnect');
+    };
+    const listen = (connection, ready) => {
+      socket = connection;
+      socket.setEncoding('utf-8');
+      socket.setTimeout(15000, () => fail(new Error('SMTP timeout')));
+      socket.on('data', onData);
+      socket.on('error', fail);
+      socket.on('close', () => fail(new Error('SMTP connection closed early')));
+      if (ready) socket.once(ready, send);
+    };
+    listen(channel.secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port }));
+  });
+}
+
+// Header text outside printable ASCII as RFC 2047 encoded words
+function encodeHeader(text) {
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+  const words = [''];
+  for (const char of text) {
+    // 45 bytes keep each encoded word under the 75 character limit
+    if (Buffer.byteLength(words[words.length - 1] + char) > 45) words.push('');
+    words[words.length - 1] += char;
+  }
+  return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\n ');
+}
+
+function buildEmail(channel, notification) {
+  const subject = formatText(notification).replace(/\s*\([^)]*\)$/, '');
+  return [
+    `From: ${channel.from}`,
+    `To: ${[].concat(channel.to).join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    formatText(notification),
+    '',
+    JSON.stringify(notification, null, 2),
+  ].join('\n');
+}
+
+function runCommand(channel, notification) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('sh', ['-c', channel.command], { stdio: ['pipe', 'ignore', 'pipe'] });
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), channel.timeout || 30000);
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (code === 0) resolve();
+      else reject(new Error(`Command exited with ${code ?? 'signal'}: ${stderr.trim().slice(0, 200)}`));
+    });
+    child.stdin.on('error', () => {}); // command may not read stdin
+    child.stdin.end(JSON.stringify(notification) + '\n');
+  });
+}
+
+const CHANNELS = {
+  webhook: (channel, n) => postJson(channel.url, n, channel.headers),
+  slack: (channel, n) => postJson(channel.url, { text: formatText(n) }),
+  discord: (channel, n) => postJson(channel.url, { content: formatText(n) }),
+  email: (channel, n) => smtpSend(channel, buildEmail(channel, n)),
+  command: (channel, n) => runCommand(channel, n),
+};
+
+export const CHANNEL_TYPES = Object.keys(CHANNELS);
+
+function channelName(channel, index) {
+  return channel.name || `${channel.type}#${index}`;
+}
+
+/**
+ * Deliver one notification to every channel whose level filter passes.
+ * Returns the delivery failures as { channel, error }.
+ */
+export async function sendNotification(notification, { onlyChannels = null } = {}) {
+  const failures = [];
+  await Promise.all(CONFIG.notifications.channels.map(async (channel, i) => {
+    const name = channelName(channel, i);
+    if (onlyChannels && !onlyChannels.includes(name)) return;
+    if (!onlyChannels && !levelAtLeast(notification.alert.level, channel.level)) return;
+    try {
+      await CHANNELS[channel.type](channel, notification);
+    } catch (error) {
+      failures.push({ channel: name, error: error.message });
+    }
+  }));
+  return failures;
+}
+
+function buildNotification(status, alert, since) {
+  return {
+    status,
+    alert,
+    since: new Date(since).toISOString(),
+    timestamp: new Date().toISOString(),
+    host: os.hostname(),
+  };
+}
+
+// ==================== ALERT TRACKING ====================
+
+/**
+ * Replace the current alerts reported by `source` (e.g. 'performance',
+ * 'agents'). New and escalated alerts are sent, unchanged ones only after
+ * repeatInterval, and alerts that disappeared are sent as resolved.
+ * Returns { sent, failures }.
+ */
+export async function updateAlerts(source, alerts, now = Date.now()) {
+  const sent = [];
+  const failures = [];
+  const send = async (status, alert, since) => {
+    sent.push({ status, key: alertKey(alert), level: alert.level, message: alert.message });
+    failures.push(...await sendNotification(buildNotification(status, alert, since)));
+  };
+
+  const seen = new Set();
+  for (const alert of alerts) {
+    const key = alertKey(alert);
+    seen.add(key);
+    const entry = active.get(key);
+    if (!entry) {
+      active.set(key, { alert, source, since: now, lastSent: now });
+      await send('firing', alert, now);
+    } else if (entry.alert.level !== alert.level) {
+      Object.assign(entry, { alert, lastSent: now });
+      await send('firing', alert, entry.since);
+    } else {
+      entry.alert = alert;
+      if (now - entry.lastSent >= CONFIG.notifications.repeatInterval * 1000) {
+        entry.lastSent = now;
+        await send('firing', alert, entry.since);
+      }
+    }
+  }
+
+  for (const [key, entry] of active) {
+    if (entry.source !== source || seen.has(key)) continue;
+    active.delete(key);
+    await send('resolved', entry.alert, entry.since);
+  }
+
+  return { sent, failures };
+}
+
+/**
+ * Send a one-off event (e.g. an agent restart) with no resolution tracking.
+ */
+export async function notifyEvent(alert) {
+  return sendNotification(buildNotification('event', alert, Date.now()));
+}
+
+export function getActiveAlerts() {
+  return [...active.values()].map(({ alert, source, since, lastSent }) => ({
+    ...alert,
+    source,
+    since: new Date(since).toISOString(),
+    lastNotified: new Date(lastSent).toISOString(),
+  }));
+}
+
+/**
+ * Take back active alerts saved from getActiveAlerts(), so a restarted
+ * daemon neither repeats them as new nor forgets to resolve them.
+ */
+export function restoreAlerts(saved) {
+  for (const { source, since, lastNotified, ...alert } of saved) {
+    active.set(alertKey(alert), { alert, source, since: Date.parse(since) || Date.now(), lastSent: Date.parse(lastNotified) || Date.now() });
+  }
+}
@@ -0,0 +1,365 @@
+/**
+ * OpenClaw Activity Monitor - Reports
+ *
+ * A summary of a period (e.g. last week) to attach to a status email:
+ * - Performance trends from the history store
+ * - Gateway and agent uptime (the up:<name> history samples the daemon
+ *   records), plus restarts and give-ups from the incident records
+ * - Commit activity per author and repo, and notable events
+ * - The incidents themselves
+ *
+ * Rendered as plain text, Markdown, or one self-contained HTML file with
+ * inline CSS and SVG charts (no external assets).
+ */
+
+import os from 'os';
+import { CONFIG, formatUptime } from './lib.js';
+import { queryHistory, summarizeSeries } from './history.js';
+import { listIncidents } from './incidents.js';
+import { getCommitActivity } from './commit-activity.js';
+import { readEvents, eventLevel } from './events.js';
+
+export const REPORT_FORMATS = ['text', 'md', 'html'];
+
+const METRIC_LABELS = { cpu: 'CPU', memory: 'Memory', load1: 'Load (1m)' };
+
+function metricLabel(metric) {
+  return METRIC_LABELS[metric] || metric.replace(/^disk:/, 'Disk ');
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// ==================== DATA ====================
+
+/**
+ * Collect everything the report covers between `since` and `until`
+ * (ms timestamps).
+ * @param {object} options
+ * @param {number} options.since
+ * @param {number} [options.until] - defaults to now
+ * @param {Array} [options.repos] - getRepoStatus() results; defaults to every monitored repo
+ * @returns {Promise<object>} { host, generatedAt, since, until, performance, agents, activity, events, incidents }
+ */
+export async function buildReport({ since, until = Date.now(), repos = null }) {
+  const within = iso => {
+    const time = Date.parse(iso);
+    return time >= since && time <= until;
+  };
+  const { tier, resolution, series } = await queryHistory({ since, until });
+
+  // Time covered by one point: the rollup bucket, or one daemon check for raw samples
+  const performance = { tier, step: resolution ? resolution * 1000 : CONFIG.healthCheckInterval, metrics: {} };
+  const disks = Object.keys(series).filter(metric => metric.startsWith('disk:')).sort();
+  for (const metric of ['cpu', 'memory', 'load1', ...disks]) {
+    if (series[metric]?.length) performance.metrics[metric] = { ...summarizeSeries(series[metric]), points: series[metric] };
+  }
+
+  const incidents = (await listIncidents()).filter(incident => within(incident.openedAt));
+  const agents = ['gateway', ...CONFIG.agents.map(agent => agent.name)].map(name => {
+    const up = series[`up:${name}`] || [];
+    const latency = series[`latency:${name}`] || [];
+    const own = incidents.filter(incident => incident.target === name);
+    const outcomes = outcome => own.filter(incident => incident.outcome === outcome).length;
+    return {
+      name,
+      // Share of samples in which it was up; null without samples
+      uptime: up.length ? round(summarizeSeries(up).avg * 100) : null,
+      timeline: up.map(({ t, avg }) => ({ t, up: avg })),
+      latency: latency.length ? summarizeSeries(latency) : null,
+      restarts: outcomes('restarted'),
+      failedRestarts: outcomes('failed'),
+      gaveUp: outcomes('gave-up'),
+    };
+  });
+
+  const events = (await readEvents({ since })).filter(event => within(event.timestamp));
+  const counts = {};
+  for (const event of events) counts[event.type] = (counts[event.type] || 0) + 1;
+
+  return {
+    host: os.hostname(),
+    generatedAt: new Date().toISOString(),
+    since: new Date(since).toISOString(),
+    until: new Date(until).toISOString(),
+    performance,
+    agents,
+    activity: await getCommitActivity({ repos, since, until }),
+    events: {
+      counts,
+      notable: events.filter(event => (event.level || eventLevel(event)) !== 'info').reverse(),
+    },
+    incidents,
+  };
+}
+
+// ==================== TEXT AND MARKDOWN ====================
+
+function formatTime(iso) {
+  return iso.replace('T', ' ').slice(0, 16);
+}
+
+function formatUptimePercent(uptime) {
+  return uptime === null ? 'no data' : `${uptime}%`;
+}
+
+function restartSummary(agent) {
+  const parts = [`${agent.restarts} restart${agent.restarts === 1 ? '' : 's'}`];
+  if (agent.failedRestarts) parts.push(`${agent.failedRestarts} failed`);
+  if (agent.gaveUp) parts.push(`gave up ${agent.gaveUp}×`);
+  return parts.join(', ');
+}
+
+function periodText(report) {
+  const length = formatUptime((Date.parse(report.until) - Date.parse(report.since)) / 1000);
+  return `${formatTime(report.since)} – ${formatTime(report.until)} UTC (${length})`;
+}
+
+/**
+ * Plain text, for a terminal or an email body.
+ */
+export function renderReportText(report) {
+  const lines = [];
+  const heading = title => lines.push('', title, '-'.repeat(title.length));
+  lines.push(`OpenClaw Activity Report · ${report.host}`, periodText(report));
+
+  heading('Performance');
+  const metrics = Object.entries(report.performance.metrics);
+  if (!metrics.length) lines.push('No performance history for this period');
+  for (const [metric, stats] of metrics) {
+    lines.push(`${metricLabel(metric).padEnd(20)} avg ${String(stats.avg).padStart(7)}   max ${String(stats.max).padStart(7)}   min ${String(stats.min).padStart(7)}`);
+  }
+
+  heading('Uptime and restarts');
+  for (const agent of report.agents) {
+    const latency = agent.latency ? `, avg reply ${Math.round(agent.latency.avg)}ms` : '';
+    lines.push(`${agent.name.padEnd(20)} ${formatUptimePercent(agent.uptime).padStart(8)}   ${restartSummary(agent)}${latency}`);
+  }
+
+  heading('Commit activity');
+  const { totals, byKind, byRepo, byAuthor } = report.activity;
+  lines.push(`${totals.commits} commits by ${totals.authors} authors in ${totals.repos} repos, +${totals.additions} -${totals.deletions} lines`);
+  lines.push(`Agents: ${byKind.agent.commits} commits · Humans: ${byKind.human.commits} commits`);
+  for (const repo of byRepo) {
+    lines.push(`  ${repo.repo.padEnd(24)} ${String(repo.commits).padStart(5)} commits  +${repo.additions} -${repo.deletions}`);
+  }
+  for (const author of byAuthor.slice(0, 10)) {
+    lines.push(`  ${`${author.name} (${author.kind})`.padEnd(24)} ${String(author.commits).padStart(5)} commits  +${author.additions} -${author.deletions}`);
+  }
+  for (const { repo, error } of report.activity.errors) lines.push(`  ! ${repo}: ${error}`);
+
+  heading('Events');
+  const counts = Object.entries(report.events.counts).sort((a, b) => b[1] - a[1]);
+  lines.push(counts.length ? counts.map(([type, n]) => `${type} ${n}`).join(' · ') : 'No events recorded');
+  for (const event of report.events.notable) {
+    lines.push(`  ${formatTime(event.timestamp)}  ${event.message}`);
+  }
+
+  heading('Incidents');
+  if (!report.incidents.length) lines.push('None');
+  for (const incident of report.incidents) {
+    lines.push(`  ${formatTime(incident.openedAt)}  ${incident.target.padEnd(12)} ${incident.outcome.padEnd(11)} ${incident.reason}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function markdownTable(headers, rows) {
+  const cell = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  return [
+    `| ${headers.join(' | ')} |`,
+    `|${headers.map(() => '---').join('|')}|`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`),
+  ].join('\n');
+}
+
+/**
+ * Markdown, for chat, issues and wikis.
+ */
+export function renderReportMarkdown(report) {
+  const { totals, byKind, byRepo, byAuthor, errors } = report.activity;
+  const metrics = Object.entries(report.performance.metrics);
+  const counts = Object.entries(report.events.counts).sort((a, b) => b[1] - a[1]);
+  const sections = [
+    `# OpenClaw Activity Report · ${report.host}\n\n${periodText(report)}`,
+    `## Performance\n\n${metrics.length
+      ? markdownTable(['Metric', 'Avg', 'Max', 'Min'], metrics.map(([metric, s]) => [metricLabel(metric), s.avg, s.max, s.min]))
+      : '_No performance history for this period._'}`,
+    `## Uptime and restarts\n\n${markdownTable(['Target', 'Uptime', 'Restarts', 'Failed', 'Gave up', 'Avg reply'],
+      report.agents.map(a => [a.name, formatUptimePercent(a.uptime), a.restarts, a.failedRestarts, a.gaveUp, a.latency ? `${Math.round(a.latency.avg)}ms` : '-']))}`,
+    [
+      '## Commit activity',
+      `**${totals.commits}** commits by ${totals.authors} authors in ${totals.repos} repos, +${totals.additions} −${totals.deletions} lines. Agents: ${byKind.agent.commits} commits, humans: ${byKind.human.commits}.`,
+      byRepo.length ? markdownTable(['Repo', 'Commits', 'Agent', 'Human', 'Added', 'Removed'], byRepo.map(r => [r.repo, r.commits, r.agentCommits, r.humanCommits, r.additions, r.deletions])) : '',
+      byAuthor.length ? markdownTable(['Author', 'Kind', 'Commits', 'Added', 'Removed'], byAuthor.slice(0, 10).map(a => [a.name, a.kind, a.commits, a.additions, a.deletions])) : '',
+      ...errors.map(({ repo, error }) => `> ⚠️ ${repo}: ${error}`),
+    ].filter(Boolean).join('\n\n'),
+    [
+      '## Events',
+      counts.length ? counts.map(([type, n]) => `${type} **${n}**`).join(' · ') : '_No events recorded._',
+      report.events.notable.map(event => `- ${formatTime(event.timestamp)} — ${event.message}`).join('\n'),
+    ].filter(Boolean).join('\n\n'),
+    `## Incidents\n\n${report.incidents.length
+      ? markdownTable(['Opened', 'Target', 'Outcome', 'Reason'], report.incidents.map(i => [formatTime(i.openedAt), i.target, i.outcome, i.reason]))
+      : '_None._'}`,
+  ];
+  return `${sections.join('\n\n')}\n`;
+}
+
+// ==================== HTML ====================
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+const CHART = { width: 640, height: 150, left: 44, right: 8, top: 8, bottom: 20 };
+
+// Split a series where points are missing (the daemon wasn't running), so no line is drawn across
+function runs(points, step) {
+  const result = [];
+  for (const [i, point] of points.entries()) {
+    if (!i || point.t - points[i - 1].t > step * 3) result.push([]);
+    result[result.length - 1].push(point);
+  }
+  return result;
+}
+
+/**
+ * Line chart of a history series: the average as a line over a band
+ * from min to max. Percent metrics are drawn on a 0-100 scale; gaps of
+ * more than three `step`s break the line.
+ */
+export function svgLineChart(points, { since, until, step, percent = true }) {
+  const { width, height, left, right, top, bottom } = CHART;
+  const top100 = percent ? 100 : Math.max(...points.map(p => p.max), 0.01) * 1.1;
+  const x = t => left + ((t - since) / Math.max(1, until - since)) * (width - left - right);
+  const y = v => top + (1 - Math.min(v, top100) / top100) * (height - top - bottom);
+  const at = (p, value) => `${x(p.t).toFixed(1)},${y(value).toFixed(1)}`;
+  const lines = runs(points, step).map(run => {
+    const band = [...run.map(p => at(p, p.max)), ...[...run].reverse().map(p => at(p, p.min))].join(' ');
+    return `<polygon points="${band}" class="band"/><polyline points="${run.map(p => at(p, p.avg)).join(' ')}" class="line"/>`;
+  }).join('');
+  const grid = [0, 0.5, 1].map(f => {
+    const value = top100 * f;
+    return `<line x1="${left}" x2="${width - right}" y1="${y(value)}" y2="${y(value)}" class="grid"/><text x="${left - 4}" y="${y(value) + 4}" text-anchor="end">${round(value)}${percent ? '%' : ''}</text>`;
+  }).join('');
+  return `<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">${grid}`
+    + lines
+    + `<text x="${left}" y="${height - 4}">${escapeHtml(formatTime(new Date(since).toISOString()))}</text>`
+    + `<text x="${width - right}" y="${height - 4}" text-anchor="end">${escapeHtml(formatTime(new Date(until).toISOString()))}</text></svg>`;
+}
+
+// One cell per history point: green when up throughout, amber when partly, red when down
+function svgUptimeStrip(timeline, since, until, step) {
+  const width = CHART.width - CHART.left - CHART.right;
+  const x = t => ((t - since) / Math.max(1, until - since)) * width;
+  const rects = timeline.map(({ t, up }) => {
+    const kind = up >= 0.999 ? 'up' : up > 0 ? 'partial' : 'down';
+    const cell = Math.max(1, Math.min(x(t + step), width) - x(t));
+    return `<rect x="${x(t).toFixed(1)}" y="0" width="${cell.toFixed(1)}" height="14" class="${kind}"><title>${escapeHtml(formatTime(new Date(t).toISOString()))}: ${round(up * 100)}%</title></rect>`;
+  }).join('');
+  return `<svg viewBox="0 0 ${width} 14" width="${width}" height="14" role="img"><rect width="${width}" height="14" class="nodata"/>${rects}</svg>`;
+}
+
+// Commits per day, agent commits stacked under human ones
+function svgCommitBars(byDay) {
+  const { width, height, left, right, top, bottom } = CHART;
+  const max = Math.max(1, ...byDay.map(day => day.commits));
+  const slot = (width - left - right) / Math.max(1, byDay.length);
+  const h = n => (n / max) * (height - top - bottom);
+  const bars = byDay.map((day, i) => {
+    const x = left + i * slot + slot * 0.15;
+    const w = slot * 0.7;
+    const base = height - bottom;
+    return `<rect x="${x.toFixed(1)}" y="${(base - h(day.agentCommits)).toFixed(1)}" width="${w.toFixed(1)}" height="${h(day.agentCommits).toFixed(1)}" class="agent"><title>${day.day}: ${day.agentCommits} by agents</title></rect>`
+      + `<rect x="${x.toFixed(1)}" y="${(base - h(day.commits)).toFixed(1)}" width="${w.toFixed(1)}" height="${h(day.humanCommits).toFixed(1)}" class="human"><title>${day.day}: ${day.humanCommits} by humans</title></rect>`
+      + (byDay.length <= 31 ? `<text x="${(x + w / 2).toFixed(1)}" y="${height - 4}" text-anchor="middle">${day.day.slice(5)}</text>` : '');
+  }).join('');
+  return `<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">`
+    + `<line x1="${left}" x2="${width - right}" y1="${top}" y2="${top}" class="grid"/><text x="${left - 4}" y="${top + 4}" text-anchor="end">${max}</text>${bars}</svg>`;
+}
+
+function htmlTable(headers, rows) {
+  return `<table><thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>`
+    + `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+const STYLE = `
+body { font: 14px/1.45 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; max-width: 760px; margin: 24px auto; padding: 0 16px; }
+h1 { font-size: 22px; margin-bottom: 0; } h2 { font-size: 17px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; margin-top: 32px; }
+.period, .muted { color: #59636e; } .chart { margin: 8px 0 16px; } .chart h3 { font-size: 14px; margin: 0 0 2px; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0; } th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eaeef2; } th { background: #f6f8fa; }
+svg text { font-size: 10px; fill: #59636e; } .grid { stroke: #eaeef2; } .line { fill: none; stroke: #0969da; stroke-width: 1.5; } .band { fill: #0969da; opacity: .15; }
+.up { fill: #2da44e; } .partial { fill: #d4a72c; } .down { fill: #cf222e; } .nodata { fill: #eaeef2; }
+.agent { fill: #8250df; } .human { fill: #0969da; } .legend span { display: inline-block; width: 10px; height: 10px; margin: 0 4px 0 12px; }
+.warning { color: #9a6700; } .critical { color: #cf222e; }
+`;
+
+/**
+ * One self-contained HTML page: inline CSS and SVG, no scripts or
+ * external assets, so it survives being attached to an email.
+ */
+export function renderReportHtml(report) {
+  const since = Date.parse(report.since);
+  const until = Date.parse(report.until);
+  const { totals, byKind, byRepo, byAuthor, byDay, errors } = report.activity;
+  const metrics = Object.entries(report.performance.metrics);
+  const counts = Object.entries(report.events.counts).sort((a, b) => b[1] - a[1]);
+
+  const performance = metrics.length
+    ? metrics.map(([metric, s]) => `<div class="chart"><h3>${escapeHtml(metricLabel(metric))} <span class="muted">avg ${s.avg} · max ${s.max}</span></h3>`
+      + `${svgLineChart(s.points, { since, until, step: report.performance.step, percent: metric !== 'load1' })}</div>`).join('')
+    : '<p class="muted">No performance history for this period.</p>';
+
+  const agents = report.agents.map(agent => `<div class="chart"><h3>${escapeHtml(agent.name)} <span class="muted">${escapeHtml(formatUptimePercent(agent.uptime))} up · ${escapeHtml(restartSummary(agent))}${agent.latency ? ` · avg reply ${Math.round(agent.latency.avg)}ms` : ''}</span></h3>`
+    + `${agent.timeline.length ? svgUptimeStrip(agent.timeline, since, until, report.performance.step) : ''}</div>`).join('');
+
+  const activity = [
+    `<p><strong>${totals.commits}</strong> commits by ${totals.authors} authors in ${totals.repos} repos, +${totals.additions} −${totals.deletions} lines.</p>`,
+    byDay.length ? `<div class="chart">${svgCommitBars(byDay)}<div class="legend muted"><span style="background:#8250df"></span>agents (${byKind.agent.commits})<span style="background:#0969da"></span>humans (${byKind.human.commits})</div></div>` : '',
+    byRepo.length ? htmlTable(['Repo', 'Commits', 'Agent', 'Human', 'Added', 'Removed'], byRepo.map(r => [r.repo, r.commits, r.agentCommits, r.humanCommits, r.additions, r.deletions])) : '',
+    byAuthor.length ? htmlTable(['Author', 'Kind', 'Commits', 'Added', 'Removed'], byAuthor.slice(0, 10).map(a => [a.name, a.kind, a.commits, a.additions, a.deletions])) : '',
+    ...errors.map(({ repo, error }) => `<p class="warning">${escapeHtml(repo)}: ${escapeHtml(error)}</p>`),
+  ].join('');
+
+  const events = [
+    `<p>${counts.length ? counts.map(([type, n]) => `${escapeHtml(type)} <strong>${n}</strong>`).join(' · ') : '<span class="muted">No events recorded.</span>'}</p>`,
+    report.events.notable.length ? `<ul>${report.events.notable.map(event => `<li class="${event.level || eventLevel(event)}">${escapeHtml(formatTime(event.timestamp))} — ${escapeHtml(event.message)}</li>`).join('')}</ul>` : '',
+  ].join('');
+
+  const incidents = report.incidents.length
+    ? htmlTable(['Opened', 'Target', 'Outcome', 'Reason'], report.incidents.map(i => [formatTime(i.openedAt), i.target, i.outcome, i.reason]))
+    : '<p class="muted">None.</p>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>OpenClaw Activity Report · ${escapeHtml(report.host)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>OpenClaw Activity Report · ${escapeHtml(report.host)}</h1>
+<p class="period">${escapeHtml(periodText(report))} · generated ${escapeHtml(formatTime(report.generatedAt))} UTC</p>
+<h2>Performance</h2>
+${performance}
+<h2>Uptime and restarts</h2>
+${agents}
+<h2>Commit activity</h2>
+${activity}
+<h2>Events</h2>
+${events}
+<h2>Incidents</h2>
+${incidents}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a buildReport() result as 'text', 'md' or 'html'.
+ */
+export function renderReport(report, format = 'text') {
+  if (format === 'html') return renderReportHtml(report);
+  if (format === 'md') return renderReportMarkdown(report);
+  return renderReportText(report);
+}
@@ -0,0 +1,148 @@
+/**
+ * OpenClaw Activity Monitor - Restart Policy
+ *
+ * Decides when a failing agent (or the gateway) may be restarted:
+ * - Exponential backoff between restarts, starting at restartCooldown
+ * - A budget of maxRestarts per rolling window
+ * - A circuit breaker that stops restarting once the budget is spent,
+ *   until the target has been healthy for resetAfter
+ *
+ * The functions here only update a plain state object; the daemon acts
+ * on the decisions and keeps the state with the rest of the agent state.
+ */
+
+import { CONFIG, parseDuration } from './lib.js';
+
+const POLICY_KEYS = ['backoffMultiplier', 'maxBackoff', 'maxRestarts', 'window', 'resetAfter'];
+
+function toMs(value) {
+  if (typeof value === 'number') return value * 1000;
+  return parseDuration(value) ?? 0;
+}
+
+/**
+ * Effective policy for a target: the global restartPolicy with the
+ * target's own `restartPolicy` on top. Durations come back in ms.
+ */
+export function getRestartPolicy(target = {}) {
+  const policy = { ...CONFIG.restartPolicy, ...target.restartPolicy };
+  return {
+    initialBackoff: CONFIG.restartCooldown,
+    backoffMultiplier: policy.backoffMultiplier,
+    maxBackoff: toMs(policy.maxBackoff),
+    maxRestarts: policy.maxRestarts,
+    window: toMs(policy.window),
+    resetAfter: toMs(policy.resetAfter),
+  };
+}
+
+export function createRestartState() {
+  return {
+    circuit: 'closed',
+    attempts: 0,
+    restarts: [],
+    nextRestartAt: null,
+    openedAt: null,
+    healthySince: null,
+  };
+}
+
+function backoffDelay(policy, attempts) {
+  if (attempts === 0) return 0;
+  return Math.min(policy.initialBackoff * policy.backoffMultiplier ** (attempts - 1), policy.maxBackoff);
+}
+
+/**
+ * Feed a health check result into the state. After resetAfter of
+ * sustained health the backoff, budget and circuit breaker start over.
+ * Returns true when this call closed an open circuit.
+ */
+export function recordHealth(restart, healthy, policy, now = Date.now()) {
+  if (!healthy) {
+    restart.healthySince = null;
+    return false;
+  }
+  restart.healthySince ??= now;
+  if (now - restart.healthySince < policy.resetAfter) return false;
+  if (restart.circuit === 'closed' && restart.attempts === 0 && !restart.restarts.length) return false;
+
+  const wasOpen = restart.circuit === 'open';
+  Object.assign(restart, createRestartState(), { healthySince: restart.healthySince });
+  return wasOpen;
+}
+
+/**
+ * Ask whether a restart may happen now.
+ * Returns { action, reason, retryAt? } where action is:
+ * - 'restart': go ahead, then call recordRestart()
+ * - 'wait': still backing off until retryAt
+ * - 'trip': the budget is spent; the circuit is now open
+ * - 'blocked': the circuit was already open
+ */
+export function decideRestart(restart, policy, now = Date.now()) {
+  if (restart.circuit === 'open') {
+    return { action: 'blocked', reason: 'Restart circuit open' };
+  }
+
+  restart.restarts = restart.restarts.filter(t => now - t < policy.window);
+  if (restart.restarts.length >= policy.maxRestarts) {
+    restart.circuit = 'open';
+    restart.openedAt = now;
+    restart.nextRestartAt = null;
+    return { action: 'trip', reason: `${restart.restarts.length} restarts within ${Math.round(policy.window / 1000)}s` };
+  }
+
+  if (restart.nextRestartAt !== null && now < restart.nextRestartAt) {
+    return { action: 'wait', reason: 'Backing off', retryAt: restart.nextRestartAt };
+  }
+  return { action: 'restart', reason: restart.attempts ? `Attempt ${restart.attempts + 1}` : 'First restart' };
+}
+
+/**
+ * Record a restart that was carried out and schedule the earliest next one.
+ */
+export function recordRestart(restart, policy, now = Date.now()) {
+  restart.restarts.push(now);
+  restart.attempts++;
+  restart.healthySince = null;
+  restart.nextRestartAt = now + backoffDelay(policy, restart.attempts);
+}
+
+/**
+ * Status summary for getStatus() and the state file.
+ */
+export function describeRestartState(restart, policy, now = Date.now()) {
+  const iso = t => (t === null ? null : new Date(t).toISOString());
+  return {
+    circuit: restart.circuit,
+    state: restart.circuit === 'open' ? 'gave-up'
+      : restart.nextRestartAt !== null && now < restart.nextRestartAt ? 'backoff' : 'ready',
+    attempts: restart.attempts,
+    restartsInWindow: restart.restarts.filter(t => now - t < policy.window).length,
+    maxRestarts: policy.maxRestarts,
+    nextRestartAt: iso(restart.nextRestartAt),
+    openedAt: iso(restart.openedAt),
+    healthySince: iso(restart.healthySince),
+  };
+}
+
+/**
+ * Validate a restartPolicy object (global or per target).
+ * Returns a list of problems; `partial` allows missing keys.
+ */
+export function validateRestartPolicy(policy, partial = false) {
+  const errors = [];
+  const isDuration = v => (typeof v === 'number' && v > 0) || (typeof v === 'string' && parseDuration(v) > 0);
+  for (const key of Object.keys(policy)) {
+    if (!POLICY_KEYS.includes(key)) errors.push(`unknown key "${key}"`);
+  }
+  const check = (key, ok, message) => {
+    if (policy[key] === undefined ? !partial : !ok(policy[key])) errors.push(`${key} ${message}`);
+  };
+  check('backoffMultiplier', v => typeof v === 'number' && v >= 1, 'must be a number of at least 1');
+  check('maxRestarts', v => Number.isInteger(v) && v >= 1, 'must be an integer of at least 1');
+  for (const key of ['maxBackoff', 'window', 'resetAfter']) {
+    check(key, isDuration, 'must be seconds or a duration like "10m"');
+  }
+  return errors;
+}
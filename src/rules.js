@@ -0,0 +1,456 @@
+/**
+ * OpenClaw Activity Monitor - Alert Rules
+ *
+ * Evaluates alert rules against each cycle's data:
+ * - A metric and comparison, or a custom boolean expression
+ * - "for" duration the condition must hold before firing
+ * - Separate clear threshold/expression for hysteresis
+ * - pending -> firing -> resolved state per rule and instance
+ *
+ * Metrics are dotted paths. Plain paths read the getSystemPerformance()
+ * sample (cpu.usage, memory.percent, cpu.loadAvg.0); paths starting with
+ * agent., repo., filesystem. or process. are evaluated once per agent,
+ * repo, mount or tracked process.
+ */
+
+import { CONFIG, getMountThresholds, parseDuration } from './lib.js';
+
+export const SCOPES = ['agent', 'repo', 'filesystem', 'process'];
+
+export const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+// Rule state by "rule|instance": { rule, instance, state, since, firedAt, resolvedAt, value }
+const ruleStates = new Map();
+
+// ==================== FACTS ====================
+
+function flattenObject(value, prefix = '', out = {}) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    out[prefix] = Number(value);
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      flattenObject(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  }
+  return out;
+}
+
+/**
+ * Build the flat metric namespace rules are evaluated against.
+ * @param {object} data - { performance, agents, repos, processes } from the daemon
+ */
+export function buildFacts({ performance, agents = [], repos = [], processes = [] } = {}, now = Date.now()) {
+  const { filesystems = [], ...perf } = performance || {};
+  const instances = { agent: {}, repo: {}, filesystem: {}, process: {} };
+
+  for (const agent of agents) {
+    instances.agent[agent.name] = flattenObject({
+      ...agent,
+      healthy: agent.consecutiveFailures === 0 ? 1 : 0,
+      secondsSinceHealthy: agent.lastHealthy ? (now - new Date(agent.lastHealthy).getTime()) / 1000 : null,
+    });
+  }
+  for (const repo of repos) {
+    const committed = repo.latestCommit?.timestamp ? new Date(repo.latestCommit.timestamp).getTime() : null;
+    instances.repo[repo.name] = flattenObject({
+      error: repo.error ? 1 : 0,
+      uncommittedChanges: repo.uncommittedChanges,
+      ahead: repo.ahead,
+      behind: repo.behind,
+      noUpstream: repo.noUpstream ? 1 : 0,
+      detached: repo.detached ? 1 : 0,
+      secondsSinceCommit: committed ? (now - committed) / 1000 : null,
+      secondsDirty: repo.uncommittedChanges > 0 && repo.dirtySince ? (now - new Date(repo.dirtySince).getTime()) / 1000 : 0,
+      unpushed: repo.unpushed?.count ?? 0,
+      secrets: repo.secrets?.length ?? 0,
+      secondsUnpushed: repo.unpushed?.oldest ? (now - new Date(repo.unpushed.oldest).getTime()) / 1000 : 0,
+      events: repo.events,
+    });
+  }
+  for (const mount of filesystems) {
+    instances.filesystem[mount.mount] = flattenObject({
+      percent: mount.percent,
+      used: mount.used,
+      available: mount.available,
+      total: mount.total,
+      inodes: mount.inodes,
+    });
+  }
+  for (const proc of processes) {
+    instances.process[proc.name] = flattenObject({ ...proc, running: proc.running ? 1 : 0, pids: undefined });
+  }
+
+  return { global: flattenObject(perf), instances };
+}
+
+// ==================== EXPRESSIONS ====================
+
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][\w.]*)|(&&|\|\||>=|<=|==|!=|[-+*/()<>!]))/y;
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < text.length) {
+    if (/^\s*$/.test(text.slice(TOKEN.lastIndex))) break;
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(text);
+    if (!match) throw new Error(`Unexpected "${text.slice(start).trim()[0]}" at position ${start}`);
+    if (match[1]) tokens.push({ type: 'num', value: parseFloat(match[1]) });
+    else if (match[2]) tokens.push({ type: 'id', value: match[2] });
+    else tokens.push({ type: 'op', value: match[3] });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a boolean/arithmetic expression such as
+ * "cpu.usage > 90 && cpu.breakdown.iowait > 20" into a tree.
+ * Supports + - * / comparisons ! && || and parentheses.
+ */
+export function parseExpression(text) {
+  const tokens = tokenize(text);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const accept = value => (peek()?.type === 'op' && peek().value === value ? tokens[pos++] : null);
+
+  const binary = (next, ops) => () => {
+    let left = next();
+    for (let op = ops.find(accept); op; op = ops.find(accept)) {
+      left = { op, left, right: next() };
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error('Unexpected end of expression');
+    if (token.type === 'num') return { num: token.value };
+    if (token.type === 'id') return { id: token.value };
+    if (token.value === '(') {
+      const inner = or();
+      if (!accept(')')) throw new Error('Missing ")"');
+      return inner;
+    }
+    if (token.value === '!' || token.value === '-') return { op: token.value === '!' ? 'not' : 'neg', left: primary() };
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+  const mul = binary(primary, ['*', '/']);
+  const add = binary(mul, ['+', '-']);
+  const cmp = binary(add, ['>=', '<=', '>', '<', '==', '!=']);
+  const and = binary(cmp, ['&&']);
+  const or = binary(and, ['||']);
+
+  const tree = or();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}"`);
+  return tree;
+}
+
+function collectIdentifiers(node, out = new Set()) {
+  if (node.id) out.add(node.id);
+  if (node.left) collectIdentifiers(node.left, out);
+  if (node.right) collectIdentifiers(node.right, out);
+  return out;
+}
+
+// Evaluates to undefined when a metric is missing, so rules without data don't fire
+function evaluate(node, lookup) {
+  if ('num' in node) return node.num;
+  if (node.id) return lookup(node.id);
+  const left = evaluate(node.left, lookup);
+  if (node.op === 'not') return left === undefined ? undefined : !left;
+  if (node.op === 'neg') return left === undefined ? undefined : -left;
+  if (node.op === '&&') return left === undefined ? undefined : left ? evaluate(node.right, lookup) : false;
+  if (node.op === '||') return left ? true : evaluate(node.right, lookup);
+  const right = evaluate(node.right, lookup);
+  if (left === undefined || right === undefined) return undefined;
+  switch (node.op) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/': return right === 0 ? undefined : left / right;
+    default: return OPERATORS[node.op](left, right);
+  }
+}
+
+function scopeOf(path) {
+  const scope = path.split('.')[0];
+  return SCOPES.includes(scope) ? scope : null;
+}
+
+/**
+ * The scope (agent/repo/filesystem/process, or null for global) a rule
+ * is evaluated in. Throws if a rule mixes scopes.
+ */
+export function getRuleScope(rule) {
+  const ids = rule.metric ? [rule.metric] : [...collectIdentifiers(parseExpression(rule.expr))];
+  const scopes = new Set(ids.map(scopeOf).filter(Boolean));
+  if (scopes.size > 1) throw new Error(`mixes ${[...scopes].join(' and ')} metrics`);
+  return [...scopes][0] || null;
+}
+
+// ==================== RULES ====================
+
+function toSeconds(value) {
+  if (value === undefined || value === null) return 0;
+  if (typeof value === 'number') return value;
+  return (parseDuration(value) ?? 0) / 1000;
+}
+
+/**
+ * Rules generated from CONFIG.thresholds so the classic warning/critical
+ * thresholds get durations and hysteresis too. Each pair shares a group,
+ * so only the more severe of the two is reported.
+ */
+export function getBuiltinRules() {
+  const t = CONFIG.thresholds;
+  const { for: durations, hysteresis } = CONFIG.alerting;
+  const pair = (group, metric, label, warning, critical, duration) => ['warning', 'critical'].map(severity => {
+    const threshold = severity === 'warning' ? warning : critical;
+    return {
+      name: `${group}-${severity}`,
+      group,
+      metric,
+      op: '>=',
+      threshold,
+      clear: typeof threshold === 'function' ? instance => threshold(instance) - hysteresis : threshold - hysteresis,
+      for: duration,
+      severity,
+      type: group,
+      builtin: true,
+      describe: (value, instance) => `${label}${instance ? ` ${instance}` : ''} at ${value}%`,
+    };
+  });
+  return [
+    ...pair('cpu', 'cpu.usage', 'CPU', t.cpuWarning, t.cpuCritical, durations.cpu),
+    ...pair('memory', 'memory.percent', 'Memory', t.memoryWarning, t.memoryCritical, durations.memory),
+    ...pair('disk', 'filesystem.percent', 'Disk',
+      mount => getMountThresholds(mount).diskWarning, mount => getMountThresholds(mount).diskCritical, durations.disk),
+    ...pair('inodes', 'filesystem.inodes.percent', 'Inodes on',
+      mount => getMountThresholds(mount).inodeWarning, mount => getMountThresholds(mount).inodeCritical, durations.disk),
+  ];
+}
+
+export const BUILTIN_RULE_NAMES = ['cpu', 'memory', 'disk', 'inodes'].flatMap(group => [`${group}-warning`, `${group}-critical`]);
+
+export function getAllRules() {
+  return [...getBuiltinRules(), ...CONFIG.rules];
+}
+
+function compileRule(rule) {
+  const scope = getRuleScope(rule);
+  const resolve = (value, instance) => (typeof value === 'function' ? value(instance) : value);
+
+  if (rule.expr) {
+    const active = parseExpression(rule.expr);
+    const clear = rule.clearExpr ? parseExpression(rule.clearExpr) : null;
+    return {
+      scope,
+      // Firing stays on until the clear expression holds (or the main one stops)
+      test: (lookup, firing) => {
+        if (firing && clear) {
+          const cleared = evaluate(clear, lookup);
+          return cleared === undefined ? undefined : !cleared;
+        }
+        return evaluate(active, lookup);
+      },
+      value: () => null,
+    };
+  }
+
+  const compare = OPERATORS[rule.op];
+  return {
+    scope,
+    test: (lookup, firing, instance) => {
+      const value = lookup(rule.metric);
+      if (value === undefined) return undefined;
+      const threshold = resolve(firing && rule.clear !== undefined ? rule.clear : rule.threshold, instance);
+      return compare(value, threshold);
+    },
+    value: lookup => lookup(rule.metric),
+  };
+}
+
+function describe(rule, value, instance) {
+  if (rule.describe) return rule.describe(value, instance);
+  if (rule.message) {
+    return rule.message
+      .replace(/\{value\}/g, value ?? '')
+      .replace(/\{instance\}/g, instance ?? '')
+      .replace(/\{name\}/g, rule.name);
+  }
+  const target = instance ? ` [${instance}]` : '';
+  return rule.expr
+    ? `${rule.name}${target}: ${rule.expr}`
+    : `${rule.name}${target}: ${rule.metric} = ${value} (${rule.op} ${rule.threshold})`;
+}
+
+/**
+ * Evaluate every rule against `facts` and advance their states.
+ * Returns the alerts currently firing (one per group and instance,
+ * the most severe wins).
+ */
+export function evaluateRules(facts, now = Date.now(), rules = getAllRules()) {
+  const seen = new Set();
+
+  for (const rule of rules) {
+    let compiled;
+    try {
+      compiled = compileRule(rule);
+    } catch {
+      continue; // rejected by validation; never reached with a valid config
+    }
+    const instances = compiled.scope ? Object.entries(facts.instances[compiled.scope]) : [[null, facts.global]];
+
+    for (const [instance, values] of instances) {
+      const key = `${rule.name}|${instance ?? ''}`;
+      seen.add(key);
+      const lookup = path => {
+        const local = compiled.scope && path.startsWith(`${compiled.scope}.`) ? path.slice(compiled.scope.length + 1) : path;
+        const value = values[local];
+        return value === null || value === undefined || Number.isNaN(value) ? undefined : value;
+      };
+
+      const current = ruleStates.get(key);
+      const firing = current?.state === 'firing';
+      const active = compiled.test(lookup, firing, instance) === true;
+      const value = compiled.value(lookup) ?? null;
+      const duration = toSeconds(rule.for) * 1000;
+
+      if (active) {
+        if (!current || current.state === 'resolved') {
+          ruleStates.set(key, { rule, instance, state: duration > 0 ? 'pending' : 'firing', since: now, firedAt: duration > 0 ? null : now, value });
+        } else {
+          current.value = value;
+          if (current.state === 'pending' && now - current.since >= duration) {
+            current.state = 'firing';
+            current.firedAt = now;
+          }
+        }
+      } else if (current?.state === 'pending') {
+        ruleStates.delete(key);
+      } else if (firing) {
+        Object.assign(current, { state: 'resolved', resolvedAt: now, value });
+      }
+    }
+  }
+
+  // Forget rules that were removed and instances that went away; age out resolved entries
+  for (const [key, entry] of ruleStates) {
+    const gone = !seen.has(key);
+    if (gone && entry.state === 'firing') {
+      Object.assign(entry, { state: 'resolved', resolvedAt: now });
+    } else if (gone && entry.state === 'pending') {
+      ruleStates.delete(key);
+    } else if (entry.state === 'resolved' && now - entry.resolvedAt > CONFIG.alerting.keepResolved * 1000) {
+      ruleStates.delete(key);
+    }
+  }
+
+  const severityRank = { info: 0, warning: 1, critical: 2 };
+  const byGroup = new Map();
+  for (const entry of ruleStates.values()) {
+    if (entry.state !== 'firing') continue;
+    const groupKey = `${entry.rule.group || entry.rule.name}|${entry.instance ?? ''}`;
+    const existing = byGroup.get(groupKey);
+    if (!existing || severityRank[entry.rule.severity] > severityRank[existing.rule.severity]) {
+      byGroup.set(groupKey, entry);
+    }
+  }
+
+  return [...byGroup.entries()].map(([groupKey, entry]) => ({
+    key: `rule:${groupKey.replace('|', ':').replace(/:$/, '')}`,
+    level: entry.rule.severity,
+    type: entry.rule.type || 'rule',
+    rule: entry.rule.name,
+    ...(entry.instance !== null ? { instance: entry.instance } : {}),
+    ...(entry.rule.metric?.startsWith('filesystem.') ? { mount: entry.instance } : {}),
+    value: entry.value,
+    message: describe(entry.rule, entry.value, entry.instance),
+  }));
+}
+
+/**
+ * Current pending, firing and recently resolved rule states.
+ */
+export function getRuleStates() {
+  return [...ruleStates.values()].map(entry => ({
+    rule: entry.rule.name,
+    instance: entry.instance,
+    state: entry.state,
+    severity: entry.rule.severity,
+    value: entry.value,
+    since: new Date(entry.since).toISOString(),
+    firedAt: entry.firedAt ? new Date(entry.firedAt).toISOString() : null,
+    resolvedAt: entry.resolvedAt ? new Date(entry.resolvedAt).toISOString() : null,
+    message: describe(entry.rule, entry.value, entry.instance),
+  }));
+}
+
+/**
+ * Take back rule states saved from getRuleStates(), so pending `for`
+ * timers and firing rules carry on. Entries for rules that no longer
+ * exist are dropped.
+ */
+export function restoreRuleStates(saved, rules = getAllRules()) {
+  const time = iso => (iso ? Date.parse(iso) : null);
+  for (const entry of saved) {
+    const rule = rules.find(r => r.name === entry.rule);
+    if (!rule) continue;
+    ruleStates.set(`${rule.name}|${entry.instance ?? ''}`, {
+      rule,
+      instance: entry.instance ?? null,
+      state: entry.state,
+      since: time(entry.since),
+      firedAt: time(entry.firedAt),
+      ...(entry.resolvedAt ? { resolvedAt: time(entry.resolvedAt) } : {}),
+      value: entry.value,
+    });
+  }
+}
+
+/**
+ * Problems with a user rule, for config validation.
+ */
+export function validateRule(rule) {
+  const errors = [];
+  if (typeof rule.name !== 'string' || !rule.name) errors.push('name must be a non-empty string');
+  if (BUILTIN_RULE_NAMES.includes(rule.name)) errors.push(`name "${rule.name}" is reserved for a built-in threshold rule`);
+  if (!['info', 'warning', 'critical'].includes(rule.severity)) errors.push('severity must be info, warning or critical');
+  if (rule.for !== undefined && !(typeof rule.for === 'number' && rule.for >= 0) && parseDuration(rule.for) === null) {
+    errors.push('for must be seconds or a duration like "5m"');
+  }
+
+  if (rule.expr !== undefined) {
+    if (rule.metric !== undefined) errors.push('use either metric or expr, not both');
+    for (const key of ['expr', 'clearExpr']) {
+      if (rule[key] === undefined) continue;
+      try {
+        if (typeof rule[key] !== 'string') throw new Error('must be a string');
+        parseExpression(rule[key]);
+      } catch (error) {
+        errors.push(`${key}: ${error.message}`);
+      }
+    }
+  } else {
+    if (typeof rule.metric !== 'string' || !/^[A-Za-z_][\w.]*$/.test(rule.metric)) errors.push('metric must be a dotted metric path');
+    if (!OPERATORS[rule.op]) errors.push(`op must be one of ${Object.keys(OPERATORS).join(' ')}`);
+    if (typeof rule.threshold !== 'number') errors.push('threshold must be a number');
+    if (rule.clear !== undefined && typeof rule.clear !== 'number') errors.push('clear must be a number');
+  }
+
+  if (!errors.length) {
+    try {
+      getRuleScope(rule);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,313 @@
+/**
+ * OpenClaw Activity Monitor - Secret Scanning
+ *
+ * Looks at what agents add to the monitored repos:
+ * - Lines added by commits seen since the last scan, and by uncommitted
+ *   changes (including untracked files)
+ * - Secret patterns: built-in rules for common key formats plus
+ *   secretScan.rules
+ * - Files matching secretScan.protectedPaths being added, changed or deleted
+ *
+ * Findings carry repo, commit, file and line; matched text is redacted.
+ * secretScan.allowlist and an `oam:allow` comment on the line suppress
+ * known false positives.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { CONFIG, globToRegex } from './lib.js';
+
+const execAsync = promisify(exec);
+
+export const BUILTIN_SECRET_RULES = [
+  { name: 'private-key', pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY( BLOCK)?-----/ },
+  { name: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { name: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{60,})\b/ },
+  { name: 'anthropic-key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/ },
+  { name: 'openai-key', pattern: /\bsk-(?!ant-)(?:proj-)?[A-Za-z0-9_-]{32,}/ },
+  { name: 'slack-token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/ },
+  { name: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/ },
+  { name: 'stripe-key', pattern: /\b[sr]k_live_[0-9A-Za-z]{20,}/ },
+  // Also names with a prefix, like OPENAI_API_KEY or client_secret
+  { name: 'generic-secret', pattern: /(?:api[_-]?key|secret|token|passw(?:or)?d)[\w-]*["']?\s*[:=]\s*["']([^"'\s$]{12,})["']/i },
+];
+
+// Lines carrying this marker are never reported
+const ALLOW_MARKER = 'oam:allow';
+
+// HEAD last scanned per repo path; commits after it are "new"
+const lastScanned = new Map();
+
+// ==================== MATCHING ====================
+
+function getRules() {
+  return [
+    ...BUILTIN_SECRET_RULES,
+    ...CONFIG.secretScan.rules.map(rule => ({ name: rule.name, pattern: new RegExp(rule.pattern, rule.flags || '') })),
+  ];
+}
+
+function repoConfig(repoName) {
+  return CONFIG.repos.find(r => r.name === repoName) || {};
+}
+
+/**
+ * Whether `file` (relative to the repo) is protected for this repo:
+ * it matches secretScan.protectedPaths or the repo's own protectedPaths,
+ * and no later `!pattern` excludes it.
+ */
+export function isProtectedPath(file, repoName) {
+  let matched = false;
+  for (const pattern of [...CONFIG.secretScan.protectedPaths, ...(repoConfig(repoName).protectedPaths || [])]) {
+    const negated = pattern.startsWith('!');
+    if (globToRegex(negated ? pattern.slice(1) : pattern).test(file)) matched = !negated;
+  }
+  return matched;
+}
+
+function redact(text) {
+  return text.length <= 8 ? '*'.repeat(text.length) : `${text.slice(0, 4)}…(${text.length} chars)`;
+}
+
+function fingerprint(...parts) {
+  return crypto.createHash('sha256').update(parts.join('\0')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Whether an allowlist entry covers a finding. Entries are { fingerprint }
+ * or any combination of { repo, rule, path (glob), match (regex on the
+ * secret) }; every key given has to match.
+ */
+export function isAllowed(finding) {
+  return CONFIG.secretScan.allowlist.some(entry => {
+    if (entry.fingerprint) return entry.fingerprint === finding.fingerprint;
+    if (entry.repo && entry.repo !== finding.repo) return false;
+    if (entry.rule && entry.rule !== finding.rule) return false;
+    if (entry.path && !globToRegex(entry.path).test(finding.file)) return false;
+    if (entry.match && !(finding.secret !== undefined && new RegExp(entry.match).test(finding.secret))) return false;
+    return true;
+  });
+}
+
+/**
+ * Secret findings in added lines ([{ file, line, text }]), before the allowlist.
+ */
+export function scanLines(lines, rules = getRules()) {
+  const findings = [];
+  for (const { file, line, text } of lines) {
+    if (text.includes(ALLOW_MARKER)) continue;
+    for (const rule of rules) {
+      const match = text.match(rule.pattern);
+      if (!match) continue;
+      const secret = match[1] ?? match[0];
+      findings.push({ kind: 'secret', rule: rule.name, file, line, secret });
+      break;
+    }
+  }
+  return findings;
+}
+
+// ==================== DIFFS ====================
+
+/**
+ * Parse `git diff -p --unified=0` output into the files it touches and the
+ * lines it adds, with their line numbers in the new version.
+ */
+export function parseDiff(diff) {
+  const files = [];
+  const added = [];
+  let file = null;
+  let lineNo = 0;
+  let inHunk = false;
+  for (const text of diff.split('\n')) {
+    const header = text.match(/^diff --git "?a\/.*?"? "?b\/(.*?)"?$/);
+    if (header) {
+      file = header[1];
+      files.push(file);
+      inHunk = false;
+      continue;
+    }
+    const hunk = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      lineNo = parseInt(hunk[1]);
+      inHunk = true;
+      continue;
+    }
+    if (inHunk && text.startsWith('+')) {
+      added.push({ file, line: lineNo++, text: text.slice(1) });
+    }
+  }
+  return { files, added };
+}
+
+async function git(repoPath, args) {
+  const { stdout } = await execAsync(`git -C "${repoPath}" ${args}`, { maxBuffer: 64 * 1024 * 1024 });
+  return stdout;
+}
+
+const DIFF_FLAGS = '-p --unified=0 --no-color --no-ext-diff --no-renames';
+
+/**
+ * Findings in the commits reachable from HEAD but not from `since`
+ * (just HEAD when `since` is null or gone), newest first.
+ */
+export async function scanCommits(repoPath, since = null) {
+  const range = since ? `HEAD --not ${since}` : '-n 1 HEAD';
+  let output;
+  try {
+    output = await git(repoPath, `log --no-merges ${DIFF_FLAGS} --format="%x1e%H%x1f%h%x1f%an" -n ${CONFIG.secretScan.maxCommits} ${range}`);
+  } catch (error) {
+    if (!since) throw error;
+    return scanCommits(repoPath, null);
+  }
+  const findings = [];
+  for (const record of output.split('\x1e').filter(Boolean)) {
+    const newline = record.indexOf('\n');
+    const [hash, shortHash, author] = record.slice(0, newline).split('\x1f');
+    const { files, added } = parseDiff(record.slice(newline + 1));
+    for (const finding of [...protectedFindings(files), ...scanLines(added)]) {
+      findings.push({ ...finding, commit: hash, shortHash, author });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Findings in uncommitted changes: the diff against HEAD plus untracked files.
+ */
+export async function scanWorkingTree(repoPath) {
+  const diff = await git(repoPath, `diff HEAD ${DIFF_FLAGS}`).catch(() => git(repoPath, `diff --cached ${DIFF_FLAGS}`));
+  const { files, added } = parseDiff(diff);
+
+  const untracked = (await git(repoPath, 'ls-files --others --exclude-standard -z')).split('\0').filter(Boolean);
+  for (const file of untracked) {
+    files.push(file);
+    try {
+      const fullPath = path.join(repoPath, file);
+      if ((await fs.stat(fullPath)).size > CONFIG.secretScan.maxFileBytes) continue;
+      const content = await fs.readFile(fullPath, 'utf-8');
+      if (content.includes('\0')) continue;
+      content.split('\n').forEach((text, i) => added.push({ file, line: i + 1, text }));
+    } catch {
+      // vanished or unreadable
+    }
+  }
+
+  return [...protectedFindings(files), ...scanLines(added)].map(finding => ({ ...finding, commit: null }));
+}
+
+function protectedFindings(files) {
+  return files.map(file => ({ kind: 'protected-path', rule: 'protected-path', file, line: null }));
+}
+
+// ==================== REPOS ====================
+
+function finish(findings, repoName) {
+  return findings
+    .map(({ secret, ...finding }) => {
+      const result = {
+        ...finding,
+        repo: repoName,
+        fingerprint: fingerprint(finding.rule, finding.file, secret ?? ''),
+        ...(secret !== undefined ? { match: redact(secret) } : {}),
+      };
+      return isAllowed({ ...result, secret }) ? null : result;
+    })
+    .filter(finding => finding && (finding.kind !== 'protected-path' || isProtectedPath(finding.file, repoName)));
+}
+
+/**
+ * Scan one repo (a getRepoStatus() result). Returns
+ * { commits, uncommitted }: findings in commits that appeared since the
+ * last scan of this repo, and in the current uncommitted changes.
+ * The first scan of a repo only remembers HEAD; history isn't searched.
+ */
+export async function scanRepo(repo) {
+  const empty = { commits: [], uncommitted: [] };
+  if (!CONFIG.secretScan.enabled || repo.error || repoConfig(repo.name).secretScan === false) return empty;
+
+  const head = repo.latestCommit?.hash || null;
+  const previous = lastScanned.get(repo.path);
+  let commits = [];
+  if (head && previous && previous !== head) {
+    commits = finish(await scanCommits(repo.path, previous), repo.name);
+  }
+  if (head) lastScanned.set(repo.path, head);
+
+  const uncommitted = repo.uncommittedChanges > 0 ? finish(await scanWorkingTree(repo.path), repo.name) : [];
+  return { commits, uncommitted };
+}
+
+/**
+ * HEAD last scanned per repo path, for the state file.
+ */
+export function getScanState() {
+  return Object.fromEntries(lastScanned);
+}
+
+/**
+ * Take back getScanState() output, so commits made while the daemon was
+ * down are scanned after a restart.
+ */
+export function restoreScanState(saved) {
+  for (const [repoPath, head] of Object.entries(saved)) lastScanned.set(repoPath, head);
+}
+
+/**
+ * Human-readable description of a finding.
+ */
+export function describeFinding(finding) {
+  const where = `${finding.file}${finding.line ? `:${finding.line}` : ''}`;
+  const commit = finding.commit ? `commit ${finding.shortHash || finding.commit.slice(0, 7)}${finding.author ? ` by ${finding.author}` : ''}` : 'uncommitted changes';
+  return finding.kind === 'protected-path'
+    ? `${finding.repo}: protected path ${finding.file} touched in ${commit}`
+    : `${finding.repo}: possible ${finding.rule} in ${where} (${finding.match}), ${commit}`;
+}
+
+/**
+ * Validate the secretScan config section. Returns a list of problems.
+ */
+export function validateSecretScan(config) {
+  const errors = [];
+  if (typeof config.enabled !== 'boolean') errors.push('enabled must be true or false');
+  if (!Array.isArray(config.rules)) {
+    errors.push('rules must be a list of { name, pattern, flags }');
+  } else {
+    config.rules.forEach((rule, i) => {
+      if (!rule || typeof rule.name !== 'string' || !rule.name) errors.push(`rules[${i}].name must be a non-empty string`);
+      try {
+        new RegExp(rule?.pattern, rule?.flags || '');
+        if (typeof rule?.pattern !== 'string' || !rule.pattern) throw new Error('empty');
+      } catch {
+        errors.push(`rules[${i}].pattern must be a valid regular expression`);
+      }
+    });
+  }
+  if (!Array.isArray(config.protectedPaths) || config.protectedPaths.some(p => typeof p !== 'string' || !p)) {
+    errors.push('protectedPaths must be a list of globs');
+  }
+  if (!Array.isArray(config.allowlist)) {
+    errors.push('allowlist must be a list of { fingerprint } or { repo, rule, path, match }');
+  } else {
+    config.allowlist.forEach((entry, i) => {
+      const keys = Object.keys(entry || {});
+      if (!keys.length || keys.some(key => !['fingerprint', 'repo', 'rule', 'path', 'match'].includes(key))) {
+        errors.push(`allowlist[${i}] must have fingerprint, or any of repo, rule, path and match`);
+      }
+      if (entry?.match !== undefined) {
+        try {
+          new RegExp(entry.match);
+        } catch {
+          errors.push(`allowlist[${i}].match must be a valid regular expression`);
+        }
+      }
+    });
+  }
+  for (const key of ['maxCommits', 'maxFileBytes']) {
+    if (!Number.isInteger(config[key]) || config[key] < 1) errors.push(`${key} must be an integer of at least 1`);
+  }
+  return errors;
+}
@@ -0,0 +1,165 @@
+/**
+ * OpenClaw Activity Monitor - HTTP Status API
+ *
+ * Optional embedded server for the daemon. Serves live state as JSON
+ * (and the report as markdown) so other tools on the box can poll it.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { METRICS_CONTENT_TYPE } from './metrics.js';
+
+function sendJson(res, statusCode, body) {
+  const payload = JSON.stringify(body, null, 2);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+  });
+  res.end(payload);
+}
+
+function sendText(res, statusCode, body, contentType = 'text/plain') {
+  res.writeHead(statusCode, {
+    'Content-Type': `${contentType}; charset=utf-8`,
+    'Content-Length': Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+function isAuthorized(req, token) {
+  if (!token) return true;
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Build the route table. `provider` supplies the daemon's live data:
+ * getStatus, getDetailedReport, getAgents, getRepos, getPerformance, getHistory,
+ * getEvents, getCommitActivity, getMetrics.
+ * A route returns a body, or undefined for 404.
+ */
+function buildRoutes(provider) {
+  // Only the object's own entries: /agents/constructor is not an agent
+  const entry = (object, name) => (Object.hasOwn(object, name) ? object[name] : undefined);
+  return [
+    { pattern: /^\/status$/, handler: () => provider.getStatus() },
+    { pattern: /^\/agents$/, handler: () => provider.getAgents() },
+    { pattern: /^\/agents\/([^/]+)$/, handler: ([name]) => entry(provider.getAgents(), name) },
+    { pattern: /^\/repos$/, handler: () => provider.getRepos() },
+    { pattern: /^\/repos\/([^/]+)$/, handler: ([name]) => entry(provider.getRepos(), name) },
+    { pattern: /^\/performance$/, handler: () => provider.getPerformance() ?? null },
+    {
+      pattern: /^\/performance\/history$/,
+      handler: (_, query) => {
+        const history = provider.getHistory();
+        const limit = parseInt(query.get('limit'));
+        return limit > 0 ? history.slice(-limit) : history;
+      },
+    },
+    {
+      pattern: /^\/events$/,
+      handler: (_, query) => {
+        const since = parseInt(query.get('since'));
+        return provider.getEvents({
+          since: since > 0 ? since * 1000 : 0,
+          repo: query.get('repo'),
+          type: query.get('type'),
+          limit: parseInt(query.get('limit')) || 100,
+        });
+      },
+    },
+    {
+      pattern: /^\/activity$/,
+      handler: (_, query) => {
+        const since = parseInt(query.get('since'));
+        const until = parseInt(query.get('until'));
+        return provider.getCommitActivity({
+          since: since > 0 ? since * 1000 : null,
+          until: until > 0 ? until * 1000 : null,
+          repo: query.get('repo'),
+          author: query.get('author'),
+          kind: query.get('kind'),
+        });
+      },
+    },
+    { pattern: /^\/report$/, type: 'text/markdown', handler: () => provider.getDetailedReport() },
+    { pattern: /^\/metrics$/, type: METRICS_CONTENT_TYPE, handler: () => provider.getMetrics() },
+  ];
+}
+
+/**
+ * Start the API server. Resolves with the http.Server once listening.
+ * `options` is CONFIG.api ({ host, port, token }).
+ */
+export function startApiServer(provider, options) {
+  const routes = buildRoutes(provider);
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    // Liveness probe stays open so supervisors don't need the token
+    if (pathname === '/health') {
+      return sendJson(res, 200, { ok: true });
+    }
+
+    if (!isAuthorized(req, options.token)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return sendJson(res, 401, { error: 'Unauthorized' });
+    }
+
+    if (pathname === '/') {
+      return sendJson(res, 200, {
+        endpoints: ['/health', '/status', '/agents', '/agents/:name', '/repos', '/repos/:name',
+          '/performance', '/performance/history?limit=N', '/events?since=&repo=&type=&limit=',
+          '/activity?since=&until=&repo=&author=&kind=', '/report', '/metrics'],
+      });
+    }
+
+    for (const route of routes) {
+      const match = pathname.match(route.pattern);
+      if (!match) continue;
+      let params;
+      try {
+        params = match.slice(1).map(decodeURIComponent);
+      } catch {
+        return sendJson(res, 400, { error: 'Malformed URL' });
+      }
+      try {
+        const body = await route.handler(params, url.searchParams);
+        if (body === undefined) return sendJson(res, 404, { error: 'Not found' });
+        if (route.type) return sendText(res, 200, body, route.type);
+        return sendJson(res, 200, body);
+      } catch (error) {
+        return sendJson(res, 500, { error: error.message });
+      }
+    }
+
+    sendJson(res, 404, { error: 'Not found' });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+export function stopApiServer(server) {
+  return new Promise(resolve => {
+    if (!server) return resolve();
+    server.close(() => resolve());
+    server.closeAllConnections?.();
+  });
+}
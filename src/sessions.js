@@ -0,0 +1,208 @@
+/**
+ * OpenClaw Activity Monitor - Session Lifecycle
+ *
+ * Follows sessions from `openclaw sessions list` across daemon cycles:
+ * - When each session started and ended, how long it ran, which agent owns it
+ * - When it last made progress (new output, or a moving message/token count)
+ * - Sessions active with no progress for sessions.stuckAfter are stuck
+ *
+ * The session list format isn't fixed, so common field names are accepted
+ * for ids, agents, status and timestamps.
+ */
+
+import { CONFIG, parseDuration } from './lib.js';
+
+export const SESSION_EVENT_TYPES = ['session-started', 'session-ended', 'session-stuck'];
+
+// Tracked sessions by id, and the most recently ended ones (newest last)
+const tracked = new Map();
+const ended = [];
+
+function toMs(value) {
+  return typeof value === 'number' ? value * 1000 : parseDuration(value) ?? 0;
+}
+
+function toTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  // Unix seconds or ms, or a date string
+  const time = typeof value === 'number' ? (value < 1e12 ? value * 1000 : value) : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+const first = (object, keys) => keys.map(key => object[key]).find(value => value !== undefined && value !== null);
+
+/**
+ * A raw session entry in one shape:
+ * { id, agent, status, active, idle, startedAt, lastOutputAt, progress }.
+ * Idle sessions are still open, waiting for their next message.
+ * Returns null for entries without an id.
+ */
+export function normalizeSession(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const id = first(raw, ['id', 'sessionId', 'key', 'sessionKey']);
+  if (id === undefined) return null;
+  const status = String(first(raw, ['status', 'state']) ?? 'active');
+  return {
+    id: String(id),
+    agent: first(raw, ['agent', 'agentId', 'agentName']) ?? null,
+    status,
+    active: !/^(closed|ended|done|completed|aborted|failed)$/i.test(status),
+    idle: /^idle$/i.test(status),
+    startedAt: toTime(first(raw, ['startedAt', 'createdAt', 'started', 'created'])),
+    lastOutputAt: toTime(first(raw, ['lastOutputAt', 'lastActivity', 'lastMessageAt', 'updatedAt', 'lastActive'])),
+    progress: first(raw, ['messageCount', 'messages', 'totalTokens', 'tokens', 'turns']) ?? null,
+  };
+}
+
+/**
+ * The normalized sessions in an `openclaw sessions list` result, which is
+ * a list or { sessions: [...] }.
+ */
+export function listSessions(list) {
+  const raw = Array.isArray(list) ? list : list?.sessions || [];
+  return raw.map(normalizeSession).filter(Boolean);
+}
+
+function stuckAfter(agentName) {
+  const agent = CONFIG.agents.find(a => a.name === agentName);
+  return toMs(agent?.stuckAfter ?? CONFIG.sessions.stuckAfter);
+}
+
+function endSession(session, now, events) {
+  tracked.delete(session.id);
+  session.endedAt = now;
+  session.duration = session.startedAt !== null ? now - session.startedAt : null;
+  ended.push(session);
+  ended.splice(0, Math.max(0, ended.length - CONFIG.sessions.keepEnded));
+  const ran = session.duration !== null ? ` after ${Math.round(session.duration / 1000)}s` : '';
+  events.push({ type: 'session-ended', agent: session.agent, session: session.id, duration: session.duration, message: `Session ${session.id}${session.agent ? ` (${session.agent})` : ''} ended${ran}` });
+}
+
+/**
+ * Feed one `openclaw sessions list` result into the tracker.
+ * Returns the lifecycle events it caused: session-started, session-ended,
+ * and session-stuck the first time a session is found stuck.
+ */
+export function updateSessions(list, now = Date.now()) {
+  const seen = new Set();
+  const events = [];
+
+  for (const entry of listSessions(list)) {
+    seen.add(entry.id);
+    let session = tracked.get(entry.id);
+    if (!entry.active) {
+      if (session) endSession(session, entry.lastOutputAt ?? now, events);
+      continue;
+    }
+    if (!session) {
+      session = {
+        id: entry.id,
+        agent: entry.agent,
+        startedAt: entry.startedAt ?? now,
+        endedAt: null,
+        duration: null,
+        lastOutputAt: entry.lastOutputAt,
+        lastProgressAt: entry.lastOutputAt ?? now,
+        progress: entry.progress,
+        status: entry.status,
+        stuck: false,
+      };
+      tracked.set(entry.id, session);
+      events.push({ type: 'session-started', agent: session.agent, session: session.id, message: `Session ${session.id}${session.agent ? ` (${session.agent})` : ''} started` });
+    }
+
+    // Progress is new output, or the message/token count moving
+    const output = entry.lastOutputAt !== null && entry.lastOutputAt !== session.lastOutputAt;
+    const moved = entry.progress !== null && entry.progress !== session.progress;
+    if (output) session.lastProgressAt = Math.max(session.lastProgressAt, entry.lastOutputAt);
+    // Waiting for a message isn't being stuck
+    if (moved || entry.idle) session.lastProgressAt = now;
+    Object.assign(session, { agent: entry.agent ?? session.agent, status: entry.status, lastOutputAt: entry.lastOutputAt ?? session.lastOutputAt, progress: entry.progress });
+
+    const idle = now - session.lastProgressAt;
+    const stuck = idle >= stuckAfter(session.agent);
+    if (stuck && !session.stuck) {
+      events.push({ type: 'session-stuck', agent: session.agent, session: session.id, idle, message: `Session ${session.id}${session.agent ? ` (${session.agent})` : ''} has made no progress for ${Math.round(idle / 60000)}m` });
+    }
+    session.stuck = stuck;
+  }
+
+  // Sessions gone from the list have ended
+  for (const session of [...tracked.values()]) {
+    if (!seen.has(session.id)) endSession(session, now, events);
+  }
+  return events;
+}
+
+function describe(session, now) {
+  const iso = t => (t === null ? null : new Date(t).toISOString());
+  return {
+    id: session.id,
+    agent: session.agent,
+    status: session.status,
+    startedAt: iso(session.startedAt),
+    endedAt: iso(session.endedAt),
+    duration: session.endedAt !== null ? session.duration : now - session.startedAt,
+    lastOutputAt: iso(session.lastOutputAt),
+    lastProgressAt: iso(session.lastProgressAt),
+    progress: session.progress,
+    stuck: session.stuck,
+  };
+}
+
+/**
+ * Active sessions (optionally one agent's), for getStatus() and the state file.
+ */
+export function getActiveSessions(agentName = null, now = Date.now()) {
+  return [...tracked.values()]
+    .filter(session => !agentName || session.agent === agentName)
+    .map(session => describe(session, now));
+}
+
+export function getStuckSessions(agentName = null, now = Date.now()) {
+  return getActiveSessions(agentName, now).filter(session => session.stuck);
+}
+
+/**
+ * Recently ended sessions, newest first.
+ */
+export function getEndedSessions(limit = CONFIG.sessions.keepEnded) {
+  return ended.slice(-limit).reverse().map(session => describe(session));
+}
+
+/**
+ * Take back sessions saved as { active, ended } (getActiveSessions() and
+ * getEndedSessions() output), so lifecycles continue across restarts.
+ */
+export function restoreSessions(saved) {
+  const time = iso => (iso ? Date.parse(iso) : null);
+  const restore = entry => ({
+    id: entry.id,
+    agent: entry.agent,
+    startedAt: time(entry.startedAt),
+    endedAt: time(entry.endedAt),
+    duration: entry.endedAt ? entry.duration : null,
+    lastOutputAt: time(entry.lastOutputAt),
+    lastProgressAt: time(entry.lastProgressAt) ?? time(entry.startedAt),
+    progress: entry.progress ?? null,
+    status: entry.status,
+    stuck: Boolean(entry.stuck),
+  });
+  for (const entry of saved.active || []) tracked.set(entry.id, restore(entry));
+  // Saved newest first; kept oldest first
+  ended.push(...(saved.ended || []).map(restore).reverse());
+  ended.splice(0, Math.max(0, ended.length - CONFIG.sessions.keepEnded));
+}
+
+/**
+ * Validate the sessions config section. Returns a list of problems.
+ */
+export function validateSessions(config) {
+  const errors = [];
+  if (!((typeof config.stuckAfter === 'number' && config.stuckAfter > 0) || parseDuration(config.stuckAfter) > 0)) {
+    errors.push('stuckAfter must be seconds or a duration like "30m"');
+  }
+  if (typeof config.failOnStuck !== 'boolean') errors.push('failOnStuck must be true or false');
+  if (!Number.isInteger(config.keepEnded) || config.keepEnded < 0) errors.push('keepEnded must be an integer of at least 0');
+  return errors;
+}
@@ -0,0 +1,89 @@
+/**
+ * OpenClaw Activity Monitor - Stale Work Detection
+ *
+ * Finds work that is sitting around instead of landing:
+ * - Uncommitted changes older than staleWork.dirtyAge
+ * - Unpushed commits older than staleWork.unpushedAge
+ * - A detached HEAD, or a branch with no upstream
+ *
+ * Ages come from getRepoStatus(): dirtySince (first scan that found changes) and
+ * unpushed.oldest (commit date of the oldest commit no remote has).
+ */
+
+import { CONFIG, parseDuration, formatUptime } from './lib.js';
+
+function toMs(value) {
+  return typeof value === 'number' ? value * 1000 : parseDuration(value) ?? 0;
+}
+
+/**
+ * Effective policy for a repo: staleWork with the repo's own
+ * `staleWork` on top (discovered repos use the global one).
+ */
+export function getStalePolicy(repoName) {
+  const repo = CONFIG.repos.find(r => r.name === repoName);
+  return { ...CONFIG.staleWork, ...repo?.staleWork };
+}
+
+/**
+ * Stale-work findings for one getRepoStatus() result, as
+ * [{ kind, level, message, age? }]. Ages past their limit are warnings;
+ * a detached HEAD or missing upstream is informational.
+ */
+export function findStaleWork(repo, now = Date.now()) {
+  if (repo.error) return [];
+  const policy = getStalePolicy(repo.name);
+  const findings = [];
+
+  if (repo.uncommittedChanges > 0 && repo.dirtySince && policy.dirtyAge) {
+    const age = now - new Date(repo.dirtySince).getTime();
+    if (age > toMs(policy.dirtyAge)) {
+      findings.push({
+        kind: 'dirty',
+        level: 'warning',
+        age: Math.round(age / 1000),
+        message: `${repo.name}: ${repo.uncommittedChanges} uncommitted change${repo.uncommittedChanges === 1 ? '' : 's'}, oldest ${formatUptime(age / 1000)} old`,
+      });
+    }
+  }
+
+  if (repo.unpushed?.count > 0 && repo.unpushed.oldest && policy.unpushedAge) {
+    const age = now - new Date(repo.unpushed.oldest).getTime();
+    if (age > toMs(policy.unpushedAge)) {
+      findings.push({
+        kind: 'unpushed',
+        level: 'warning',
+        age: Math.round(age / 1000),
+        message: `${repo.name}: ${repo.unpushed.count} unpushed commit${repo.unpushed.count === 1 ? '' : 's'}, oldest ${formatUptime(age / 1000)} old`,
+      });
+    }
+  }
+
+  if (repo.detached && policy.detached) {
+    findings.push({ kind: 'detached', level: 'info', message: `${repo.name}: detached HEAD at ${repo.latestCommit?.shortHash}` });
+  } else if (repo.noUpstream && policy.noUpstream) {
+    findings.push({ kind: 'no-upstream', level: 'info', message: `${repo.name}: branch ${repo.branch} has no upstream` });
+  }
+
+  return findings;
+}
+
+/**
+ * Validate a staleWork object (global or per repo).
+ * Returns a list of problems; `partial` allows missing keys.
+ */
+export function validateStalePolicy(policy, partial = false) {
+  const errors = [];
+  const isAge = v => v === false || (typeof v === 'number' && v > 0) || (typeof v === 'string' && parseDuration(v) > 0);
+  const check = (key, ok, message) => {
+    if (policy[key] === undefined ? !partial : !ok(policy[key])) errors.push(`${key} ${message}`);
+  };
+  for (const key of Object.keys(policy)) {
+    if (!['dirtyAge', 'unpushedAge', 'detached', 'noUpstream'].includes(key)) errors.push(`unknown key "${key}"`);
+  }
+  check('dirtyAge', isAge, 'must be seconds, a duration like "1d", or false');
+  check('unpushedAge', isAge, 'must be seconds, a duration like "1d", or false');
+  check('detached', v => typeof v === 'boolean', 'must be true or false');
+  check('noUpstream', v => typeof v === 'boolean', 'must be true or false');
+  return errors;
+}
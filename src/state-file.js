@@ -0,0 +1,106 @@
+/**
+ * OpenClaw Activity Monitor - State File
+ *
+ * Reads and writes the daemon's state file (stateFile):
+ * - Written atomically: a temp file next to it, flushed, then renamed
+ *   over the old one, so a crash mid-write leaves the previous state intact
+ * - Carries a schema `version`; older files are migrated step by step on load
+ *
+ * What goes into the file and how it is restored is up to the daemon.
+ */
+
+import fs from 'fs/promises';
+import { CONFIG } from './lib.js';
+import { createRestartState } from './restart-policy.js';
+
+export const STATE_VERSION = 3;
+
+/**
+ * Migrations by the version they upgrade from; each returns the state
+ * at the next version. Files without a version are version 1.
+ */
+const MIGRATIONS = {
+  // 1 → 2: restart policy state per agent and for the gateway (until then
+  // only lastRestart was kept), and empty sections added since
+  1: saved => {
+    const agents = Object.fromEntries(Object.entries(saved.agents || {}).map(([name, agent]) => {
+      if (agent.restart) return [name, agent];
+      const restart = createRestartState();
+      const last = agent.lastRestart ? Date.parse(agent.lastRestart) : NaN;
+      if (Number.isFinite(last)) {
+        Object.assign(restart, { attempts: 1, restarts: [last], nextRestartAt: last + CONFIG.restartCooldown });
+      }
+      return [name, { ...agent, restart }];
+    }));
+    return {
+      ...saved,
+      agents,
+      gateway: { running: null, restart: createRestartState(), ...saved.gateway },
+      repos: saved.repos || {},
+      sessions: saved.sessions || { active: [], ended: [] },
+      logTail: saved.logTail || {},
+      fetch: saved.fetch || {},
+      alerts: { active: [], rules: [], ...saved.alerts },
+    };
+  },
+  // 2 → 3: HEAD last scanned for secrets per repo, which until then matched
+  // the HEAD in the saved repo snapshots
+  2: saved => ({
+    ...saved,
+    secretScan: Object.fromEntries(Object.values(saved.repos || {})
+      .filter(repo => repo.path && repo.latestCommit?.hash)
+      .map(repo => [repo.path, repo.latestCommit.hash])),
+  }),
+};
+
+/**
+ * Bring a parsed state file up to STATE_VERSION.
+ * Throws for files written by a newer version of the monitor.
+ */
+export function migrateState(saved) {
+  let version = saved.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) throw new Error(`Unknown state file version ${JSON.stringify(saved.version)}`);
+  if (version > STATE_VERSION) throw new Error(`State file version ${version} is newer than this monitor (${STATE_VERSION})`);
+  let state = saved;
+  for (; version < STATE_VERSION; version++) {
+    state = MIGRATIONS[version](state);
+  }
+  return { ...state, version };
+}
+
+/**
+ * Read and migrate the state file. Resolves to null when there is none;
+ * rejects when it can't be parsed or migrated.
+ */
+export async function readStateFile(file = CONFIG.stateFile) {
+  let data;
+  try {
+    data = await fs.readFile(file, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  const saved = JSON.parse(data);
+  if (!saved || typeof saved !== 'object' || Array.isArray(saved)) throw new Error('State file does not contain an object');
+  return migrateState(saved);
+}
+
+/**
+ * Write `data` as the state file, stamped with version and savedAt.
+ */
+export async function writeStateFile(data, file = CONFIG.stateFile) {
+  const temp = `${file}.${process.pid}.tmp`;
+  try {
+    const handle = await fs.open(temp, 'w');
+    try {
+      await handle.writeFile(JSON.stringify({ version: STATE_VERSION, savedAt: new Date().toISOString(), ...data }, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(temp, file);
+  } catch (error) {
+    await fs.rm(temp, { force: true });
+    throw error;
+  }
+}
@@ -5,13 +5,50 @@
 
 import { 
   checkGateway, 
-  checkAgentHealth, 
+  checkAgentHealth,
+  getRepoStatus,
+  restoreDirtySince,
+  discoverRepos,
+  getMonitoredRepos,
+  restartAgent,
+  canRestartAgentAlone,
+  planRecovery,
+  drainSessions, 
   getSystemPerformance,
   getAllRepoStatuses,
   CONFIG,
   formatBytes,
   formatUptime,
+  calculateCpuUsage,
+  getProcessStats,
+  getRecentLogs,
+  getAgentActivity,
 } from './lib.js';
+import { spawn, execSync } from 'child_process';
+import { validateConfig, mergeConfig, applyEnvOverrides, maskSecrets } from './config.js';
+import { startApiServer, stopApiServer } from './server.js';
+import { renderMetrics } from './metrics.js';
+import { recordSample, flushHistory, queryHistory, pruneHistory, summarizeSeries } from './history.js';
+import { updateAlerts, notifyEvent, getActiveAlerts, restoreAlerts } from './notifier.js';
+import { buildFacts, evaluateRules, getRuleStates, getBuiltinRules, parseExpression, validateRule } from './rules.js';
+import { fetchRepo, fetchDueRepos, getDueRepos, getFetchState, getSyncFreshness } from './fetcher.js';
+import { findStaleWork, validateStalePolicy } from './stale-work.js';
+import { getCommitActivity, classifyAuthor, validateCommitActivity } from './commit-activity.js';
+import { scanRepo, scanLines, isProtectedPath, describeFinding, validateSecretScan, getScanState, restoreScanState } from './secrets.js';
+import { pollLogs, parseLogLine, getLogRates, getLogAlerts, getRecentLogLines } from './log-tailer.js';
+import { updateSessions, getActiveSessions, getStuckSessions, getEndedSessions, normalizeSession, listSessions } from './sessions.js';
+import { STATE_VERSION, migrateState, readStateFile, writeStateFile } from './state-file.js';
+import { buildReport, renderReport } from './report.js';
+import { renderDashboard, statusFromState, createPerfSeries, formatCountdown } from './dashboard.js';
+import { verifyNewHeads, getUnverifiedRepos, readResults, summarizeResult, validateVerifyCommands } from './verifier.js';
+import { diffRepoSnapshots, recordEvents, readEvents, countRecentEvents } from './events.js';
+import { openIncident, closeIncident, listIncidents, getIncident, pruneIncidents } from './incidents.js';
+import { getRestartPolicy, createRestartState, recordHealth, decideRestart, recordRestart, describeRestartState } from './restart-policy.js';
+import http from 'http';
+import net from 'net';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 
 async function runTests() {
   console.log('🧪 Running Activity Monitor Tests\n');
@@ -94,10 +131,8 @@ async function runTests() {
   // Test 6: Config validation
   console.log('\nTest 6: Config validation...');
   try {
-    if (CONFIG.healthCheckInterval < 5000) throw new Error('Health check interval too short');
-    if (CONFIG.responseTimeout < 10000) throw new Error('Response timeout too short');
-    if (CONFIG.maxFailures < 1) throw new Error('Max failures must be at least 1');
-    if (CONFIG.repos.length === 0) throw new Error('No repos configured');
+    const errors = validateConfig(CONFIG);
+    if (errors.length) throw new Error(errors.join('; '));
     console.log(`  Health interval: ${CONFIG.healthCheckInterval}ms`);
     console.log(`  Response timeout: ${CONFIG.responseTimeout}ms`);
     console.log(`  Max failures: ${CONFIG.maxFailures}`);
@@ -109,6 +144,1183 @@ async function runTests() {
     failed++;
   }
   
+  // Test 7: Config loading
+  console.log('\nTest 7: Config merge, env overrides and validation...');
+  try {
+    const merged = mergeConfig(CONFIG, {
+      maxFailures: 5,
+      thresholds: { cpuWarning: 70 },
+      repos: [{ name: 'only', path: '/tmp/only' }],
+    });
+    if (merged.maxFailures !== 5) throw new Error('Scalar override not applied');
+    if (merged.thresholds.cpuWarning !== 70 || merged.thresholds.cpuCritical !== CONFIG.thresholds.cpuCritical) {
+      throw new Error('Nested thresholds not merged');
+    }
+    if (merged.repos.length !== 1) throw new Error('Repo list should be replaced, not appended');
+    
+    const env = applyEnvOverrides(merged, { OAM_HEALTH_CHECK_INTERVAL: '60000', OAM_THRESHOLDS_DISK_WARNING: '90' });
+    if (env.healthCheckInterval !== 60000 || env.thresholds.diskWarning !== 90) {
+      throw new Error('Env overrides not applied');
+    }
+    
+    const errors = validateConfig({ ...merged, maxFailures: 0, thresholds: { ...merged.thresholds, memoryWarning: 99 } });
+    if (errors.length !== 2) throw new Error(`Expected 2 validation errors, got: ${errors.join('; ')}`);
+    
+    const masked = maskSecrets(mergeConfig(merged, {
+      api: { token: 'tok' },
+      notifications: { channels: [{ type: 'email', user: 'me', pass: 'pw' }, { type: 'webhook', url: 'http://x', headers: { 'X-Token': 'h' } }] },
+    }));
+    const [email, hook] = masked.notifications.channels;
+    if (masked.api.token !== '***' || email.pass !== '***' || email.user !== 'me' || hook.headers['X-Token'] !== '***' || hook.url !== 'http://x') {
+      throw new Error(`Secrets not masked: ${JSON.stringify(masked.notifications)}`);
+    }
+    if (maskSecrets(CONFIG).api.token !== CONFIG.api.token) throw new Error('Unset token masked');
+    console.log(`  Rejected: ${errors.join('; ')}`);
+    console.log('  ✅ Config loading passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 8: Status API
+  console.log('\nTest 8: Status API...');
+  let server;
+  try {
+    server = await startApiServer({
+      getStatus: () => ({ monitor: { totalChecks: 1 } }),
+      getDetailedReport: () => '# Report',
+      getAgents: () => ({ main: { healthy: true } }),
+      getRepos: () => ({}),
+      getPerformance: () => null,
+      getHistory: () => [1, 2, 3],
+    }, { host: '127.0.0.1', port: 0, token: 'test-token' });
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const auth = { headers: { Authorization: 'Bearer test-token' } };
+    
+    if ((await fetch(`${base}/status`)).status !== 401) throw new Error('Missing token was accepted');
+    if ((await fetch(`${base}/health`)).status !== 200) throw new Error('/health should not need a token');
+    const status = await (await fetch(`${base}/status`, auth)).json();
+    if (status.monitor.totalChecks !== 1) throw new Error('Unexpected /status body');
+    if (!(await (await fetch(`${base}/agents/main`, auth)).json()).healthy) throw new Error('Unexpected /agents/main body');
+    if ((await fetch(`${base}/repos/missing`, auth)).status !== 404) throw new Error('Unknown repo should be 404');
+    for (const name of ['constructor', '__proto__', 'hasOwnProperty']) {
+      if ((await fetch(`${base}/agents/${name}`, auth)).status !== 404) throw new Error(`/agents/${name} should be 404`);
+    }
+    if ((await fetch(`${base}/repos/%E0%A4%A`, auth)).status !== 400) throw new Error('Malformed escape should be 400');
+    const history = await (await fetch(`${base}/performance/history?limit=2`, auth)).json();
+    if (history.join() !== '2,3') throw new Error('History limit not applied');
+    if ((await (await fetch(`${base}/report`, auth)).text()) !== '# Report') throw new Error('Unexpected /report body');
+    console.log('  ✅ Status API passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    await stopApiServer(server);
+  }
+  
+  // Test 9: Prometheus metrics
+  console.log('\nTest 9: Prometheus metrics...');
+  try {
+    const perf = await getSystemPerformance();
+    const text = renderMetrics({
+      performance: perf,
+      agents: [{ name: 'main', consecutiveFailures: 0, lastHealthy: new Date().toISOString(), totalChecks: 4, totalFailures: 1, totalRestarts: 1 }],
+      repos: [
+        { name: 'ok-repo', uncommittedChanges: 2, ahead: 1, behind: 0, latestCommit: { timestamp: new Date(Date.now() - 60000).toISOString() } },
+        { name: 'gone "repo"', error: 'Repository not found' },
+      ],
+      monitor: { startTime: Date.now() - 1000, totalChecks: 4, totalRestarts: 1 },
+    });
+    const expected = [
+      '# TYPE oam_cpu_usage_percent gauge',
+      'oam_load_average{period="5m"}',
+      'oam_agent_failures_total{agent="main"} 1',
+      'oam_repo_uncommitted_changes{repo="ok-repo"} 2',
+      'oam_repo_up{repo="gone \\"repo\\""} 0',
+    ];
+    for (const line of expected) {
+      if (!text.includes(line)) throw new Error(`Missing: ${line}`);
+    }
+    if ((text.match(/# TYPE oam_repo_up /g) || []).length !== 1) throw new Error('TYPE header repeated');
+    console.log(`  ${text.split('\n').filter(l => l && !l.startsWith('#')).length} samples rendered`);
+    console.log('  ✅ Prometheus metrics passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 10: Interval CPU usage
+  console.log('\nTest 10: Interval CPU usage...');
+  try {
+    const times = (user, system, idle, iowait, steal = 0) => ({ user, nice: 0, system, idle, iowait, irq: 0, softirq: 0, steal });
+    const prev = { total: times(1000, 500, 8000, 500), cores: [times(500, 250, 4000, 250), times(500, 250, 4000, 250)] };
+    // Core 0 fully busy, core 1 idle/iowait over the interval
+    const curr = { total: times(1100, 600, 8050, 550, 0), cores: [times(600, 350, 4000, 250), times(500, 250, 4050, 300)] };
+    const cpu = calculateCpuUsage(prev, curr);
+    if (cpu.usage !== 66.7) throw new Error(`Expected 66.7% usage, got ${cpu.usage}`);
+    if (cpu.breakdown.iowait !== 16.7) throw new Error(`Expected 16.7% iowait, got ${cpu.breakdown.iowait}`);
+    if (cpu.perCore.join() !== '100,0') throw new Error(`Unexpected per-core usage: ${cpu.perCore}`);
+    console.log(`  Usage: ${cpu.usage}%, per core: ${cpu.perCore.join('%, ')}%`);
+    console.log('  ✅ Interval CPU usage passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 11: Per-process stats
+  console.log('\nTest 11: Per-process stats...');
+  const savedAgents = CONFIG.agents;
+  // Double-fork so the process is not our child (the collector ignores its own children)
+  await new Promise(r => spawn('sh', ['-c', 'sleep 31.5 &'], { stdio: 'ignore' }).on('exit', r));
+  let sleeperPid = null;
+  try {
+    CONFIG.agents = [{ name: 'sleeper', command: 'sleep 31.5' }];
+    const stats = await getProcessStats();
+    if (!stats.supported) {
+      console.log('  ⚠️ /proc not available, skipped');
+    } else {
+      const proc = stats.processes.find(p => p.name === 'sleeper');
+      if (!proc?.running) throw new Error('Test process not found');
+      sleeperPid = proc.pids[0];
+      if (!(proc.rss > 0) || proc.threads < 1) throw new Error('Missing RSS/thread count');
+      console.log(`  sleeper: pid ${proc.pids}, RSS ${formatBytes(proc.rss)}, ${proc.threads} threads, ${proc.fds} fds`);
+    }
+    console.log('  ✅ Per-process stats passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    CONFIG.agents = savedAgents;
+    if (sleeperPid) process.kill(sleeperPid);
+  }
+  
+  // Test 12: Filesystem alerts
+  console.log('\nTest 12: Filesystem and inode alerts...');
+  const savedMounts = CONFIG.thresholds.mounts;
+  try {
+    const perf = await getSystemPerformance();
+    if (!perf.filesystems.length) throw new Error('No filesystems reported');
+    if (perf.filesystems.some(f => CONFIG.filesystems.excludeTypes.includes(f.type))) throw new Error('Excluded type reported');
+    
+    CONFIG.thresholds.mounts = { '/var': { diskWarning: 50 } };
+    const mount = (path, percent, inodes) => ({ mount: path, percent, inodes: { percent: inodes } });
+    // The built-in disk and inode rules, without their `for` duration
+    const rules = getBuiltinRules().filter(rule => ['disk', 'inodes'].includes(rule.group)).map(rule => ({ ...rule, for: 0 }));
+    const facts = buildFacts({ performance: {
+      cpu: { usage: 0 },
+      memory: { percent: 0 },
+      filesystems: [mount('/', 60, 10), mount('/var', 60, 96), mount('/boot', 99, null)],
+    } });
+    const alerts = evaluateRules(facts, Date.now(), rules);
+    evaluateRules(buildFacts(), Date.now(), rules);
+    const summary = alerts.map(a => `${a.level}:${a.type}:${a.mount}`).sort().join(',');
+    if (summary !== 'critical:disk:/boot,critical:inodes:/var,warning:disk:/var') {
+      throw new Error(`Unexpected alerts: ${summary}`);
+    }
+    console.log(`  Mounts: ${perf.filesystems.map(f => f.mount).join(', ')}`);
+    console.log('  ✅ Filesystem alerts passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    CONFIG.thresholds.mounts = savedMounts;
+  }
+  
+  // Test 13: Performance history store
+  console.log('\nTest 13: Performance history store...');
+  const savedHistory = CONFIG.history;
+  const historyDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oam-history-'));
+  try {
+    CONFIG.history = { ...savedHistory, dir: historyDir };
+    const perf = await getSystemPerformance();
+    const start = Date.now() - 3 * 3600000;
+    for (let i = 0; i < 360; i++) {
+      const timestamp = new Date(start + i * 30000).toISOString();
+      await recordSample({ ...perf, timestamp, cpu: { ...perf.cpu, usage: i % 100 } });
+    }
+    await flushHistory();
+    
+    const raw = await queryHistory({ since: start, metrics: ['cpu'] });
+    const cpu = summarizeSeries(raw.series.cpu);
+    if (raw.tier !== 'raw' || cpu.count !== 360) throw new Error(`Expected 360 raw points, got ${cpu?.count} from ${raw.tier}`);
+    if (cpu.min !== 0 || cpu.max !== 99) throw new Error(`Unexpected min/max: ${cpu.min}/${cpu.max}`);
+    
+    // A two-week range is served from the 1h rollup, which must agree on min/max
+    const rolled = await queryHistory({ since: Date.now() - 14 * 86400000, metrics: ['cpu'] });
+    const rolledCpu = summarizeSeries(rolled.series.cpu);
+    if (rolled.tier !== '1h' || rolledCpu.min !== 0 || rolledCpu.max !== 99) {
+      throw new Error(`Rollup mismatch in ${rolled.tier}: ${JSON.stringify(rolledCpu)}`);
+    }
+    
+    // Size cap removes old files but never today's
+    const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+    const oldFile = path.join(historyDir, '1h', `${yesterday}.jsonl`);
+    await fs.writeFile(oldFile, 'x'.repeat(1000));
+    CONFIG.history.maxBytes = 1;
+    const { removed } = await pruneHistory();
+    if (!removed.includes(oldFile)) throw new Error(`Unexpected prune result: ${removed}`);
+    console.log(`  ${cpu.count} raw points, ${rolledCpu.count} hourly points`);
+    console.log('  ✅ Performance history passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    CONFIG.history = savedHistory;
+    await fs.rm(historyDir, { recursive: true, force: true });
+  }
+  
+  // Test 14: Alert notifications
+  console.log('\nTest 14: Alert notifications...');
+  const savedNotifications = CONFIG.notifications;
+  const sinkDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oam-notify-'));
+  const webhooks = [];
+  const mails = [];
+  const webhookServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => { webhooks.push({ url: req.url, body: JSON.parse(body) }); res.end('ok'); });
+  });
+  // Minimal SMTP sink: accepts everything and records the DATA section and
+  // the commands; it has no STARTTLS and hangs up on QUIT without a reply
+  const smtpCommands = [];
+  const smtpServer = net.createServer(socket => {
+    let inData = false;
+    let data = '';
+    socket.write('220 sink ready\r\n');
+    socket.on('data', chunk => {
+      for (const line of chunk.toString().split('\r\n').filter((l, i, all) => i < all.length - 1 || l)) {
+        if (inData) {
+          if (line === '.') { inData = false; mails.push(data); socket.write('250 queued\r\n'); } else data += line + '\n';
+          continue;
+        }
+        smtpCommands.push(line);
+        if (line === 'DATA') { inData = true; socket.write('354 go ahead\r\n'); } else if (line === 'QUIT') { socket.destroy(); } else if (line === 'STARTTLS') { socket.write('454 TLS not available\r\n'); } else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  try {
+    await new Promise(r => webhookServer.listen(0, '127.0.0.1', r));
+    await new Promise(r => smtpServer.listen(0, '127.0.0.1', r));
+    const hookUrl = `http://127.0.0.1:${webhookServer.address().port}`;
+    const commandOut = path.join(sinkDir, 'alerts.jsonl');
+    CONFIG.notifications = {
+      repeatInterval: 3600,
+      channels: [
+        { type: 'webhook', url: `${hookUrl}/generic`, level: 'info' },
+        { type: 'slack', url: `${hookUrl}/slack`, level: 'critical' },
+        { type: 'email', host: '127.0.0.1', port: smtpServer.address().port, from: 'oam@localhost', to: 'ops@localhost' },
+        { type: 'command', command: `cat >> "${commandOut}"` },
+      ],
+    };
+    
+    const disk = { level: 'warning', type: 'disk', mount: '/', message: 'Disk / at 90%' };
+    const t0 = Date.now();
+    await updateAlerts('performance', [disk], t0);
+    const repeat = await updateAlerts('performance', [disk], t0 + 30000);
+    if (repeat.sent.length !== 0) throw new Error('Duplicate alert was re-sent');
+    const escalated = await updateAlerts('performance', [{ ...disk, level: 'critical', message: 'Disk / at 96%' }], t0 + 60000);
+    if (escalated.sent.length !== 1) throw new Error('Escalation not sent');
+    // Another source's update must not resolve the disk alert
+    await updateAlerts('agents', [], t0 + 60000);
+    const resolved = await updateAlerts('performance', [], t0 + 90000);
+    if (resolved.sent[0]?.status !== 'resolved') throw new Error('Resolution not sent');
+    const failures = [...escalated.failures, ...resolved.failures, ...await notifyEvent({ level: 'critical', type: 'restart', message: 'restarted' })];
+    if (failures.length) throw new Error(`Delivery failed: ${JSON.stringify(failures)}`);
+    
+    const generic = webhooks.filter(w => w.url === '/generic').map(w => `${w.body.status}:${w.body.alert.level}`);
+    if (generic.join() !== 'firing:warning,firing:critical,resolved:critical,event:critical') throw new Error(`Webhook got ${generic}`);
+    const slack = webhooks.filter(w => w.url === '/slack');
+    if (slack.length !== 3 || !slack[0].body.text.includes('Disk / at 96%')) throw new Error('Slack level filter or payload wrong');
+    const subject = mails[0]?.match(/^Subject: (.*(?:\n .*)*)/m)?.[1].split('\n ').map(word => Buffer.from(word.match(/^=\?UTF-8\?B\?(.*)\?=$/)[1], 'base64')).join('');
+    if (mails.length !== 4 || subject !== '⚠️ [WARNING] Disk / at 90%') throw new Error(`Unexpected mail: ${mails[0]}`);
+    
+    
+    // Without TLS a login waits for STARTTLS, and is never sent when that fails
+    CONFIG.notifications = { ...CONFIG.notifications, channels: [{ type: 'email', host: '127.0.0.1', port: smtpServer.address().port, from: 'oam@localhost', to: 'ops@localhost', user: 'oam', pass: 'secret' }] };
+    const login = await notifyEvent({ level: 'critical', type: 'restart', message: 'restarted' });
+    if (!login[0]?.error.includes('STARTTLS') || smtpCommands.some(line => line.startsWith('AUTH'))) throw new Error(`Login over plaintext: ${JSON.stringify(login)}`);
+    const commandLines = (await fs.readFile(commandOut, 'utf-8')).trim().split('\n').map(JSON.parse);
+    if (commandLines.length !== 4 || commandLines[2].status !== 'resolved') throw new Error('Command channel did not get every alert');
+    console.log(`  ${webhooks.length} webhooks, ${mails.length} emails, ${commandLines.length} command runs`);
+    console.log('  ✅ Alert notifications passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    CONFIG.notifications = savedNotifications;
+    webhookServer.close();
+    smtpServer.close();
+    await fs.rm(sinkDir, { recursive: true, force: true });
+  }
+  
+  // Test 15: Alert rules
+  console.log('\nTest 15: Alert rules...');
+  try {
+    const rules = [
+      { name: 'hot-cpu', metric: 'cpu.usage', op: '>', threshold: 90, clear: 80, for: '2m', severity: 'warning' },
+      { name: 'iowait-storm', expr: 'cpu.usage > 50 && cpu.breakdown.iowait >= 30', severity: 'critical' },
+      { name: 'agent-flapping', metric: 'agent.consecutiveFailures', op: '>=', threshold: 2, severity: 'critical' },
+    ];
+    const facts = (usage, iowait, failures) => buildFacts({
+      performance: { cpu: { usage, breakdown: { iowait } }, memory: { percent: 10 }, filesystems: [] },
+      agents: [{ name: 'main', consecutiveFailures: failures }, { name: 'other', consecutiveFailures: 0 }],
+    });
+    const fire = (f, t) => evaluateRules(f, t, rules).map(a => `${a.rule}${a.instance ? `@${a.instance}` : ''}`).sort().join(',');
+    const t0 = Date.now();
+    
+    if (fire(facts(95, 0, 0), t0) !== '') throw new Error('Fired before the "for" duration');
+    if (getRuleStates().find(r => r.rule === 'hot-cpu')?.state !== 'pending') throw new Error('Expected pending state');
+    if (fire(facts(95, 0, 0), t0 + 60000) !== '') throw new Error('Fired after 1 of 2 minutes');
+    if (fire(facts(95, 40, 2), t0 + 120000) !== 'agent-flapping@main,hot-cpu,iowait-storm') throw new Error('Expected all rules firing');
+    // 85% is below the threshold but above the clear level: still firing (hysteresis)
+    if (!fire(facts(85, 0, 0), t0 + 150000).includes('hot-cpu')) throw new Error('Cleared without passing the clear threshold');
+    if (fire(facts(79, 0, 0), t0 + 180000) !== '') throw new Error('Did not clear below the clear threshold');
+    if (getRuleStates().find(r => r.rule === 'hot-cpu')?.state !== 'resolved') throw new Error('Expected resolved state');
+    // A dip below threshold resets pending
+    fire(facts(95, 0, 0), t0 + 200000);
+    fire(facts(50, 0, 0), t0 + 260000);
+    if (fire(facts(95, 0, 0), t0 + 330000) !== '') throw new Error('Pending timer survived a dip');
+    
+    if (!validateRule({ name: 'bad', expr: 'cpu.usage > && 1', severity: 'warning' }).length) throw new Error('Bad expression accepted');
+    if (!validateRule({ name: 'mixed', expr: 'agent.healthy == 0 && repo.behind > 1', severity: 'warning' }).length) throw new Error('Mixed scopes accepted');
+    parseExpression('(load.a + 1) * 2 >= -3 || !x');
+    console.log('  ✅ Alert rules passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 16: Agent probes
+  console.log('\nTest 16: Agent probes...');
+  const savedProbeAgents = CONFIG.agents;
+  const probeServer = http.createServer((req, res) => res.end(req.url === '/ok' ? 'pong' : 'nope'));
+  try {
+    await new Promise(r => probeServer.listen(0, '127.0.0.1', r));
+    const port = probeServer.address().port;
+    CONFIG.agents = [
+      {
+        name: 'good',
+        command: 'echo',
+        probes: [
+          { type: 'command', command: 'sleep 0.2; echo pong {prompt}', expect: 'pong' },
+          { type: 'http', url: `http://127.0.0.1:${port}/ok`, expect: 'PONG' },
+          { type: 'tcp', port },
+          { type: 'log', path: './package.json', maxAge: 10 * 365 * 86400 },
+        ],
+      },
+      { name: 'slow', command: 'sleep 0.2; echo', latencyWarning: 50, probes: [{ type: 'command', prompt: 'hi' }] },
+      { name: 'bad', command: 'true', probes: [{ type: 'command', timeout: 5000 }, { type: 'log', path: './package.json', maxAge: '1s' }] },
+    ];
+    const good = await checkAgentHealth('good');
+    if (good.state !== 'healthy') throw new Error(`good: ${good.error}`);
+    if (!(good.latency >= 200)) throw new Error(`Latency not measured: ${good.latency}`);
+    const slow = await checkAgentHealth('slow');
+    if (slow.state !== 'degraded') throw new Error(`slow agent is ${slow.state}`);
+    const bad = await checkAgentHealth('bad');
+    if (bad.state !== 'unhealthy' || bad.probes.filter(p => !p.ok).length !== 2) throw new Error(`bad agent: ${JSON.stringify(bad.probes)}`);
+    console.log(`  good: ${good.latency}ms, slow: ${slow.state}, bad: ${bad.error}`);
+    console.log('  ✅ Agent probes passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    CONFIG.agents = savedProbeAgents;
+    probeServer.close();
+  }
+  
+  // Test 17: Restart policy
+  console.log('\nTest 17: Restart policy...');
+  try {
+    const policy = getRestartPolicy({ restartPolicy: { maxRestarts: 3, window: '1h', maxBackoff: 30, resetAfter: '10m' } });
+    const restart = createRestartState();
+    let now = 0;
+    const delays = [];
+    // Fail continuously, restarting as soon as the policy allows
+    let decision;
+    while ((decision = decideRestart(restart, policy, now)).action !== 'trip') {
+      if (decision.action === 'restart') {
+        recordRestart(restart, policy, now);
+        delays.push(restart.nextRestartAt - now);
+      }
+      recordHealth(restart, false, policy, now);
+      now += 1000;
+    }
+    if (delays.join() !== '10000,20000,30000') throw new Error(`Unexpected backoff: ${delays}`);
+    if (decideRestart(restart, policy, now + 7200000).action !== 'blocked') throw new Error('Open circuit allowed a restart');
+    if (describeRestartState(restart, policy, now).state !== 'gave-up') throw new Error('Circuit not reported');
+    if (validateConfig(mergeConfig(CONFIG, { restartPolicy: { maxRestarts: 0 } })).length !== 1) throw new Error('Bad maxRestarts accepted');
+    if (!validateConfig(mergeConfig(CONFIG, { gateway: { restartPolicy: { window: 'soon' } } })).length) throw new Error('Bad gateway policy accepted');
+    
+    // Healthy for less than resetAfter keeps it open, sustained health closes it
+    recordHealth(restart, true, policy, now);
+    if (recordHealth(restart, true, policy, now + 300000) || restart.circuit !== 'open') throw new Error('Circuit closed too early');
+    if (!recordHealth(restart, true, policy, now + 600000)) throw new Error('Circuit did not close');
+    if (decideRestart(restart, policy, now + 600000).action !== 'restart') throw new Error('Restarts not re-enabled');
+    console.log(`  Backoff: ${delays.map(d => `${d / 1000}s`).join(', ')}, then circuit open until healthy for 10m`);
+    console.log('  ✅ Restart policy passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  }
+  
+  // Test 18: Agent-scoped restarts
+  console.log('\nTest 18: Agent-scoped restarts...');
+  const savedRestartAgents = CONFIG.agents;
+  const restartDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oam-restart-'));
+  try {
+    const marker = path.join(restartDir, 'calls');
+    CONFIG.agents = [
+      { name: 'solo', command: 'echo', stopCommand: `echo stop {name} >> ${marker}`, startCommand: `echo start {name} >> ${marker}`, drainTimeout: '1s' },
+      { name: 'shared', command: 'echo' },
+    ];
+    if (!canRestartAgentAlone(CONFIG.agents[0]) || canRestartAgentAlone(CONFIG.agents[1])) throw new Error('Wrong restart scope');
+    const drain = await drainSessions('solo', '1s', 100);
+    if (!drain.drained || drain.waited > 1500) throw new Error(`Drain failed after ${drain.waited}ms`);
+    if (!await restartAgent('solo')) throw new Error('Agent restart failed');
+    if (await restartAgent('shared') !== false) throw new Error('Agent without restart commands was restarted');
+    const calls = (await fs.readFile(marker, 'utf-8')).trim().split('\n');
+    if (calls.join('|') !== 'stop solo|start solo') throw new Error(`Unexpected commands: ${calls}`);
+    
+    // Recovery plan: alone when possible, the gateway when several agents or all of them are down
+    const names = plan => JSON.stringify({ gateway: plan.gateway, alone: plan.alone.map(a => a.name), stranded: plan.stranded.map(a => a.name) });
+    const [solo, shared] = CONFIG.agents;
+    if (names(planRecovery([solo])) !== '{"gateway":false,"alone":["solo"],"stranded":[]}') throw new Error(`Plan for solo: ${names(planRecovery([solo]))}`);
+    if (names(planRecovery([shared])) !== '{"gateway":false,"alone":[],"stranded":["shared"]}') throw new Error(`Plan for shared: ${names(planRecovery([shared]))}`);
+    if (!planRecovery([solo, shared]).gateway) throw new Error('Two failing agents not escalated');
+    // The default config: one agent without restart commands
+    const defaults = [{ name: 'main', command: 'openclaw agent --agent main' }];
+    if (!planRecovery(defaults, defaults).gateway) throw new Error('Default single agent not recovered through the gateway');
+    if (planRecovery([solo], [solo]).gateway) throw new Error('Single agent with restart commands escalated');
+    
+    const problems = validateConfig(mergeConfig(CONFIG, { agents: [{ name: 'x', command: 'echo', stopCommand: 'true', drainTimeout: 'later' }] }));
+    if (problems.length !== 2) throw new Error(`Expected 2 problems: ${problems}`);
+    console.log(`  Ran: ${calls.join(', ')} (drain waited ${drain.waited}ms)`);
+    console.log('  ✅ Agent-scoped restarts passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    CONFIG.agents = savedRestartAgents;
+    await fs.rm(restartDir, { recursive: true, force: true });
+  }
+  
+  // Test 19: Incident records
+  console.log('\nTest 19: Incident records...');
+  const savedIncidents = CONFIG.incidents;
+  CONFIG.incidents = { ...savedIncidents, dir: await fs.mkdtemp(path.join(os.tmpdir(), 'oam-incidents-')) };
+  try {
+    const probes = { main: [{ type: 'status', ok: false, error: 'not running' }] };
+    const first = await openIncident({ target: 'main', scope: 'agent', reason: '3 consecutive failed health checks', probes, attempt: 1, performance: await getSystemPerformance() });
+    if ((await listIncidents())[0]?.outcome !== 'in-progress') throw new Error('Open incident not written');
+    await closeIncident(first, 'failed');
+    if (!first.snapshot.performance?.cpu || !Array.isArray(first.snapshot.topProcesses) || !first.snapshot.topProcesses.length) {
+      throw new Error('Snapshot incomplete');
+    }
+    
+    await new Promise(r => setTimeout(r, 5));
+    const second = await closeIncident(await openIncident({ target: 'gateway', scope: 'gateway', reason: 'Gateway not running' }), 'restarted');
+    const list = await listIncidents();
+    if (list.map(i => i.id).join() !== [second.id, first.id].join()) throw new Error('Wrong listing order');
+    if ((await listIncidents({ target: 'main' })).length !== 1) throw new Error('Target filter failed');
+    const shown = await getIncident(first.id.slice(0, -3));
+    if (shown?.probes.main[0].error !== 'not running' || shown.outcome !== 'failed') throw new Error('Prefix lookup failed');
+    
+    const removed = await pruneIncidents({ olderThan: 0, keep: 1 });
+    if (removed.join() !== first.id || (await listIncidents()).length !== 1) throw new Error('Prune by count failed');
+    if ((await pruneIncidents({ olderThan: 1000, now: Date.now() + 2000 })).length !== 1) throw new Error('Prune by age failed');
+    console.log(`  Recorded ${list.length} incidents, snapshot with ${first.snapshot.topProcesses.length} processes`);
+    console.log('  ✅ Incident records passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    await fs.rm(CONFIG.incidents.dir, { recursive: true, force: true });
+    CONFIG.incidents = savedIncidents;
+  }
+  
+  // Test 20: Repo discovery
+  console.log('\nTest 20: Repo discovery...');
+  const savedDiscovery = CONFIG.discovery;
+  const savedRepos = CONFIG.repos;
+  const discoveryRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'oam-discover-'));
+  try {
+    const makeDir = async (rel, gitFile) => {
+      const dir = path.join(discoveryRoot, rel);
+      await fs.mkdir(gitFile ? dir : path.join(dir, '.git'), { recursive: true });
+      if (gitFile) await fs.writeFile(path.join(dir, '.git'), gitFile);
+    };
+    await makeDir('alpha');
+    await makeDir('group/beta');
+    await makeDir('alpha/libs/inner');
+    await makeDir('alpha/sub', 'gitdir: ../.git/modules/sub\n');
+    await makeDir('node_modules/pkg');
+    await makeDir('scratch/tmp-1');
+    await makeDir('a/b/c/too-deep');
+    await fs.symlink(path.join(discoveryRoot, 'alpha'), path.join(discoveryRoot, 'link'));
+    
+    const base = { roots: [discoveryRoot], maxDepth: 3, ignore: ['node_modules', 'scratch/tmp-*'], submodules: false, nested: false };
+    const names = async options => (await discoverRepos({ ...base, ...options })).map(r => r.name).sort().join(',');
+    if (await names() !== 'alpha,group/beta') throw new Error(`Top-level only: ${await names()}`);
+    if (await names({ submodules: true }) !== 'alpha,alpha/sub,group/beta') throw new Error(`With submodules: ${await names({ submodules: true })}`);
+    if (await names({ nested: true }) !== 'alpha,alpha/libs/inner,group/beta') throw new Error(`With nested: ${await names({ nested: true })}`);
+    if (await names({ maxDepth: 4 }) !== 'a/b/c/too-deep,alpha,group/beta') throw new Error(`Depth 4: ${await names({ maxDepth: 4 })}`);
+    
+    // Explicit entries win; clashing names get the root prefix
+    CONFIG.discovery = base;
+    CONFIG.repos = [{ name: 'mine', path: path.join(discoveryRoot, 'alpha') }, { name: 'group/beta', path: '/nonexistent' }];
+    const merged = (await getMonitoredRepos()).map(r => r.name).join(',');
+    if (merged !== `mine,group/beta,${path.basename(discoveryRoot)}/group/beta`) throw new Error(`Merged: ${merged}`);
+    if (!validateConfig(mergeConfig(CONFIG, { repos: [], discovery: { maxDepth: -1 } })).some(e => e.includes('maxDepth'))) throw new Error('Bad maxDepth accepted');
+    if (validateConfig(mergeConfig(CONFIG, { repos: [] })).length) throw new Error('Discovery-only config rejected');
+    console.log(`  Discovered and merged: ${merged}`);
+    console.log('  ✅ Repo discovery passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    CONFIG.discovery = savedDiscovery;
+    CONFIG.repos = savedRepos;
+    await fs.rm(discoveryRoot, { recursive: true, force: true });
+  }
+  
+  // Test 21: Repo change events
+  console.log('\nTest 21: Repo change events...');
+  const savedEvents = CONFIG.events;
+  const eventsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oam-events-'));
+  CONFIG.events = { ...savedEvents, file: path.join(eventsDir, 'events.jsonl') };
+  try {
+    const env = { ...process.env, GIT_AUTHOR_NAME: 'Tester', GIT_AUTHOR_EMAIL: 't@example.com', GIT_COMMITTER_NAME: 'Tester', GIT_COMMITTER_EMAIL: 't@example.com' };
+    const sh = (cwd, command) => execSync(command, { cwd, env, stdio: 'pipe' }).toString();
+    const upstream = path.join(eventsDir, 'upstream');
+    const clone = path.join(eventsDir, 'clone');
+    const other = path.join(eventsDir, 'other');
+    sh(eventsDir, 'git init -q -b main seed && git -C seed commit -q --allow-empty -m first && git clone -q --bare seed upstream');
+    sh(eventsDir, 'git clone -q upstream clone && git clone -q upstream other');
+    const repo = { name: 'demo', path: clone };
+    const types = async (before, after) => (await diffRepoSnapshots(before, after)).map(e => e.type).sort().join(',');
+    
+    let before = await getRepoStatus(repo);
+    sh(clone, 'git commit -q --allow-empty -m "second one" && git commit -q --allow-empty -m third && touch new.txt');
+    let after = await getRepoStatus(repo);
+    const commitEvents = await diffRepoSnapshots(before, after);
+    if (commitEvents.map(e => e.type).sort().join() !== 'dirty,new-commits') throw new Error(`Commits: ${commitEvents.map(e => e.type)}`);
+    const newCommits = commitEvents.find(e => e.type === 'new-commits');
+    if (newCommits.count !== 2 || newCommits.commits[0].subject !== 'third' || newCommits.commits[0].author !== 'Tester') throw new Error('Commit details wrong');
+    
+    before = after;
+    sh(clone, 'rm new.txt && git commit -q --amend --allow-empty -m rewritten');
+    after = await getRepoStatus(repo);
+    if (await types(before, after) !== 'clean,history-rewritten') throw new Error(`Rewrite: ${await types(before, after)}`);
+    
+    before = after;
+    sh(clone, 'git checkout -q -b feature');
+    after = await getRepoStatus(repo);
+    if (await types(before, after) !== 'branch-switched') throw new Error(`Switch: ${await types(before, after)}`);
+    
+    // Someone force-pushes main under our local commits; we see it after a fetch
+    sh(clone, 'git checkout -q main');
+    before = await getRepoStatus(repo);
+    sh(other, 'git commit -q --amend --allow-empty -m replaced && git push -q -f origin main');
+    sh(clone, 'git fetch -q');
+    after = await getRepoStatus(repo);
+    if (await types(before, after) !== 'diverged,force-pushed') throw new Error(`Force push: ${await types(before, after)}`);
+    
+    await recordEvents(commitEvents);
+    const logged = await readEvents({ repo: 'demo' });
+    if (logged.length !== 2 || logged[0].level !== 'info' || !logged[0].timestamp) throw new Error('Event log not written');
+    if (countRecentEvents('demo').newCommits !== 1 || countRecentEvents('demo').forcePushed !== 0) throw new Error('Event counts wrong');
+    console.log(`  ${newCommits.message}`);
+    console.log('  ✅ Repo change events passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    CONFIG.events = savedEvents;
+    await fs.rm(eventsDir, { recursive: true, force: true });
+  }
+  
+  // Test 22: Background fetch
+  console.log('\nTest 22: Background fetch...');
+  const fetchDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oam-fetch-'));
+  try {
+    const env = { ...process.env, GIT_AUTHOR_NAME: 'Tester', GIT_AUTHOR_EMAIL: 't@example.com', GIT_COMMITTER_NAME: 'Tester', GIT_COMMITTER_EMAIL: 't@example.com' };
+    const sh = command => execSync(command, { cwd: fetchDir, env, stdio: 'pipe' }).toString();
+    sh('git init -q -b main seed && git -C seed commit -q --allow-empty -m first && git clone -q --bare seed upstream');
+    sh('git clone -q upstream mine && git clone -q upstream theirs && git clone -q upstream broken');
+    sh('git -C theirs commit -q --allow-empty -m ahead-of-you && git -C theirs push -q origin main');
+    sh('git -C broken remote set-url origin /nonexistent/repo.git');
+    
+    const mine = await getRepoStatus({ name: 'mine', path: path.join(fetchDir, 'mine') });
+    const broken = await getRepoStatus({ name: 'broken', path: path.join(fetchDir, 'broken') });
+    if (mine.behind !== 0) throw new Error('Behind before fetch');
+    const results = await fetchDueRepos([mine, broken]);
+    const after = await getRepoStatus({ name: 'mine', path: path.join(fetchDir, 'mine') });
+    if (after.behind !== 1 || !after.lastFetch) throw new Error(`After fetch: behind ${after.behind}, lastFetch ${after.lastFetch}`);
+    if (results.find(r => r.name === 'mine')?.ok !== true || results.find(r => r.name === 'broken')?.ok !== false) throw new Error('Wrong fetch results');
+    if (getDueRepos([after, broken]).length) throw new Error('Repos due again right after fetching');
+    if (getDueRepos([after], Date.now() + 16 * 60000).length !== 1) throw new Error('Repo not due after the interval');
+    
+    const fetches = getFetchState();
+    if (getSyncFreshness(after, fetches.mine).stale) throw new Error('Fresh repo marked stale');
+    if (!getSyncFreshness(broken, fetches.broken).reason?.startsWith('fetch failing')) throw new Error('Failing fetch not reported');
+    if (!getSyncFreshness(after, null, Date.now() + 2 * 3600000).stale) throw new Error('Old fetch not stale');
+    
+    // A repo's own core.sshCommand is kept, with batch mode added to it
+    const savedSsh = process.env.GIT_SSH_COMMAND;
+    delete process.env.GIT_SSH_COMMAND;
+    try {
+      sh('git clone -q upstream keyed && git -C keyed remote set-url origin ssh://example.invalid/repo.git');
+      sh(`git -C keyed config core.sshCommand "sh ${path.join(fetchDir, 'ssh.sh')} --key"`);
+      await fs.writeFile(path.join(fetchDir, 'ssh.sh'), `echo "$@" >> ${path.join(fetchDir, 'ssh.log')}; exit 1\n`);
+      const keyed = await fetchRepo(path.join(fetchDir, 'keyed'));
+      const sshLog = await fs.readFile(path.join(fetchDir, 'ssh.log'), 'utf8');
+      if (keyed.ok || !/--key .*-o BatchMode=yes/.test(sshLog)) throw new Error(`Repo ssh command not extended: ${sshLog}`);
+    } finally {
+      if (savedSsh !== undefined) process.env.GIT_SSH_COMMAND = savedSsh;
+    }
+    console.log(`  mine: ↓${after.behind} after fetch, broken: ${fetches.broken.lastError}`);
+    console.log('  ✅ Background fetch passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    await fs.rm(fetchDir, { recursive: true, force: true });
+  }
+  
+  // Test 23: Stale work
+  console.log('\nTest 23: Stale work...');
+  const staleDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oam-stale-'));
+  const savedStaleRepos = CONFIG.repos;
+  try {
+    const env = { ...process.env, GIT_AUTHOR_NAME: 'Tester', GIT_AUTHOR_EMAIL: 't@example.com', GIT_COMMITTER_NAME: 'Tester', GIT_COMMITTER_EMAIL: 't@example.com' };
+    const sh = command => execSync(command, { cwd: staleDir, env, stdio: 'pipe' }).toString();
+    const threeDaysAgo = new Date(Date.now() - 3 * 86400000);
+    sh('git init -q -b main seed && git -C seed commit -q --allow-empty -m first && git clone -q --bare seed upstream');
+    sh('git clone -q upstream work && echo draft > work/notes.txt');
+    sh(`GIT_COMMITTER_DATE=${threeDaysAgo.toISOString()} git -C work commit -q --allow-empty -m "old local work"`);
+    sh('git clone -q upstream detached && git -C detached checkout -q --detach HEAD');
+    
+    // Dirty since the first scan that saw it, kept while it stays dirty (also
+    // with only deletions), forgotten once clean; the daemon restores it on restart
+    const deletions = path.join(staleDir, 'seed');
+    sh('echo x > seed/gone.txt && git -C seed add gone.txt && git -C seed commit -q -m gone && rm seed/gone.txt');
+    const firstSeen = (await getRepoStatus({ name: 'seed', path: deletions })).dirtySince;
+    await new Promise(r => setTimeout(r, 20));
+    if (!firstSeen || (await getRepoStatus({ name: 'seed', path: deletions })).dirtySince !== firstSeen) throw new Error('Dirty age not kept');
+    sh('git -C seed checkout -q -- gone.txt');
+    if ((await getRepoStatus({ name: 'seed', path: deletions })).dirtySince !== null) throw new Error('Clean tree still dirty');
+    restoreDirtySince([{ path: path.join(staleDir, 'work'), dirtySince: threeDaysAgo.toISOString() }]);
+    
+    const work = await getRepoStatus({ name: 'work', path: path.join(staleDir, 'work') });
+    if (work.unpushed?.count !== 1 || Math.abs(new Date(work.dirtySince) - threeDaysAgo) > 2000) throw new Error(`Ages not read: ${JSON.stringify({ unpushed: work.unpushed, dirtySince: work.dirtySince })}`);
+    const kinds = findStaleWork(work).map(f => `${f.kind}:${f.level}`).sort().join();
+    if (kinds !== 'dirty:warning,unpushed:warning') throw new Error(`Findings: ${kinds}`);
+    
+    // Per-repo policy: a longer limit and no dirty check
+    CONFIG.repos = [{ name: 'work', path: work.path, staleWork: { dirtyAge: false, unpushedAge: '1w' } }];
+    if (findStaleWork(work).length) throw new Error('Per-repo policy ignored');
+    
+    const detached = await getRepoStatus({ name: 'detached', path: path.join(staleDir, 'detached') });
+    if (!detached.detached || findStaleWork(detached).map(f => f.kind).join() !== 'detached') throw new Error('Detached HEAD not flagged');
+    if (!validateStalePolicy({ dirtyAge: 'soon', extra: 1 }, true).length) throw new Error('Bad policy accepted');
+    const facts = buildFacts({ repos: [work] });
+    if (facts.instances.repo.work.unpushed !== 1 || facts.instances.repo.work.secondsDirty < 2 * 86400) throw new Error('Rule facts missing');
+    console.log(`  ${findStaleWork(detached)[0].message}`);
+    console.log('  ✅ Stale work passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    CONFIG.repos = savedStaleRepos;
+    await fs.rm(staleDir, { recursive: true, force: true });
+  }
+  
+  // Test 24: Commit activity
+  console.log('\nTest 24: Commit activity...');
+  const activityDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oam-activity-'));
+  const savedCommitActivity = CONFIG.commitActivity;
+  CONFIG.commitActivity = { ...savedCommitActivity, authors: { '*@bots.example.com': 'agent' } };
+  try {
+    const commit = (who, email, date, files) => {
+      for (const [file, content] of Object.entries(files)) execSync(`printf '${content}' > ${file}`, { cwd: activityDir });
+      execSync(`git add -A && git commit -q -m "work by ${who}"`, {
+        cwd: activityDir,
+        env: { ...process.env, GIT_AUTHOR_NAME: who, GIT_AUTHOR_EMAIL: email, GIT_COMMITTER_NAME: who, GIT_COMMITTER_EMAIL: email, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date },
+        stdio: 'pipe',
+      });
+    };
+    execSync('git init -q -b main', { cwd: activityDir });
+    commit('Old Timer', 'old@example.com', '2026-01-01T12:00:00Z', { 'old.txt': 'a\\n' });
+    commit('Agent K', 'k@bots.example.com', '2026-03-02T10:00:00Z', { 'a.txt': 'one\\ntwo\\nthree\\n', 'b.txt': 'x\\n' });
+    commit('Agent K', 'k@bots.example.com', '2026-03-03T10:00:00Z', { 'a.txt': 'one\\n' });
+    commit('Dana', 'dana@example.com', '2026-03-03T15:00:00Z', { 'c.txt': 'hello\\n' });
+    
+    if (classifyAuthor('Agent K', 'K@BOTS.example.com') !== 'agent' || classifyAuthor('Dana', 'dana@example.com') !== 'human') throw new Error('Author mapping wrong');
+    const repos = [{ name: 'demo', path: activityDir }, { name: 'gone', error: 'Path does not exist' }];
+    const activity = await getCommitActivity({ repos, since: Date.parse('2026-03-01T00:00:00Z'), until: Date.parse('2026-03-10T00:00:00Z') });
+    if (activity.totals.commits !== 3 || activity.totals.authors !== 2) throw new Error(`Totals: ${JSON.stringify(activity.totals)}`);
+    const agent = activity.byAuthor[0];
+    if (agent.name !== 'Agent K' || agent.kind !== 'agent' || agent.commits !== 2 || agent.filesChanged !== 3 || agent.additions !== 4 || agent.deletions !== 2) {
+      throw new Error(`Agent stats: ${JSON.stringify(agent)}`);
+    }
+    if (activity.byKind.human.commits !== 1 || activity.byKind.human.additions !== 1) throw new Error('Human stats wrong');
+    if (activity.byDay.length !== 2 || activity.byDay[1].agentCommits !== 1 || activity.byDay[1].humanCommits !== 1) throw new Error(`Days: ${JSON.stringify(activity.byDay)}`);
+    if (activity.byRepo[0].agentCommits !== 2 || activity.errors[0]?.repo !== 'gone') throw new Error('Repo stats or errors wrong');
+    const humans = await getCommitActivity({ repos, since: 0, kind: 'human' });
+    if (humans.totals.commits !== 2 || humans.byAuthor.some(a => a.kind !== 'human')) throw new Error('Kind filter wrong');
+    if (!validateCommitActivity({ authors: { x: 'robot' }, defaultKind: 'human', range: '7d', maxCommits: 10 }).length) throw new Error('Bad author kind accepted');
+    console.log(`  Agent K: ${agent.commits} commits, +${agent.additions} −${agent.deletions}; humans: ${activity.byKind.human.commits}`);
+    console.log('  ✅ Commit activity passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    CONFIG.commitActivity = savedCommitActivity;
+    await fs.rm(activityDir, { recursive: true, force: true });
+  }
+  
+  // Test 25: Commit verification
+  console.log('\nTest 25: Commit verification...');
+  const verifyDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oam-verify-test-'));
+  const savedVerify = CONFIG.verify;
+  const savedVerifyRepos = CONFIG.repos;
+  try {
+    const env = { ...process.env, GIT_AUTHOR_NAME: 'Tester', GIT_AUTHOR_EMAIL: 't@example.com', GIT_COMMITTER_NAME: 'Tester', GIT_COMMITTER_EMAIL: 't@example.com' };
+    const repoPath = path.join(verifyDir, 'repo');
+    const sh = command => execSync(command, { cwd: repoPath, env, stdio: 'pipe' }).toString();
+    await fs.mkdir(repoPath);
+    sh('git init -q -b main && echo ok > build.txt && git add -A && git commit -q -m "works"');
+    CONFIG.verify = { ...savedVerify, dir: path.join(verifyDir, 'results') };
+    CONFIG.repos = [{
+      name: 'demo',
+      path: repoPath,
+      verify: [
+        { name: 'build', command: 'grep -qx ok build.txt && echo "built $OAM_COMMIT"' },
+        // Uncommitted files in the agent's checkout must not leak into the worktree
+        { name: 'clean', command: 'test ! -e scratch.txt' },
+      ],
+    }];
+    
+    sh('echo wip > scratch.txt');
+    let repo = await getRepoStatus({ name: 'demo', path: repoPath });
+    const [first] = await verifyNewHeads([repo]);
+    if (first?.result.status !== 'passed' || !first.result.commands[0].output.includes(repo.latestCommit.hash)) throw new Error(`First run: ${JSON.stringify(first?.result)}`);
+    if ((await getUnverifiedRepos([repo])).length) throw new Error('Verified HEAD still due');
+    
+    sh('echo broken > build.txt && git commit -q -am "breaks it"');
+    repo = await getRepoStatus({ name: 'demo', path: repoPath });
+    const [second] = await verifyNewHeads([repo]);
+    const summary = summarizeResult(second.result);
+    if (summary.status !== 'failed' || summary.failedCommand !== 'build' || summary.exitCode !== 1 || second.result.commands.length !== 1) throw new Error(`Second run: ${JSON.stringify(summary)}`);
+    
+    CONFIG.repos[0].verify = [{ name: 'hang', command: 'sleep 30', timeout: 0.3 }];
+    sh('git commit -q --allow-empty -m "hangs"');
+    repo = await getRepoStatus({ name: 'demo', path: repoPath });
+    const [third] = await verifyNewHeads([repo]);
+    if (!third.result.commands[0].timedOut || third.result.duration > 10000) throw new Error('Timeout not enforced');
+    
+    // A result that can't be saved fails the run; the repos it didn't get to stay due
+    CONFIG.repos[0].verify = ['true'];
+    CONFIG.repos.push({ ...CONFIG.repos[0], name: 'demo2' });
+    sh('git commit -q --allow-empty -m "unsaved"');
+    repo = await getRepoStatus({ name: 'demo', path: repoPath });
+    const twin = { ...repo, name: 'demo2' };
+    CONFIG.verify = { ...CONFIG.verify, dir: path.join(repoPath, 'build.txt', 'results'), concurrency: 1 };
+    if (await verifyNewHeads([repo, twin]).then(() => true, () => false)) throw new Error('Unsaved result not reported');
+    CONFIG.verify = { ...CONFIG.verify, dir: path.join(verifyDir, 'results') };
+    if ((await getUnverifiedRepos([repo, twin])).length !== 2) throw new Error('Repos left marked as running');
+    
+    const stored = await readResults('demo');
+    if (stored.map(r => r.status).join() !== 'failed,failed,passed') throw new Error(`Stored: ${stored.map(r => r.status)}`);
+    if (sh('git worktree list').trim().split('\n').length !== 1) throw new Error('Worktree left behind');
+    if (!validateVerifyCommands(['npm test', { command: '' }]).length) throw new Error('Bad command accepted');
+    console.log(`  ${second.result.shortHash}: ${summary.status} at "${summary.failedCommand}", timeout after ${third.result.commands[0].duration}ms`);
+    console.log('  ✅ Commit verification passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    CONFIG.verify = savedVerify;
+    CONFIG.repos = savedVerifyRepos;
+    await fs.rm(verifyDir, { recursive: true, force: true });
+  }
+  
+  // Test 26: Secret scanning
+  console.log('\nTest 26: Secret scanning...');
+  const secretDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oam-secrets-'));
+  const savedSecretScan = CONFIG.secretScan;
+  try {
+    const env = { ...process.env, GIT_AUTHOR_NAME: 'Agent K', GIT_AUTHOR_EMAIL: 'k@example.com', GIT_COMMITTER_NAME: 'Agent K', GIT_COMMITTER_EMAIL: 'k@example.com' };
+    const sh = command => execSync(command, { cwd: secretDir, env, stdio: 'pipe' }).toString();
+    const write = (file, text) => fs.writeFile(path.join(secretDir, file), text);
+    const fakeAws = ['AKIA', 'IOSFODNN7', 'EXAMPLE'].join('');
+    const fakeGithub = `ghp_${'a1B2'.repeat(9)}`;
+    sh('git init -q -b main && git commit -q --allow-empty -m start');
+    const status = async () => getRepoStatus({ name: 'demo', path: secretDir });
+    
+    let scan = await scanRepo(await status());
+    if (scan.commits.length || scan.uncommitted.length) throw new Error('Baseline scan found something');
+    
+    await write('config.js', `const region = 'us-east-1';\nconst key = '${fakeAws}';\nconst other = '${fakeAws}'; // oam:allow\n`);
+    await write('.env', 'PASSWORD=hunter2\n');
+    await write('.env.example', 'PASSWORD=\n');
+    sh('git add -A && git commit -q -m "add config"');
+    scan = await scanRepo(await status());
+    const found = scan.commits.map(f => `${f.rule}@${f.file}:${f.line ?? '-'}`).sort().join();
+    if (found !== 'aws-access-key@config.js:2,protected-path@.env:-') throw new Error(`Commit findings: ${found}`);
+    const aws = scan.commits.find(f => f.rule === 'aws-access-key');
+    if (aws.author !== 'Agent K' || !aws.commit || aws.match.includes(fakeAws)) throw new Error('Finding details wrong or secret not redacted');
+    
+    // Already-scanned commits aren't reported twice; uncommitted changes are
+    await write('notes.md', `token for later:\n${fakeGithub}\n`);
+    scan = await scanRepo(await status());
+    if (scan.commits.length || scan.uncommitted.map(f => `${f.rule}@${f.file}:${f.line}`).join() !== 'github-token@notes.md:2') {
+      throw new Error(`Second scan: ${JSON.stringify(scan)}`);
+    }
+    
+    CONFIG.secretScan = { ...savedSecretScan, allowlist: [{ fingerprint: scan.uncommitted[0].fingerprint }], rules: [{ name: 'internal-host', pattern: 'db\\.internal\\.example' }] };
+    await write('db.txt', 'host=db.internal.example\n');
+    scan = await scanRepo(await status());
+    if (scan.uncommitted.map(f => f.rule).join() !== 'internal-host') throw new Error(`Allowlist or custom rule: ${scan.uncommitted.map(f => f.rule)}`);
+    
+    const fakeValue = ['abcdef', '1234567890'].join('');
+    const generic = [`OPENAI_API_KEY = "${fakeValue}"`, `client_secret: "${fakeValue}"`, `GITHUB_TOKEN: "${fakeValue}"`, `api_key = "${fakeValue}"`]
+      .map((text, i) => ({ file: 'settings.yml', line: i + 1, text }));
+    if (scanLines(generic).filter(f => f.rule === 'generic-secret').length !== 4) throw new Error(`Generic secrets missed: ${JSON.stringify(scanLines(generic))}`);
+    
+    // A restored scan position has commits after it scanned (again)
+    const scanned = getScanState();
+    await write('keys.txt', `${fakeAws}\n`);
+    sh('git add keys.txt && git commit -q -m "while down"');
+    if ((await scanRepo(await status())).commits.length !== 1) throw new Error('New commit not scanned');
+    restoreScanState(scanned);
+    if ((await scanRepo(await status())).commits.map(f => f.rule).join() !== 'aws-access-key') throw new Error('Restored scan position ignored');
+    
+    if (!isProtectedPath('deploy/keys/server.pem', 'demo') || isProtectedPath('app/.env.example', 'demo')) throw new Error('Protected path globs wrong');
+    if (!validateSecretScan({ ...savedSecretScan, rules: [{ name: 'bad', pattern: '(' }] }).length) throw new Error('Bad regex accepted');
+    console.log(`  ${describeFinding(aws)}`);
+    console.log('  ✅ Secret scanning passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    CONFIG.secretScan = savedSecretScan;
+    await fs.rm(secretDir, { recursive: true, force: true });
+  }
+  
+  // Test 27: Session lifecycle
+  console.log('\nTest 27: Session lifecycle...');
+  const savedSessions = CONFIG.sessions;
+  const savedSessionAgents = CONFIG.agents;
+  try {
+    CONFIG.sessions = { ...savedSessions, stuckAfter: '10m' };
+    CONFIG.agents = [{ name: 'main', command: 'true' }, { name: 'slow', command: 'true', stuckAfter: '1h' }];
+    const t0 = Date.parse('2026-05-01T10:00:00Z');
+    const minutes = n => t0 + n * 60000;
+    const types = events => events.map(e => `${e.type}:${e.session}`).join();
+    
+    const normalized = normalizeSession({ sessionId: 7, agentId: 'main', state: 'completed', updatedAt: 1777630000 });
+    if (normalized.id !== '7' || normalized.active || normalized.lastOutputAt !== 1777630000000) throw new Error(`Normalize: ${JSON.stringify(normalized)}`);
+    const wrapped = listSessions({ sessions: [{ id: 'x', agentId: 'main' }, { agent: 'no id' }] });
+    if (wrapped.length !== 1 || wrapped[0].agent !== 'main' || listSessions([{ id: 'y' }]).length !== 1 || listSessions(null).length) throw new Error('Session list shapes not unwrapped');
+    const waiting = normalizeSession({ id: 'w', status: 'idle' });
+    if (!waiting.active || !waiting.idle) throw new Error(`Idle session not open: ${JSON.stringify(waiting)}`);
+    
+    let events = updateSessions({ sessions: [
+      { id: 'a', agent: 'main', status: 'running', createdAt: new Date(minutes(-2)).toISOString(), messageCount: 1 },
+      { id: 'b', agent: 'slow', status: 'running', messageCount: 5 },
+    ] }, minutes(0));
+    if (types(events) !== 'session-started:a,session-started:b') throw new Error(`Start: ${types(events)}`);
+    
+    // a makes progress at 6m and then stops; b never moves but belongs to slow (limit 1h)
+    updateSessions([{ id: 'a', agent: 'main', messageCount: 2 }, { id: 'b', agent: 'slow', messageCount: 5 }], minutes(6));
+    events = updateSessions([{ id: 'a', agent: 'main', messageCount: 2 }, { id: 'b', agent: 'slow', messageCount: 5 }], minutes(12));
+    if (events.length || getStuckSessions(null, minutes(12)).length) throw new Error(`Stuck too early: ${types(events)}`);
+    events = updateSessions([{ id: 'a', agent: 'main', messageCount: 2 }, { id: 'b', agent: 'slow', messageCount: 5 }], minutes(17));
+    if (types(events) !== 'session-stuck:a' || getStuckSessions('main').map(s => s.id).join() !== 'a') throw new Error(`Stuck: ${types(events)}`);
+    
+    events = updateSessions([{ id: 'a', agent: 'main', messageCount: 2, lastActivity: new Date(minutes(18)).toISOString() }], minutes(18));
+    if (types(events) !== 'session-ended:b' || getStuckSessions('main').length) throw new Error(`End: ${types(events)}`);
+    const b = getEndedSessions(1)[0];
+    if (b.id !== 'b' || b.duration !== 18 * 60000 || b.endedAt !== new Date(minutes(18)).toISOString()) throw new Error(`Ended: ${JSON.stringify(b)}`);
+    const a = getActiveSessions('main', minutes(20))[0];
+    if (a.startedAt !== new Date(minutes(-2)).toISOString() || a.duration !== 22 * 60000) throw new Error(`Active: ${JSON.stringify(a)}`);
+    
+    events = updateSessions([{ id: 'a', agent: 'main', status: 'done' }], minutes(25));
+    if (types(events) !== 'session-ended:a' || getActiveSessions().length) throw new Error(`Done: ${types(events)}`);
+    const doneMessage = events[0].message;
+    
+    // An idle session waits for its next message without being stuck
+    updateSessions([{ id: 'w', agent: 'main', status: 'idle' }], minutes(30));
+    events = updateSessions([{ id: 'w', agent: 'main', status: 'idle' }], minutes(45));
+    if (events.length || getStuckSessions('main').length) throw new Error(`Idle session stuck: ${types(events)}`);
+    if (types(updateSessions([], minutes(50))) !== 'session-ended:w') throw new Error('Idle session not ended');
+    console.log(`  ${doneMessage}`);
+    console.log('  ✅ Session lifecycle passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    CONFIG.sessions = savedSessions;
+    CONFIG.agents = savedSessionAgents;
+  }
+  
+  // Test 28: Log tailer
+  console.log('\nTest 28: Log tailer...');
+  const tailDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oam-logs-'));
+  const savedLogTail = CONFIG.logTail;
+  const savedTailAgents = CONFIG.agents;
+  try {
+    CONFIG.agents = [{ name: 'main', command: 'true' }];
+    CONFIG.logTail = {
+      ...savedLogTail,
+      dir: tailDir,
+      patterns: [{ name: 'rate limit', pattern: 'rate.?limit', threshold: 2 }, { name: 'reset', pattern: 'ECONNRESET', level: 'critical' }],
+    };
+    const mainLog = path.join(tailDir, 'main.log');
+    const append = text => fs.appendFile(mainLog, text);
+    // Timestamps `n` seconds ago
+    const ago = n => new Date(Date.now() - n * 1000).toISOString();
+    await append(`${ago(3600)} [ERROR] old news, before the daemon started\n`);
+    
+    const parsed = parseLogLine('{"level":50,"time":1760000000000,"agentId":"coder","msg":"boom"}');
+    if (parsed.level !== 'error' || parsed.agent !== 'coder' || parsed.message !== 'boom' || !parsed.time.startsWith('2025-')) throw new Error(`JSON line: ${JSON.stringify(parsed)}`);
+    const text = parseLogLine('2026-10-18T10:00:00.123Z [WARN] [agent:writer] slow reply', mainLog);
+    if (text.level !== 'warn' || text.agent !== 'writer' || text.time !== '2026-10-18T10:00:00.123Z') throw new Error(`Text line: ${JSON.stringify(text)}`);
+    
+    // Existing content is skipped; a line split across two polls is read once
+    if (await pollLogs() !== 0) throw new Error('Read existing content');
+    await append(`${ago(5)} [INFO] hello\n${ago(4)} [WARN] hit rate limit\n${ago(3)} [ERR`);
+    if (await pollLogs() !== 2) throw new Error('Appended lines not read');
+    await append('OR] socket ECONNRESET\n');
+    if (await pollLogs() !== 1) throw new Error('Partial line not completed');
+    
+    // Rotation: lines written just before the rename are still read, then the new file from the top
+    await append(`${ago(2)} [WARN] rate-limit again\n`);
+    await fs.rename(mainLog, `${mainLog}.1`);
+    await fs.writeFile(mainLog, `${ago(1)} [INFO] fresh file\n`);
+    if (await pollLogs() !== 2) throw new Error('Rotation lost lines');
+    
+    // Truncation: start over
+    await fs.writeFile(mainLog, 'x\n');
+    if (await pollLogs() !== 1) throw new Error('Truncation not detected');
+    
+    // A new file is read from the start, attributed to the gateway
+    await fs.writeFile(path.join(tailDir, 'gateway.log'), '[ERROR] gateway trouble\n');
+    await pollLogs();
+    
+    // A backlog counts when it was written: old lines neither add to the window nor alert
+    await fs.writeFile(path.join(tailDir, 'main.2.log'), `${ago(7200)} [ERROR] rate limit\n${ago(7100)} [ERROR] rate limit\n${ago(7000)} [WARN] ECONNRESET\n`);
+    if (await pollLogs() !== 3) throw new Error('Backlog not read');
+    
+    // A multi-byte character split across two reads survives
+    await fs.writeFile(path.join(tailDir, 'wide.log'), `${'x'.repeat(64 * 1024 - 1)}é\n`);
+    await pollLogs();
+    if (!getRecentLogLines({ limit: 1 })[0].line.endsWith('xé')) throw new Error('Split character garbled');
+    
+    const rates = getLogRates();
+    if (rates.main.window.warn !== 2 || rates.main.window.error !== 1 || rates.main.window.info !== 3 || rates.gateway.window.error !== 1 || rates.main.totals.error !== 3) {
+      throw new Error(`Rates: ${JSON.stringify(rates)}`);
+    }
+    const alerts = getLogAlerts().map(a => `${a.pattern}:${a.agent}:${a.count}:${a.level}`).sort().join();
+    if (alerts !== 'rate limit:main:2:warning,reset:main:1:critical') throw new Error(`Alerts: ${alerts}`);
+    if (getLogAlerts(Date.now() + 10 * 60000).length) throw new Error('Alerts outlived their window');
+    if (getRecentLogLines({ levels: ['error'] }).length !== 4) throw new Error('Recent lines wrong');
+    if ((await getRecentLogs(1))['gateway.log']?.[0] !== '[ERROR] gateway trouble') throw new Error('Incident logs not read from logTail.dir');
+    const activity = await getAgentActivity([]);
+    if (!activity.recentLogs.at(-1).endsWith('xé') || activity.logRates.main.totals.error !== 3) throw new Error('Agent activity not from the tailer');
+    console.log(`  main: ${JSON.stringify(rates.main.window)}`);
+    console.log('  ✅ Log tailer passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    CONFIG.logTail = savedLogTail;
+    CONFIG.agents = savedTailAgents;
+    await fs.rm(tailDir, { recursive: true, force: true });
+  }
+  
+  // Test 29: State file
+  console.log('\nTest 29: State file...');
+  const stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oam-state-'));
+  try {
+    const stateFile = path.join(stateDir, 'monitor-state.json');
+    if (await readStateFile(stateFile) !== null) throw new Error('Missing file should read as null');
+    
+    // Unversioned files get restart state from lastRestart and the newer sections
+    const lastRestart = new Date(Date.now() - 60000).toISOString();
+    const migrated = migrateState({ totalChecks: 7, agents: { main: { name: 'main', consecutiveFailures: 2, lastRestart } }, repos: {} });
+    const restart = migrated.agents.main.restart;
+    if (migrated.version !== STATE_VERSION || migrated.totalChecks !== 7) throw new Error(`Migration: ${JSON.stringify(migrated)}`);
+    if (restart.attempts !== 1 || restart.restarts[0] !== Date.parse(lastRestart) || restart.nextRestartAt !== Date.parse(lastRestart) + CONFIG.restartCooldown) {
+      throw new Error(`Restart state: ${JSON.stringify(restart)}`);
+    }
+    if (!migrated.gateway.restart || !Array.isArray(migrated.alerts.active) || !migrated.sessions.ended) throw new Error('Sections not added');
+    const scanFrom = migrateState({ version: 2, repos: { demo: { name: 'demo', path: '/src/demo', latestCommit: { hash: 'abc123' } } } }).secretScan;
+    if (scanFrom['/src/demo'] !== 'abc123') throw new Error(`Secret scan positions: ${JSON.stringify(scanFrom)}`);
+    try {
+      migrateState({ version: STATE_VERSION + 1 });
+      throw new Error('Newer version accepted');
+    } catch (error) {
+      if (!error.message.includes('newer')) throw error;
+    }
+    
+    // Atomic write: the file is replaced whole and no temp file is left behind
+    await writeStateFile({ totalChecks: 3, agents: {} }, stateFile);
+    await writeStateFile({ totalChecks: 4, agents: {} }, stateFile);
+    const read = await readStateFile(stateFile);
+    if (read.totalChecks !== 4 || read.version !== STATE_VERSION || !read.savedAt) throw new Error(`Read back: ${JSON.stringify(read)}`);
+    if ((await fs.readdir(stateDir)).length !== 1) throw new Error('Temp file left behind');
+    await fs.writeFile(stateFile, '{"totalChecks": 4, "agen');
+    try {
+      await readStateFile(stateFile);
+      throw new Error('Corrupt file accepted');
+    } catch (error) {
+      if (error.message === 'Corrupt file accepted') throw error;
+    }
+    
+    // Empty log offsets (e.g. from a migrated file) still follow existing logs from their end
+    const logDir = path.join(stateDir, 'logs');
+    await fs.mkdir(logDir);
+    await fs.writeFile(path.join(logDir, 'main.log'), '[ERROR] before the upgrade\n');
+    const fresh = `import { CONFIG } from './lib.js'; import { restoreTailState, pollLogs } from './log-tailer.js';
+      CONFIG.logTail.dir = ${JSON.stringify(logDir)}; restoreTailState({}); console.log(await pollLogs());`;
+    const skipped = execSync(`"${process.execPath}" --input-type=module`, { cwd: path.dirname(new URL(import.meta.url).pathname), input: fresh }).toString().trim();
+    if (skipped !== '0') throw new Error(`Read ${skipped} existing log lines after restoring empty offsets`);
+    
+    // Restored alerts are neither sent again nor forgotten
+    const alert = { key: 'test:restored', type: 'test', level: 'warning', message: 'restored alert' };
+    restoreAlerts([{ ...alert, source: 'state-test', since: new Date(Date.now() - 60000).toISOString(), lastNotified: new Date().toISOString() }]);
+    if ((await updateAlerts('state-test', [alert])).sent.length) throw new Error('Restored alert sent again');
+    const resolved = (await updateAlerts('state-test', [])).sent;
+    if (resolved.length !== 1 || resolved[0].status !== 'resolved') throw new Error('Restored alert not resolved');
+    if (getActiveAlerts().some(a => a.key === 'test:restored')) throw new Error('Resolved alert still active');
+    console.log(`  version ${STATE_VERSION}, migrated restart state: ${JSON.stringify(describeRestartState(restart, getRestartPolicy()).state)}`);
+    console.log('  ✅ State file passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    await fs.rm(stateDir, { recursive: true, force: true });
+  }
+  
+  // Test 30: Dashboard rendering
+  console.log('\nTest 30: Dashboard rendering...');
+  const savedDashAgents = CONFIG.agents;
+  try {
+    CONFIG.agents = [{ name: 'main', command: 'true' }, { name: 'coder', command: 'true' }];
+    const now = Date.now();
+    const restart = { ...createRestartState(), attempts: 1, restarts: [now - 30000], nextRestartAt: now + 90000 };
+    const saved = migrateState({
+      savedAt: new Date(now - 5000).toISOString(),
+      agents: {
+        main: { name: 'main', status: 'healthy', lastLatency: 120, consecutiveFailures: 0, restart: createRestartState() },
+        coder: { name: 'coder', status: 'unhealthy', lastLatency: null, consecutiveFailures: 3, stuckSessions: 1, restart },
+      },
+      repos: Object.fromEntries(Array.from({ length: 14 }, (_, i) => [`repo${i}`, { name: `repo${i}`, path: `/tmp/repo${i}`, branch: 'main', uncommittedChanges: i, ahead: 0, behind: 0, noUpstream: true }])),
+      sessions: { active: [{ id: 's1', agent: 'coder', startedAt: new Date(now - 3600000).toISOString(), lastProgressAt: new Date(now - 2400000).toISOString(), stuck: true }], ended: [] },
+      activity: { recentErrors: [{ level: 'error', agent: 'coder', line: '[ERROR] ECONNRESET' }] },
+    });
+    const status = statusFromState(saved, now);
+    if (status.agents.coder.restart.state !== 'backoff' || status.agents.coder.sessions !== 1) throw new Error(`Agent status: ${JSON.stringify(status.agents.coder)}`);
+    
+    const series = createPerfSeries(3);
+    const perf = await getSystemPerformance();
+    for (let i = 0; i < 5; i++) series.push(perf);
+    if (series.series.cpu.length !== 3) throw new Error('Series not capped');
+    
+    const data = { perf, series: series.series, daemon: { source: 'state', status, savedAt: now - 5000 } };
+    const frame = renderDashboard(data, { width: 100, now });
+    const text = frame.join('\n');
+    if (text.includes('\x1b[')) throw new Error('Colors without color');
+    for (const expected of ['PERFORMANCE', 'next in 1m 30s', 'unhealthy', '1 (1 stuck)', 'ECONNRESET', 'stuck', 'more (press 4)']) {
+      if (!text.includes(expected)) throw new Error(`Overview lacks "${expected}"`);
+    }
+    // Sorted by changes, the dirtiest repo comes first; the view fills the height exactly
+    const repos = renderDashboard(data, { view: 'repos', sort: { repos: { key: 'changes' } }, width: 100, height: 30, color: true, keys: true, now });
+    const firstRepo = repos.find(line => /^  repo\d/.test(line));
+    if (!firstRepo.includes('repo13')) throw new Error(`Sort: ${firstRepo}`);
+    if (repos.length !== 30 || !repos.some(line => line.includes('\x1b['))) throw new Error('Full-screen frame wrong');
+    const empty = renderDashboard({ perf: null, daemon: { source: null } }, { now }).join('\n');
+    if (!empty.includes('needs a running daemon')) throw new Error('Missing daemon not shown');
+    if (formatCountdown(3725000) !== '1h 02m') throw new Error('Countdown format');
+    console.log(`  ${frame.length} lines, first repo by changes: ${firstRepo.trim().split(/\s+/)[0]}`);
+    console.log('  ✅ Dashboard rendering passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    CONFIG.agents = savedDashAgents;
+  }
+  
+  // Test 31: Period report
+  console.log('\nTest 31: Period report...');
+  const reportDir = await fs.mkdtemp(path.join(os.tmpdir(), 'oam-report-'));
+  const savedReportConfig = { history: CONFIG.history, incidents: CONFIG.incidents, events: CONFIG.events, agents: CONFIG.agents };
+  try {
+    CONFIG.agents = [{ name: 'main', command: 'true' }];
+    CONFIG.history = { ...CONFIG.history, dir: path.join(reportDir, 'history') };
+    CONFIG.incidents = { ...CONFIG.incidents, dir: path.join(reportDir, 'incidents') };
+    CONFIG.events = { ...CONFIG.events, file: path.join(reportDir, 'events.jsonl') };
+    
+    // Four checks, main down for one of them
+    const perf = await getSystemPerformance();
+    const start = Date.now() - 60 * 60000;
+    for (let i = 0; i < 4; i++) {
+      await recordSample({ ...perf, timestamp: new Date(start + i * 60000).toISOString(), agents: [{ name: 'gateway', up: true, latency: null }, { name: 'main', up: i !== 2, latency: 100 + i }] });
+    }
+    const incident = await openIncident({ target: 'main', scope: 'agent', reason: 'Agent <main> unresponsive' });
+    await closeIncident(incident, 'restarted');
+    await recordEvents([{ type: 'force-pushed', repo: 'demo', message: 'demo: main was force-pushed' }]);
+    
+    const report = await buildReport({ since: start - 60000, repos: [] });
+    const main = report.agents.find(agent => agent.name === 'main');
+    if (main.uptime !== 75 || main.restarts !== 1 || report.agents[0].uptime !== 100) throw new Error(`Uptime: ${JSON.stringify(report.agents.map(({ timeline, ...a }) => a))}`);
+    if (report.events.counts['force-pushed'] !== 1 || report.events.notable.length !== 1) throw new Error(`Events: ${JSON.stringify(report.events)}`);
+    if (!report.performance.metrics.cpu) throw new Error('No CPU trend');
+    
+    const text = renderReport(report, 'text');
+    if (!text.includes('main') || !text.includes('75%') || !text.includes('force-pushed')) throw new Error('Text report incomplete');
+    if (!renderReport(report, 'md').includes('| main | 75% | 1 |')) throw new Error('Markdown table wrong');
+    const html = renderReport(report, 'html');
+    if (!html.startsWith('<!DOCTYPE html>') || !html.includes('<svg') || !html.includes('class="down"')) throw new Error('HTML charts missing');
+    if (/<script|<link|src=|href=/.test(html)) throw new Error('HTML is not self-contained');
+    if (html.includes('<main>') || !html.includes('Agent &lt;main&gt; unresponsive')) throw new Error('HTML not escaped');
+    console.log(`  main ${main.uptime}% up, ${main.restarts} restart; html ${html.length} bytes`);
+    console.log('  ✅ Period report passed');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    Object.assign(CONFIG, savedReportConfig);
+    await fs.rm(reportDir, { recursive: true, force: true });
+  }
+  
   console.log(`\n📊 Results: ${passed} passed, ${failed} failed`);
   process.exit(failed > 0 ? 1 : 0);
 }
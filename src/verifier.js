@@ -0,0 +1,250 @@
+/**
+ * OpenClaw Activity Monitor - Commit Verification
+ *
+ * A small local CI: repos can list `verify` commands (tests, lint, build)
+ * that run against every new HEAD commit:
+ * - In a throwaway `git worktree`, so the agent's working tree is untouched
+ * - One command after another, stopping at the first failure
+ * - With a timeout per command and at most verify.concurrency repos at once
+ *
+ * Results are kept per commit in verify.dir, one JSON file per repo,
+ * so the CLI can show them without asking the daemon.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawn, exec } from 'child_process';
+import { promisify } from 'util';
+import { CONFIG, parseDuration } from './lib.js';
+
+const execAsync = promisify(exec);
+
+// Repo names with a verification running right now
+const running = new Set();
+
+function toMs(value) {
+  return typeof value === 'number' ? value * 1000 : parseDuration(value) ?? 0;
+}
+
+function resultsFile(repoName) {
+  return path.join(CONFIG.verify.dir, `${repoName.replace(/[^\w.-]+/g, '_')}.json`);
+}
+
+/**
+ * A repo's verification commands as [{ name, command, timeout (ms) }].
+ * Entries are a command string or { name, command, timeout }.
+ */
+export function getVerifyCommands(repoName) {
+  const repo = CONFIG.repos.find(r => r.name === repoName);
+  return (repo?.verify || []).map(entry => {
+    const { name, command, timeout } = typeof entry === 'string' ? { command: entry } : entry;
+    return { name: name || command, command, timeout: toMs(timeout ?? CONFIG.verify.timeout) };
+  });
+}
+
+// ==================== RUNNING ====================
+
+// Keep the end of the output; that's where failures are
+function tail(text, maxBytes) {
+  return text.length > maxBytes ? `…${text.slice(-maxBytes)}` : text;
+}
+
+/**
+ * Run one shell command in `cwd` with stdout and stderr captured together.
+ * Resolves to { exitCode, signal, timedOut, duration, output }; never rejects.
+ */
+export function runCommand(command, cwd, timeout, env = {}) {
+  const start = Date.now();
+  return new Promise(resolve => {
+    const child = spawn('sh', ['-c', command], {
+      cwd,
+      env: { ...process.env, CI: '1', ...env },
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: true,
+    });
+    let output = '';
+    let timedOut = false;
+    const collect = chunk => {
+      output = tail(output + chunk, CONFIG.verify.outputBytes * 2);
+    };
+    // Kill the whole group; test runners like to leave children behind
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {}
+    }, timeout);
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    child.on('error', error => {
+      clearTimeout(timer);
+      resolve({ exitCode: null, signal: null, timedOut: false, duration: Date.now() - start, output: error.message });
+    });
+    child.on('close', (exitCode, signal) => {
+      clearTimeout(timer);
+      resolve({ exitCode, signal, timedOut, duration: Date.now() - start, output: tail(output, CONFIG.verify.outputBytes) });
+    });
+  });
+}
+
+/**
+ * Check out `commit` in a temporary worktree, run the repo's commands
+ * there and remove the worktree again. Returns the result record
+ * (status 'passed', 'failed' or 'error') after saving it.
+ */
+export async function verifyCommit(repo, commit) {
+  const startedAt = new Date();
+  const commands = getVerifyCommands(repo.name);
+  const result = {
+    commit: commit.hash,
+    shortHash: commit.shortHash,
+    subject: commit.message,
+    author: commit.author,
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    duration: null,
+    status: 'passed',
+    commands: [],
+  };
+
+  const worktree = await fs.mkdtemp(path.join(os.tmpdir(), `oam-verify-${repo.name.replace(/[^\w.-]+/g, '_')}-`));
+  try {
+    await execAsync(`git -C "${repo.path}" worktree add --detach --force "${worktree}" ${commit.hash}`);
+    for (const step of commands) {
+      const run = await runCommand(step.command, worktree, step.timeout, { OAM_REPO: repo.name, OAM_COMMIT: commit.hash });
+      const ok = run.exitCode === 0 && !run.timedOut;
+      result.commands.push({ name: step.name, command: step.command, ok, ...run });
+      if (!ok) {
+        result.status = 'failed';
+        break;
+      }
+    }
+  } catch (error) {
+    result.status = 'error';
+    result.error = error.stderr?.trim().split('\n').pop() || error.message;
+  } finally {
+    await execAsync(`git -C "${repo.path}" worktree remove --force "${worktree}"`).catch(() => {});
+    await fs.rm(worktree, { recursive: true, force: true });
+    await execAsync(`git -C "${repo.path}" worktree prune`).catch(() => {});
+  }
+
+  result.finishedAt = new Date().toISOString();
+  result.duration = Date.now() - startedAt.getTime();
+  await saveResult(repo.name, result);
+  return result;
+}
+
+// ==================== RESULTS ====================
+
+/**
+ * Stored results for a repo, newest first.
+ */
+export async function readResults(repoName) {
+  try {
+    return JSON.parse(await fs.readFile(resultsFile(repoName), 'utf-8')).results || [];
+  } catch {
+    return [];
+  }
+}
+
+async function saveResult(repoName, result) {
+  const results = (await readResults(repoName)).filter(r => r.commit !== result.commit);
+  results.unshift(result);
+  await fs.mkdir(CONFIG.verify.dir, { recursive: true });
+  await fs.writeFile(resultsFile(repoName), JSON.stringify({ repo: repoName, results: results.slice(0, CONFIG.verify.keep) }, null, 2));
+}
+
+/**
+ * One-line summary of a result for getStatus() and the CLI:
+ * { commit, status, finishedAt, duration, failedCommand?, error? }.
+ */
+export function summarizeResult(result) {
+  if (!result) return null;
+  const failed = result.commands.find(command => !command.ok);
+  return {
+    commit: result.shortHash,
+    status: result.status,
+    finishedAt: result.finishedAt,
+    duration: result.duration,
+    ...(failed ? { failedCommand: failed.name, exitCode: failed.exitCode, timedOut: failed.timedOut } : {}),
+    ...(result.error ? { error: result.error } : {}),
+  };
+}
+
+/**
+ * Latest result per repo, keyed by repo name, for repos with commands.
+ */
+export async function getLatestResults() {
+  const latest = {};
+  for (const repo of CONFIG.repos.filter(r => r.verify?.length)) {
+    latest[repo.name] = (await readResults(repo.name))[0] || null;
+  }
+  return latest;
+}
+
+// ==================== SCHEDULING ====================
+
+/**
+ * Repos (getRepoStatus() results) with verify commands whose HEAD
+ * commit has no stored result yet and isn't being verified right now.
+ */
+export async function getUnverifiedRepos(repos) {
+  const due = [];
+  for (const repo of repos) {
+    if (repo.error || !repo.latestCommit || running.has(repo.name)) continue;
+    if (!getVerifyCommands(repo.name).length) continue;
+    const results = await readResults(repo.name);
+    if (!results.some(result => result.commit === repo.latestCommit.hash)) due.push(repo);
+  }
+  return due;
+}
+
+/**
+ * Verify the HEAD of every unverified repo, at most verify.concurrency
+ * at a time. Resolves to the new results as [{ repo, result }].
+ */
+export async function verifyNewHeads(repos) {
+  const queue = await getUnverifiedRepos(repos);
+  for (const repo of queue) running.add(repo.name);
+  const finished = [];
+  const worker = async () => {
+    for (let repo = queue.shift(); repo; repo = queue.shift()) {
+      try {
+        finished.push({ repo: repo.name, result: await verifyCommit(repo, repo.latestCommit) });
+      } finally {
+        running.delete(repo.name);
+      }
+    }
+  };
+  try {
+    await Promise.all(Array.from({ length: CONFIG.verify.concurrency }, worker));
+  } finally {
+    // After a failure, what's left in the queue is due again next time
+    for (const repo of queue.splice(0)) running.delete(repo.name);
+  }
+  return finished;
+}
+
+/**
+ * Validate a repo's `verify` list. Returns a list of problems.
+ */
+export function validateVerifyCommands(commands) {
+  if (!Array.isArray(commands)) return ['verify must be a list of commands'];
+  const errors = [];
+  commands.forEach((entry, i) => {
+    if (typeof entry === 'string') {
+      if (!entry.trim()) errors.push(`verify[${i}] must not be empty`);
+      return;
+    }
+    if (!entry || typeof entry !== 'object' || typeof entry.command !== 'string' || !entry.command.trim()) {
+      errors.push(`verify[${i}] must be a command string or { name, command, timeout }`);
+      return;
+    }
+    if (entry.name !== undefined && (typeof entry.name !== 'string' || !entry.name)) errors.push(`verify[${i}].name must be a non-empty string`);
+    if (entry.timeout !== undefined && !((typeof entry.timeout === 'number' && entry.timeout > 0) || parseDuration(entry.timeout) > 0)) {
+      errors.push(`verify[${i}].timeout must be seconds or a duration like "5m"`);
+    }
+  });
+  return errors;
+}